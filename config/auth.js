@@ -0,0 +1,58 @@
+import { betterAuth } from 'better-auth';
+import { mongodbAdapter } from 'better-auth/adapters/mongodb';
+import { admin, emailOTP } from 'better-auth/plugins';
+import { MongoClient } from 'mongodb';
+import { sendOTPEmail } from '../utils/email.js';
+import { secret } from './env.js';
+
+// Dedicated driver client for better-auth; it connects lazily on first use
+// and stores users, sessions and verifications in the application database
+const client = new MongoClient(secret.mongodbUri);
+
+const OTP_EXPIRES_IN_SECONDS = 300;
+
+const OTP_SUBJECTS = {
+  'sign-in': 'Your sign-in code',
+  'email-verification': 'Verify your email address',
+  'forget-password': 'Reset your password',
+};
+
+export const auth = betterAuth({
+  appName: 'Visa Collect',
+  baseURL: secret.betterAuthUrl,
+  basePath: '/api/v1/auth',
+  secret: secret.betterAuthSecret,
+  database: mongodbAdapter(client.db()),
+  trustedOrigins: [secret.corsOrigin, secret.frontendUrl].filter(Boolean),
+
+  // Staff sign in with email and password; their accounts are created by
+  // an admin (or scripts/createStaffUser.js), never through public sign-up
+  emailAndPassword: {
+    enabled: true,
+    disableSignUp: true,
+  },
+
+  plugins: [
+    // Applicants sign in with a one-time code sent to their email address
+    emailOTP({
+      expiresIn: OTP_EXPIRES_IN_SECONDS,
+      sendVerificationOTP: async ({ email, otp, type }) => {
+        await sendOTPEmail(
+          email,
+          OTP_SUBJECTS[type] || 'Your verification code',
+          otp,
+          'Use the following code to sign in to your visa applications',
+          {
+            appName: 'Visa Collect',
+            actionText: 'Enter this code on the sign-in page to continue.',
+            expiresIn: OTP_EXPIRES_IN_SECONDS / 60,
+          }
+        );
+      },
+    }),
+    admin({
+      defaultRole: 'applicant',
+      adminRoles: ['admin'],
+    }),
+  ],
+});
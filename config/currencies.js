@@ -0,0 +1,67 @@
+// Currency everything is priced in and reported back to
+export const BASE_CURRENCY = 'USD';
+
+// Currencies applicants can pay in, with their rounding rules:
+// - decimals:  minor units the providers accept (JPY has none)
+// - increment: smallest step a converted price is rounded up to, in major
+//              units (defaults to one minor unit)
+export const CURRENCIES = {
+  USD: { name: 'US Dollar', decimals: 2 },
+  EUR: { name: 'Euro', decimals: 2 },
+  GBP: { name: 'British Pound', decimals: 2 },
+  CAD: { name: 'Canadian Dollar', decimals: 2 },
+  AUD: { name: 'Australian Dollar', decimals: 2 },
+  JPY: { name: 'Japanese Yen', decimals: 0 },
+};
+
+export const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+// Local currency of passport countries (ISO 3166-1 alpha-2) that have a
+// supported one; everyone else is quoted in the fee currency
+const COUNTRY_CURRENCIES = {
+  US: 'USD',
+  GB: 'GBP',
+  CA: 'CAD',
+  AU: 'AUD',
+  JP: 'JPY',
+  // Euro area
+  ...Object.fromEntries(
+    'AT BE HR CY EE FI FR DE GR IE IT LV LT LU MT NL PT SK SI ES'
+      .split(' ')
+      .map((countryCode) => [countryCode, 'EUR'])
+  ),
+};
+
+// Supported local currency of a passport country, if any
+export const getLocalCurrency = (countryCode) =>
+  COUNTRY_CURRENCIES[String(countryCode || '').toUpperCase()];
+
+// Check whether applicants can pay in a currency
+export const isSupportedCurrency = (currency) =>
+  Object.hasOwn(CURRENCIES, String(currency || '').toUpperCase());
+
+const getRules = (currency) => {
+  const rules = CURRENCIES[String(currency || '').toUpperCase()] || {
+    decimals: 2,
+  };
+  return { ...rules, increment: rules.increment || 10 ** -rules.decimals };
+};
+
+// Round an amount to the currency's minor unit (half up)
+export const roundMoney = (amount, currency = BASE_CURRENCY) => {
+  const factor = 10 ** getRules(currency).decimals;
+  return Math.round(Number(amount) * factor) / factor;
+};
+
+// Round a converted amount up to the currency's increment, so a converted
+// price is never below the fee it was converted from
+export const roundConvertedMoney = (amount, currency) => {
+  const { decimals, increment } = getRules(currency);
+  // Strip floating point noise before rounding up (1.1 * 100 = 110.00000001)
+  const steps = Math.ceil(Number((Number(amount) / increment).toFixed(6)));
+  return Number((steps * increment).toFixed(decimals));
+};
+
+// Format an amount the way payment provider APIs expect ("12.50", "1300")
+export const formatAmount = (amount, currency = BASE_CURRENCY) =>
+  Number(amount).toFixed(getRules(currency).decimals);
@@ -0,0 +1,71 @@
+import { secret } from './env.js';
+
+// Destination registry. Each entry describes one visa destination served
+// under /api/v1/:slug/...; models, fee tables and validation schemas are
+// bound to these entries in services/destinations.js.
+//
+// - slug:              URL segment (/api/v1/turkey)
+// - code:              ISO 3166-1 alpha-2 code of the destination country
+// - idPrefix:          application id prefix (TUR-XXXXXXXX)
+// - modelName:         prefix of the Mongoose models (TurkeyApplication, TurkeyVisaFee)
+// - travelDocuments:   accepted travel documents
+// - visaTypes:         offered visa types
+// - requiredDocuments: documents the applicant must provide
+// - frontendPaths:     frontend routes used in emails and payment redirects
+export const DESTINATIONS = {
+  turkey: {
+    slug: 'turkey',
+    code: 'TR',
+    name: 'Turkey',
+    idPrefix: 'TUR',
+    modelName: 'Turkey',
+    travelDocuments: ['Ordinary Passport'],
+    visaTypes: ['Electronic Visa'],
+    requiredDocuments: [
+      {
+        type: 'supporting',
+        label:
+          'Valid visa or residence permit (Schengen, USA, UK or Ireland), unless marked unlimited',
+        required: false,
+      },
+      {
+        type: 'additional',
+        label: 'Passport bio page and any other supporting files',
+        required: false,
+      },
+    ],
+    frontendPaths: {
+      resume: '/resume',
+      payment: '/payment',
+      paypalReturn: '/tr/apply/payment',
+      paypalCancel: '/tr/apply/payment-cancel',
+    },
+  },
+};
+
+// Destination assumed for records that predate the registry
+export const DEFAULT_DESTINATION = DESTINATIONS.turkey;
+
+// Find a destination by its URL slug
+export const getDestinationConfig = (slug) => {
+  const key = String(slug || '').toLowerCase();
+  return Object.hasOwn(DESTINATIONS, key) ? DESTINATIONS[key] : null;
+};
+
+// Find a destination from an application id (by its prefix)
+export const getDestinationConfigByApplicationId = (applicationId) =>
+  Object.values(DESTINATIONS).find((destination) =>
+    String(applicationId || '').startsWith(`${destination.idPrefix}-`)
+  ) || null;
+
+// Destination of an application id, falling back to the default destination
+export const getApplicationDestinationConfig = (applicationId) =>
+  getDestinationConfigByApplicationId(applicationId) || DEFAULT_DESTINATION;
+
+// Destination name for an application id, for emails and descriptions
+export const getDestinationName = (applicationId) =>
+  getApplicationDestinationConfig(applicationId).name;
+
+// Absolute frontend URL for one of a destination's frontendPaths
+export const buildFrontendUrl = (destination, pathKey) =>
+  `${secret.frontendUrl}${destination.frontendPaths[pathKey]}`;
@@ -29,10 +29,77 @@ export const secret = {
   // Application Configuration
   frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
   maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5242880, // 5MB default
+  resumeTokenTtlDays: parseInt(process.env.RESUME_TOKEN_TTL_DAYS) || 30,
+  countriesCacheTtlSeconds:
+    parseInt(process.env.COUNTRIES_CACHE_TTL_SECONDS) || 300,
+
+  // Authentication Configuration (better-auth)
+  betterAuthSecret: process.env.BETTER_AUTH_SECRET,
+  betterAuthUrl: process.env.BETTER_AUTH_URL || 'http://localhost:3000',
 
   // PayPal Configuration
   paypalMode: process.env.PAYPAL_MODE || 'sandbox',
   paypalClientId: process.env.PAYPAL_CLIENT_ID,
   paypalClientSecret: process.env.PAYPAL_CLIENT_SECRET,
   paypalWebhookId: process.env.PAYPAL_WEBHOOK_ID,
+
+  // Stripe Configuration (STRIPE_API_BASE may point at a local stub server)
+  stripeApiBase: process.env.STRIPE_API_BASE || 'https://api.stripe.com',
+  stripeSecretKey: process.env.STRIPE_SECRET_KEY,
+  stripePublishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+  stripeWebhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+
+  // Payment provider selection: default provider, and per-currency
+  // overrides as CURRENCY:PROVIDER pairs (e.g. "EUR:STRIPE,GBP:STRIPE")
+  paymentDefaultProvider: process.env.PAYMENT_DEFAULT_PROVIDER || 'PAYPAL',
+  paymentProviderByCurrency: process.env.PAYMENT_PROVIDER_BY_CURRENCY || '',
+
+  // Back-office address for payment alerts (disputes, reversals)
+  paymentAlertEmail: process.env.PAYMENT_ALERT_EMAIL,
+
+  // Webhook inbox: attempts before an event is dead-lettered, first retry
+  // delay (doubled per attempt) and worker poll interval (0 disables it)
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  webhookRetryBaseSeconds:
+    parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 60,
+  webhookWorkerIntervalSeconds: parseInt(
+    process.env.WEBHOOK_WORKER_INTERVAL_SECONDS ?? '60'
+  ),
+
+  // Exchange rate table used until rates are loaded into the database
+  // (defaults to config/exchangeRates.json)
+  exchangeRatesFile: process.env.EXCHANGE_RATES_FILE,
+
+  // Unpaid PayPal orders and Stripe PaymentIntents: minutes until an order
+  // is abandoned and sweeper interval (0 disables it)
+  paymentOrderTtlMinutes:
+    parseInt(process.env.PAYMENT_ORDER_TTL_MINUTES) || 180,
+  paymentOrderSweepIntervalMinutes: parseInt(
+    process.env.PAYMENT_ORDER_SWEEP_INTERVAL_MINUTES ?? '15'
+  ),
+
+  // Payment reconciliation: run interval (0 disables the scheduled run),
+  // minimum payment age (leaves checkouts in progress alone) and how far
+  // back payments are checked
+  reconciliationIntervalMinutes: parseInt(
+    process.env.RECONCILIATION_INTERVAL_MINUTES ?? '60'
+  ),
+  reconciliationMinAgeMinutes:
+    parseInt(process.env.RECONCILIATION_MIN_AGE_MINUTES) || 30,
+  reconciliationLookbackDays:
+    parseInt(process.env.RECONCILIATION_LOOKBACK_DAYS) || 30,
+
+  // Seller details printed on invoices and credit notes
+  invoiceIssuerName:
+    process.env.INVOICE_ISSUER_NAME ||
+    process.env.EMAIL_FROM_NAME ||
+    'Visa Services',
+  invoiceIssuerAddress: process.env.INVOICE_ISSUER_ADDRESS,
+  invoiceIssuerTaxId: process.env.INVOICE_ISSUER_TAX_ID,
+  invoiceIssuerEmail: process.env.INVOICE_ISSUER_EMAIL,
+
+  // Master keys for field-level encryption of personal data, as
+  // keyId:base64key pairs (32-byte keys); the first key encrypts, the others
+  // only decrypt until scripts/encryptApplicationFields.js rotates them out
+  fieldEncryptionKeys: process.env.FIELD_ENCRYPTION_KEYS || '',
 };
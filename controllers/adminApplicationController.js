@@ -0,0 +1,272 @@
+import { AppError, asyncHandler } from '../middleware/error-handler.js';
+import {
+  buildExportFilter,
+  EXPORT_FORMATS,
+  resolveExportColumns,
+  streamApplicationExport,
+} from '../services/applicationExport.js';
+import {
+  assertStatus,
+  transitionApplication,
+} from '../services/applicationState.js';
+import { sendIssuedVisaEmail } from '../utils/application.js';
+import { cloudinary, upload, uploadToCloudinary } from '../utils/cloudinary.js';
+import {
+  adminApplicationQuerySchema,
+  applicationExportQuerySchema,
+  applicationStatusUpdateSchema,
+  validateData,
+} from '../utils/validation.js';
+
+// Fields returned in application lists
+const LIST_FIELDS =
+  'applicationId passportCountry email status currentStep totalFee submittedAt createdAt updatedAt mainApplicant.givenNames mainApplicant.surname additionalApplicants.givenNames additionalApplicants.surname';
+
+// Resolve `main` or an additional applicant index to the applicant subdocument
+const resolveApplicant = (application, applicant) => {
+  if (applicant === 'main') {
+    return application.mainApplicant;
+  }
+
+  const index = Number(applicant);
+  if (!Number.isInteger(index) || index < 0) {
+    throw new AppError(
+      "Applicant must be 'main' or an additional applicant index",
+      400
+    );
+  }
+
+  return application.additionalApplicants?.[index];
+};
+
+// @desc    List applications with filters and pagination
+// @route   GET /api/v1/admin/:destination/applications
+// @access  Private (applications:read)
+export const listApplications = asyncHandler(async (req, res) => {
+  const { Application } = req.destination;
+
+  const validation = validateData(adminApplicationQuerySchema, req.query);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const {
+    status,
+    passportCountry,
+    email,
+    passportNumber,
+    from,
+    to,
+    page,
+    limit,
+  } = validation.data;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (passportCountry) filter.passportCountry = passportCountry;
+  if (email) filter.email = email;
+  // Matched on the encrypted value of any applicant's passport
+  if (passportNumber) {
+    filter.$or = [
+      { 'mainApplicant.passportNumber': passportNumber },
+      { 'additionalApplicants.passportNumber': passportNumber },
+    ];
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const [applications, total] = await Promise.all([
+    Application.find(filter)
+      .select(LIST_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Application.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: applications,
+    count: applications.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+// @desc    Export applications to CSV or XLSX, one row per applicant
+// @route   GET /api/v1/admin/:destination/applications/export
+// @access  Private (applications:export)
+export const exportApplications = asyncHandler(async (req, res) => {
+  const { Application, slug } = req.destination;
+
+  const validation = validateData(applicationExportQuerySchema, req.query);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const { format, columns, fields, ...filters } = validation.data;
+  const exportColumns = resolveExportColumns(columns, fields);
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const filename = `${slug}-applications-${filters.status}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  res.status(200).set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+
+  try {
+    await streamApplicationExport(Application, {
+      filter: buildExportFilter(filters),
+      columns: exportColumns,
+      format,
+      output: res,
+    });
+  } catch (error) {
+    // The download has started, so it can only be cut short
+    console.error('Application export failed:', error);
+    res.destroy(error);
+  }
+});
+
+// @desc    Get full application details
+// @route   GET /api/v1/admin/:destination/applications/:applicationId
+// @access  Private (applications:read)
+export const getApplicationForReview = asyncHandler(async (req, res) => {
+  const { Application } = req.destination;
+  const { applicationId } = req.params;
+
+  const application = await Application.findOne({
+    applicationId,
+  }).lean();
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: application,
+  });
+});
+
+// @desc    Move an application through review (processing/approved/rejected)
+// @route   PATCH /api/v1/admin/:destination/applications/:applicationId/status
+// @access  Private (applications:review)
+export const updateApplicationStatus = asyncHandler(async (req, res) => {
+  const { Application } = req.destination;
+  const { applicationId } = req.params;
+
+  const validation = validateData(applicationStatusUpdateSchema, req.body);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const { status, note } = validation.data;
+
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  // Emails the applicant and records the change in the status history
+  const { from, to } = await transitionApplication(application, status, {
+    source: 'admin',
+    actor: req.user.email,
+    reason: note,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Application moved from ${from} to ${to}`,
+    data: {
+      applicationId,
+      status: application.status,
+      decision: application.decision,
+      updatedAt: application.updatedAt,
+    },
+  });
+});
+
+// @desc    Upload the issued e-visa for one applicant and email it
+// @route   POST /api/v1/admin/:destination/applications/:applicationId/issued-visa/:applicant
+// @access  Private (visas:issue)
+export const uploadIssuedVisa = [
+  upload.single('visa'),
+  asyncHandler(async (req, res) => {
+    const { Application } = req.destination;
+    const { applicationId, applicant } = req.params;
+
+    if (!req.file) {
+      throw new AppError('No file uploaded', 400);
+    }
+
+    const application = await Application.findOne({ applicationId });
+    if (!application) {
+      throw new AppError('Application not found', 404);
+    }
+
+    assertStatus(application, ['approved'], 'issue visas');
+
+    const applicantDoc = resolveApplicant(application, applicant);
+    if (!applicantDoc) {
+      throw new AppError('Applicant not found', 404);
+    }
+
+    const previousPublicId = applicantDoc.issuedVisa?.publicId;
+    const uploadResult = await uploadToCloudinary(
+      req.file,
+      `issued-visas/${applicationId}`
+    );
+
+    applicantDoc.issuedVisa = {
+      name: uploadResult.name,
+      url: uploadResult.url,
+      publicId: uploadResult.publicId,
+      format: uploadResult.format,
+      size: uploadResult.size,
+      uploadedBy: req.user.email,
+      uploadedAt: new Date(),
+    };
+    await application.save();
+
+    // Remove a replaced visa from cloud storage
+    if (previousPublicId && previousPublicId !== uploadResult.publicId) {
+      try {
+        await cloudinary.uploader.destroy(previousPublicId);
+      } catch (error) {
+        console.error('Failed to delete replaced visa document:', error);
+      }
+    }
+
+    // Email the download link to the applicant
+    try {
+      await sendIssuedVisaEmail(
+        application.email,
+        applicationId,
+        `${applicantDoc.givenNames} ${applicantDoc.surname}`,
+        uploadResult.url
+      );
+      applicantDoc.issuedVisa.emailedAt = new Date();
+      await application.save();
+    } catch (emailError) {
+      console.error('Failed to send issued visa email:', emailError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Issued visa uploaded successfully',
+      data: {
+        applicationId,
+        applicant,
+        issuedVisa: applicantDoc.issuedVisa,
+      },
+    });
+  }),
+];
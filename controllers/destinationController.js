@@ -0,0 +1,33 @@
+import { asyncHandler } from '../middleware/error-handler.js';
+import { DESTINATIONS } from '../config/destinations.js';
+
+// @desc    List the destinations served by the API
+// @route   GET /api/v1/destinations
+// @access  Public
+export const listDestinations = asyncHandler(async (req, res) => {
+  const destinations = Object.values(DESTINATIONS).map(
+    ({
+      slug,
+      code,
+      name,
+      idPrefix,
+      travelDocuments,
+      visaTypes,
+      requiredDocuments,
+    }) => ({
+      slug,
+      code,
+      name,
+      idPrefix,
+      travelDocuments,
+      visaTypes,
+      requiredDocuments,
+    })
+  );
+
+  res.status(200).json({
+    success: true,
+    data: destinations,
+    count: destinations.length,
+  });
+});
@@ -0,0 +1,206 @@
+import { AppError, asyncHandler } from '../middleware/error-handler.js';
+import Dispute from '../models/Dispute.js';
+import {
+  getOpenDisputesReport as buildOpenDisputesReport,
+  transitionDispute,
+} from '../services/disputes.js';
+import { cloudinary, upload, uploadToCloudinary } from '../utils/cloudinary.js';
+import {
+  disputeEvidenceSchema,
+  disputeQuerySchema,
+  disputeStatusUpdateSchema,
+  openDisputesReportQuerySchema,
+  validateData,
+} from '../utils/validation.js';
+
+// Fields returned in dispute lists (evidence and history are in the detail view)
+const LIST_FIELDS =
+  'disputeId provider paymentId applicationId status providerStatus stage reason amount currency responseDueAt outcome openedAt resolvedAt';
+
+// @desc    List disputes with filters and pagination
+// @route   GET /api/v1/disputes
+// @access  Private (disputes:read)
+export const listDisputes = asyncHandler(async (req, res) => {
+  const validation = validateData(disputeQuerySchema, req.query);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const { provider, status, paymentId, applicationId, from, to, page, limit } =
+    validation.data;
+
+  const filter = {};
+  if (provider) filter.provider = provider;
+  if (status) filter.status = status;
+  if (paymentId) filter.paymentId = paymentId;
+  if (applicationId) filter.applicationId = applicationId;
+  if (from || to) {
+    filter.openedAt = {};
+    if (from) filter.openedAt.$gte = from;
+    if (to) filter.openedAt.$lte = to;
+  }
+
+  const [disputes, total] = await Promise.all([
+    Dispute.find(filter)
+      .select(LIST_FIELDS)
+      .sort({ openedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Dispute.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: disputes.map((dispute) => ({
+      ...dispute,
+      amount: dispute.amount ? parseFloat(dispute.amount) : null,
+    })),
+    count: disputes.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+// @desc    Open disputes ordered by response deadline
+// @route   GET /api/v1/disputes/report/open
+// @access  Private (disputes:read)
+export const getOpenDisputesReport = asyncHandler(async (req, res) => {
+  const validation = validateData(openDisputesReportQuerySchema, req.query);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const report = await buildOpenDisputesReport(validation.data);
+
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+});
+
+// @desc    View a dispute with its evidence and status history
+// @route   GET /api/v1/disputes/:disputeId
+// @access  Private (disputes:read)
+export const getDispute = asyncHandler(async (req, res) => {
+  const dispute = await Dispute.findOne({
+    disputeId: req.params.disputeId,
+  }).lean();
+  if (!dispute) {
+    throw new AppError('Dispute not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...dispute,
+      amount: dispute.amount ? parseFloat(dispute.amount) : null,
+    },
+  });
+});
+
+// @desc    Attach evidence documents to a dispute
+// @route   POST /api/v1/disputes/:disputeId/evidence
+// @access  Private (disputes:manage)
+export const uploadDisputeEvidence = [
+  upload.array('evidence', 10), // Maximum 10 files
+  asyncHandler(async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+      throw new AppError('No files uploaded', 400);
+    }
+
+    const validation = validateData(disputeEvidenceSchema, req.body);
+    if (!validation.success) {
+      throw new AppError('Validation failed', 400, true);
+    }
+
+    const dispute = await Dispute.findOne({
+      disputeId: req.params.disputeId,
+    });
+    if (!dispute) {
+      throw new AppError('Dispute not found', 404);
+    }
+
+    const uploadResults = await Promise.all(
+      req.files.map((file) =>
+        uploadToCloudinary(file, `dispute-evidence/${dispute.disputeId}`)
+      )
+    );
+
+    for (const uploadResult of uploadResults) {
+      dispute.evidence.push({
+        name: uploadResult.name,
+        url: uploadResult.url,
+        publicId: uploadResult.publicId,
+        format: uploadResult.format,
+        size: uploadResult.size,
+        note: validation.data.note,
+        uploadedBy: req.user.email,
+        uploadedAt: new Date(),
+      });
+    }
+
+    try {
+      await dispute.save();
+    } catch (error) {
+      // Don't leave unreferenced files in cloud storage
+      await Promise.allSettled(
+        uploadResults.map((uploadResult) =>
+          cloudinary.uploader.destroy(uploadResult.publicId)
+        )
+      );
+      throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${uploadResults.length} evidence documents attached`,
+      data: {
+        disputeId: dispute.disputeId,
+        status: dispute.status,
+        evidence: dispute.evidence,
+      },
+      count: uploadResults.length,
+    });
+  }),
+];
+
+// @desc    Move a dispute through its workflow (e.g. evidence submitted)
+// @route   PATCH /api/v1/disputes/:disputeId/status
+// @access  Private (disputes:manage)
+export const updateDisputeStatus = asyncHandler(async (req, res) => {
+  const validation = validateData(disputeStatusUpdateSchema, req.body);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const { status, note } = validation.data;
+
+  const dispute = await Dispute.findOne({ disputeId: req.params.disputeId });
+  if (!dispute) {
+    throw new AppError('Dispute not found', 404);
+  }
+
+  // Records the change in the history; WON releases a held application
+  const { from, to } = await transitionDispute(dispute, status, {
+    source: 'admin',
+    actor: req.user.email,
+    reason: note,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Dispute moved from ${from} to ${to}`,
+    data: {
+      disputeId: dispute.disputeId,
+      status: dispute.status,
+      outcome: dispute.outcome,
+      resolvedAt: dispute.resolvedAt,
+      updatedAt: dispute.updatedAt,
+    },
+  });
+});
@@ -1,95 +1,5 @@
-import { v2 as cloudinary } from 'cloudinary';
-import multer from 'multer';
-import { secret } from '../config/env.js';
 import { AppError, asyncHandler } from '../middleware/error-handler.js';
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: secret.cloudinaryCloudName,
-  api_key: secret.cloudinaryApiKey,
-  api_secret: secret.cloudinaryApiSecret,
-});
-
-// Configure multer for memory storage
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: secret.maxFileSize || 5 * 1024 * 1024, // 5MB default
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'image/jpeg',
-      'image/jpg',
-      'image/png',
-      'application/pdf',
-    ];
-
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(
-        new AppError(
-          'Invalid file type. Only PDF, JPG, and PNG files are allowed.',
-          400
-        ),
-        false
-      );
-    }
-  },
-});
-
-// Generate unique filename
-const generateUniqueFilename = (originalName, folder = '') => {
-  const timestamp = Date.now();
-  const randomId = Math.random().toString(36).substring(2, 8);
-  const extension = originalName.split('.').pop()?.toLowerCase() || 'unknown';
-
-  const baseName = originalName.replace(/\.[^/.]+$/, ''); // Remove extension
-  const sanitizedBaseName = baseName.replace(/[^a-zA-Z0-9]/g, '_');
-
-  if (folder) {
-    return `${folder}/${sanitizedBaseName}_${timestamp}_${randomId}.${extension}`;
-  }
-
-  return `${sanitizedBaseName}_${timestamp}_${randomId}.${extension}`;
-};
-
-// Convert buffer to data URI for Cloudinary
-const bufferToDataURI = (buffer, mimetype) => {
-  const base64 = buffer.toString('base64');
-  return `data:${mimetype};base64,${base64}`;
-};
-
-// Upload single file to Cloudinary
-const uploadToCloudinary = async (file, folder = '') => {
-  try {
-    const publicId = generateUniqueFilename(file.originalname, folder);
-
-    // Convert buffer to data URI for Cloudinary
-    const dataURI = bufferToDataURI(file.buffer, file.mimetype);
-
-    const result = await cloudinary.uploader.upload(dataURI, {
-      public_id: publicId,
-      resource_type: 'auto',
-      folder: folder ? folder.split('/')[0] : undefined,
-    });
-
-    return {
-      name: file.originalname,
-      url: result.secure_url,
-      publicId: result.public_id,
-      uploadedAt: new Date().toISOString(),
-      size: file.size,
-      format: result.format,
-      width: result.width || null,
-      height: result.height || null,
-    };
-  } catch (error) {
-    console.error('Cloudinary upload error:', error);
-    throw new AppError('Failed to upload file to cloud storage', 500);
-  }
-};
+import { cloudinary, upload, uploadToCloudinary } from '../utils/cloudinary.js';
 
 // @desc    Upload single document
 // @route   POST /api/v1/single/document
@@ -146,7 +56,7 @@ export const uploadMultipleDocuments = [
 
 // @desc    Delete document from Cloudinary
 // @route   DELETE /api/v1/document/:publicId
-// @access  Public
+// @access  Private (documents:delete)
 export const deleteDocument = asyncHandler(async (req, res) => {
   const { publicId } = req.params;
 
@@ -0,0 +1,58 @@
+import { CURRENCIES } from '../config/currencies.js';
+import { AppError, asyncHandler } from '../middleware/error-handler.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import { getCurrentRates, saveRates } from '../services/exchangeRates.js';
+import { exchangeRateTableSchema, validateData } from '../utils/validation.js';
+
+// @desc    Get the exchange rates in effect and the supported currencies
+// @route   GET /api/v1/exchange-rates
+// @access  Public
+export const getExchangeRates = asyncHandler(async (req, res) => {
+  const rateSet = await getCurrentRates();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...rateSet,
+      currencies: CURRENCIES,
+    },
+  });
+});
+
+// @desc    List stored rate sets, newest first
+// @route   GET /api/v1/exchange-rates/history
+// @access  Private (rates:manage)
+export const listExchangeRateHistory = asyncHandler(async (req, res) => {
+  const rateSets = await ExchangeRate.find()
+    .sort({ effectiveAt: -1 })
+    .limit(50)
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    data: rateSets,
+    count: rateSets.length,
+  });
+});
+
+// @desc    Load a new rate set (applies to quotes from its effectiveAt on;
+//          submitted applications keep their snapshotted rate)
+// @route   PUT /api/v1/exchange-rates
+// @access  Private (rates:manage)
+export const updateExchangeRates = asyncHandler(async (req, res) => {
+  const validation = validateData(exchangeRateTableSchema, req.body);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const rateSet = await saveRates(validation.data, {
+    source: 'admin',
+    actor: req.user.email,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Exchange rates updated',
+    data: rateSet,
+  });
+});
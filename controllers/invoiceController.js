@@ -0,0 +1,85 @@
+import { AppError, asyncHandler } from '../middleware/error-handler.js';
+import Invoice from '../models/Invoice.js';
+import { findApplication } from '../services/destinations.js';
+import { issueCreditNotes, issueInvoice } from '../services/invoices.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+
+// Payment statuses that were paid and therefore have an invoice
+const INVOICED_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+// Send a document's PDF as a download
+const sendPdf = async (res, invoice) => {
+  const pdf = await renderInvoicePdf(invoice);
+
+  res
+    .status(200)
+    .set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+      'Content-Length': pdf.length,
+    })
+    .send(pdf);
+};
+
+// @desc    Download the invoice of a completed payment (PDF); issued now if
+//          it was not issued at capture
+// @route   GET /api/v1/payment/:paymentId/invoice
+// @access  Resume token or Private (payments:invoices)
+export const downloadInvoice = asyncHandler(async (req, res) => {
+  const { payment } = req;
+
+  if (!INVOICED_STATUSES.includes(payment.status)) {
+    throw new AppError(
+      `No invoice for this payment. Status: ${payment.status}`,
+      409
+    );
+  }
+
+  const invoice = await issueInvoice(
+    payment,
+    await findApplication(payment.applicationId)
+  );
+
+  await sendPdf(res, invoice);
+});
+
+// @desc    List the credit notes issued for a payment's refunds
+// @route   GET /api/v1/payment/:paymentId/credit-notes
+// @access  Resume token or Private (payments:invoices)
+export const listCreditNotes = asyncHandler(async (req, res) => {
+  const { payment } = req;
+
+  // Refunds recorded while invoicing failed get their credit note now
+  const creditNotes = INVOICED_STATUSES.includes(payment.status)
+    ? await issueCreditNotes(payment)
+    : [];
+
+  res.status(200).json({
+    success: true,
+    data: creditNotes.map((creditNote) => ({
+      number: creditNote.number,
+      invoiceNumber: creditNote.invoiceNumber,
+      refundId: creditNote.refundId,
+      total: creditNote.total,
+      currency: creditNote.currency,
+      issuedAt: creditNote.issuedAt,
+    })),
+    count: creditNotes.length,
+  });
+});
+
+// @desc    Download a credit note of a payment (PDF)
+// @route   GET /api/v1/payment/:paymentId/credit-notes/:number
+// @access  Resume token or Private (payments:invoices)
+export const downloadCreditNote = asyncHandler(async (req, res) => {
+  const creditNote = await Invoice.findOne({
+    type: 'CREDIT_NOTE',
+    number: req.params.number,
+    paymentId: req.payment.paymentId,
+  });
+  if (!creditNote) {
+    throw new AppError('Credit note not found', 404);
+  }
+
+  await sendPdf(res, creditNote);
+});
@@ -1,9 +1,37 @@
 import { v4 as uuidv4 } from 'uuid';
-import { AppError, asyncHandler } from '../middleware/error-handler.js';
+import { BASE_CURRENCY } from '../config/currencies.js';
+import { getApplicationDestinationConfig } from '../config/destinations.js';
+import { secret } from '../config/env.js';
+import {
+  AppError,
+  PaymentError,
+  asyncHandler,
+} from '../middleware/error-handler.js';
 import Payment from '../models/Payment.js';
-import TurkeyApplication from '../models/TurkeyApplication.js';
-import { sendPaymentSuccessEmail } from '../utils/application.js';
-import paypalService from '../utils/paypal.js';
+import { assertStatus } from '../services/applicationState.js';
+import { findApplication } from '../services/destinations.js';
+import {
+  markApplicationPaid,
+  notifyPaymentStatus,
+  notifyPaymentSuccess,
+  notifyRefund,
+} from '../services/paymentEvents.js';
+import { toBaseAmount } from '../services/exchangeRates.js';
+import {
+  expirePayment,
+  getOrderExpiry,
+  isPaymentExpired,
+} from '../services/paymentExpiry.js';
+import {
+  generateIdempotencyKey,
+  getPaymentProvider,
+  selectPaymentProvider,
+} from '../services/paymentProviders.js';
+import { getPayableAmount, isSameAmount } from '../services/pricing.js';
+import {
+  processWebhookEvent,
+  recordWebhookEvent,
+} from '../services/webhookInbox.js';
 import {
   capturePaymentSchema,
   createPaymentSchema,
@@ -11,17 +39,21 @@ import {
   validateData,
 } from '../utils/validation.js';
 
-// @desc    Create PayPal payment order
-// @route   POST /api/v1/payment/paypal/create
-// @access  Public
-export const createPayPalOrder = asyncHandler(async (req, res) => {
-  const { applicationId, amount, currency = 'USD', description } = req.body;
+// Validate a create-payment request and load the application and the
+// amount due. Client-supplied amounts must match the pricing snapshot.
+const preparePayment = async (body) => {
+  const {
+    applicationId,
+    amount: clientAmount,
+    currency: clientCurrency,
+    description,
+  } = body;
 
   // Validate input
   const validation = validateData(createPaymentSchema, {
     applicationId,
-    amount,
-    currency,
+    amount: clientAmount,
+    currency: clientCurrency,
     description,
   });
 
@@ -30,82 +62,221 @@ export const createPayPalOrder = asyncHandler(async (req, res) => {
   }
 
   // Check if application exists and is in correct state
-  const application = await TurkeyApplication.findOne({ applicationId });
+  const application = await findApplication(applicationId);
   if (!application) {
     throw new AppError('Application not found', 404);
   }
 
   // Check if application can accept payments
+  assertStatus(application, ['submitted', 'paid'], 'create a payment');
+
+  // The amount always comes from the pricing snapshot taken at submission
+  const { amount, currency } = getPayableAmount(application);
+
+  // Reject clients that expect to pay a different amount
   if (
-    !['documents_completed', 'submitted', 'paid'].includes(application.status)
+    clientAmount !== undefined &&
+    !isSameAmount(
+      { amount, currency },
+      { amount: clientAmount, currency: clientCurrency || currency }
+    )
   ) {
-    throw new AppError('Application is not ready for payment', 400);
+    throw new PaymentError(
+      'Payment amount does not match the application total',
+      400,
+      'AMOUNT_MISMATCH',
+      {
+        expected: { amount, currency },
+        received: { amount: clientAmount, currency: clientCurrency },
+      }
+    );
   }
 
-  // Check if payment already exists for this application
+  return {
+    application,
+    applicationId,
+    amount,
+    currency,
+    description: description || `Visa Application Payment - ${applicationId}`,
+  };
+};
+
+// Return the application's pending payment with the given provider so its
+// order can be reused; any other open payment blocks a new one
+const findReusablePayment = async (applicationId, provider) => {
   const existingPayment = await Payment.findOne({
     applicationId,
-    status: { $in: ['PENDING', 'CREATED', 'APPROVED', 'COMPLETED'] },
+    status: {
+      $in: [
+        'PENDING',
+        'CREATED',
+        'APPROVED',
+        'CAPTURE_PENDING',
+        'COMPLETED',
+        'AMOUNT_MISMATCH',
+        'PARTIALLY_REFUNDED',
+      ],
+    },
   });
 
-  let payment;
-  let paypalOrder;
+  if (!existingPayment) {
+    return null;
+  }
 
-  if (existingPayment) {
-    // If payment is PENDING and has pendingCapture flag, reuse it
-    if (
-      existingPayment.status === 'PENDING' &&
-      existingPayment.metadata?.pendingCapture
-    ) {
-      console.log('Found existing PENDING payment, reusing it');
-      payment = existingPayment;
-    } else {
-      throw new AppError('Payment already exists for this application', 400);
+  // An abandoned order no longer blocks the application: cancel it (once
+  // its provider confirms it was never paid) and look again
+  if (isPaymentExpired(existingPayment)) {
+    const { expired } = await expirePayment(existingPayment);
+    if (expired) {
+      return findReusablePayment(applicationId, provider);
     }
-  } else {
-    // Create PayPal order
-    paypalOrder = await paypalService.createOrder(
+  }
+
+  // If payment is PENDING and has pendingCapture flag, reuse it
+  if (
+    existingPayment.provider === provider &&
+    existingPayment.status === 'PENDING' &&
+    existingPayment.metadata?.pendingCapture
+  ) {
+    console.log('Found existing PENDING payment, reusing it');
+    return existingPayment;
+  }
+
+  throw new AppError('Payment already exists for this application', 400);
+};
+
+// Create a provider order and its PENDING payment record
+const createPendingPayment = async (
+  provider,
+  { application, applicationId, amount, currency, description }
+) => {
+  const idempotencyKey = generateIdempotencyKey();
+
+  const order = await provider.createOrder({
+    amount,
+    currency,
+    description,
+    applicationId,
+    destination: getApplicationDestinationConfig(applicationId),
+    idempotencyKey,
+  });
+
+  // Generate payment ID
+  const paymentId = `PAY-${uuidv4().substring(0, 8).toUpperCase()}`;
+
+  // Create temporary payment record with PENDING status
+  // This will be updated to COMPLETED only after successful capture
+  const payment = await Payment.create({
+    paymentId,
+    applicationId,
+    provider: provider.name,
+    orderId: order.orderId,
+    status: 'PENDING',
+    amount,
+    currency,
+    baseCurrency: BASE_CURRENCY,
+    baseAmount: toBaseAmount(
       amount,
       currency,
-      description || `Visa Application Payment - ${applicationId}`,
-      applicationId
+      application.pricing.exchangeRate
+    ),
+    exchangeRate: application.pricing.exchangeRate,
+    expiresAt: getOrderExpiry(),
+    metadata: {
+      providerOrder: order.raw,
+      lineItems: application.pricing.lineItems,
+      createdAt: new Date(),
+      pendingCapture: true, // Flag to indicate this needs capture
+    },
+    idempotencyKey,
+  });
+
+  return { payment, order };
+};
+
+// Reject a capture request for a payment whose captured amount was wrong
+const assertNoAmountMismatch = (payment) => {
+  if (payment.status === 'AMOUNT_MISMATCH') {
+    throw new PaymentError(
+      'Captured amount does not match the application total',
+      409,
+      'AMOUNT_MISMATCH',
+      payment.metadata?.amountMismatch
     );
+  }
+};
+
+// Record a successful capture, mark the application paid and email the
+// applicant. Throws AMOUNT_MISMATCH (and leaves the payment AMOUNT_MISMATCH)
+// when the captured amount is wrong.
+const completePayment = async (payment, capture, reason) => {
+  payment.status = 'COMPLETED';
+  payment.transactionId = capture.transactionId;
+  payment.payerEmail = capture.payerEmail;
+  payment.payerId = capture.payerId;
+  payment.paymentMethod = capture.paymentMethod;
+  if (capture.payerName) payment.payerName = capture.payerName;
+  if (capture.fee !== undefined) payment.paypalFee = capture.fee;
+  payment.providerResponse = capture.raw;
+  payment.metadata = {
+    ...payment.metadata,
+    pendingCapture: false,
+    capturedAt: new Date(),
+  };
+  await payment.save();
+
+  const application = await markApplicationPaid(
+    payment,
+    { amount: capture.amount, currency: capture.currency },
+    { reason }
+  );
+  await notifyPaymentSuccess(application, payment);
 
-    // Generate payment ID
-    const paymentId = `PAY-${uuidv4().substring(0, 8).toUpperCase()}`;
-
-    // Create temporary payment record with PENDING status
-    // This will be updated to COMPLETED only after successful capture
-    payment = await Payment.create({
-      paymentId,
-      applicationId,
-      provider: 'PAYPAL',
-      orderId: paypalOrder.id,
-      status: 'PENDING', // Changed from CREATED to PENDING
-      amount: amount,
-      currency: currency,
-      metadata: {
-        paypalOrder: paypalOrder,
-        createdAt: new Date(),
-        pendingCapture: true, // Flag to indicate this needs capture
-      },
-      idempotencyKey: paypalService.constructor.generateIdempotencyKey(),
-    });
+  return application;
+};
+
+// @desc    Create a payment with the provider selected for the application
+//          (`provider` in the body) or for its currency
+// @route   POST /api/v1/payment/create
+// @access  Public
+export const createPayment = asyncHandler(async (req, res, next) => {
+  const application = await findApplication(req.body.applicationId);
+  if (!application) {
+    throw new AppError('Application not found', 404);
   }
 
+  const provider = selectPaymentProvider({
+    requested: req.body.provider,
+    currency: application.pricing?.currency,
+  });
+
+  const createOrder =
+    provider.name === 'STRIPE' ? createStripePaymentIntent : createPayPalOrder;
+  return createOrder(req, res, next);
+});
+
+// @desc    Create PayPal payment order
+// @route   POST /api/v1/payment/paypal/create
+// @access  Public
+export const createPayPalOrder = asyncHandler(async (req, res) => {
+  const provider = getPaymentProvider('PAYPAL');
+  const prepared = await preparePayment(req.body);
+  const { applicationId, amount, currency } = prepared;
+
+  let payment = await findReusablePayment(applicationId, provider.name);
   let approvalUrl;
 
-  if (existingPayment) {
+  if (payment) {
     // If reusing existing payment, get approval URL from PayPal API
-    const orderDetails = await paypalService.getOrder(payment.orderId);
-    approvalUrl = orderDetails.links.find(
+    const orderDetails = await provider.getOrder(payment.orderId);
+    approvalUrl = orderDetails.raw.links?.find(
       (link) => link.rel === 'approve'
     )?.href;
   } else {
     // If new payment, get approval URL from created order
-    approvalUrl = paypalOrder.links.find(
-      (link) => link.rel === 'approve'
-    )?.href;
+    const created = await createPendingPayment(provider, prepared);
+    payment = created.payment;
+    approvalUrl = created.order.approvalUrl;
   }
 
   if (!approvalUrl) {
@@ -148,305 +319,327 @@ export const capturePayPalOrder = asyncHandler(async (req, res) => {
     throw new AppError('Payment record not found', 404);
   }
 
-  // Check if payment can be captured
-  // Allow capture if status is APPROVED, or if we can update it to APPROVED from PayPal
-  let canProceed = payment.canBeCaptured();
-
-  try {
-    // First, check the current PayPal order status and update our database
-    console.log(`Checking PayPal order status for orderId: ${orderId}`);
-    const orderDetails = await paypalService.getOrder(orderId);
-    console.log(
-      `PayPal order status: ${orderDetails.status}, DB payment status: ${payment.status}`
+  // An expired order was replaced (or is about to be) by a fresh one
+  if (payment.status === 'CANCELLED') {
+    throw new AppError(
+      'This payment order has expired. Please start a new payment.',
+      409
     );
+  }
 
-    // Update payment status based on PayPal order status
-    if (orderDetails.status === 'APPROVED') {
-      if (!canProceed) {
-        payment.status = 'APPROVED';
-        await payment.save();
-        canProceed = true;
-      }
-    } else if (orderDetails.status === 'COMPLETED') {
-      // Order has already been captured/completed
-      console.log('Order already completed, updating payment record');
-      payment.status = 'COMPLETED';
-      payment.transactionId =
-        orderDetails.purchase_units?.[0]?.payments?.captures?.[0]?.id;
-      payment.paypalFee =
-        orderDetails.purchase_units?.[0]?.payments?.captures?.[0]?.seller_receivable_breakdown?.paypal_fee?.value;
-      payment.payerEmail = orderDetails.payer?.email_address;
-      payment.payerId = orderDetails.payer?.payer_id;
-      payment.paymentMethod =
-        orderDetails.purchase_units?.[0]?.payments?.captures?.[0]?.payment_source?.paypal?.name;
-      await payment.save();
-
-      // Send payment success email
-      try {
-        const application = await TurkeyApplication.findOne({ applicationId });
-        if (application) {
-          await sendPaymentSuccessEmail(
-            application.email,
-            applicationId,
-            {
-              transactionId: payment.transactionId,
-              amount: payment.amount,
-              paymentMethod: payment.paymentMethod,
-            },
-            {
-              totalApplicants:
-                (application.additionalApplicants?.length || 0) + 1,
-            }
-          );
-        }
-      } catch (emailError) {
-        console.error('Failed to send payment success email:', emailError);
-        // Don't fail the payment if email fails
-      }
+  assertNoAmountMismatch(payment);
 
-      // Return success since order is already completed
-      return res.status(200).json({
-        success: true,
-        message: 'Payment already completed',
-        data: {
-          paymentId: payment.paymentId,
-          orderId: orderId,
-          status: 'COMPLETED',
-          transactionId: payment.transactionId,
-        },
-      });
-    } else if (orderDetails.status === 'CREATED') {
-      // Order is still created, this means user hasn't completed approval yet
-      throw new AppError(
-        'Payment has not been approved by the user yet. Please complete the PayPal approval process.',
-        400
-      );
-    } else {
-      throw new AppError(
-        `Invalid PayPal order status for capture: ${orderDetails.status}`,
-        400
-      );
-    }
+  if (payment.status === 'COMPLETED') {
+    return res.status(200).json({
+      success: true,
+      message: 'Payment already completed',
+      data: {
+        paymentId: payment.paymentId,
+        orderId,
+        status: payment.status,
+        transactionId: payment.transactionId,
+      },
+    });
+  }
 
-    // Double-check we can proceed with capture
-    if (!canProceed) {
-      throw new AppError(
-        `Payment cannot be captured. PayPal status: ${orderDetails.status}, DB status: ${payment.status}`,
-        400
-      );
+  const provider = getPaymentProvider('PAYPAL');
+  const order = await provider.getOrder(orderId);
+
+  let capture;
+  let reason = `Payment ${payment.paymentId} captured`;
+  if (order.status === 'COMPLETED') {
+    // Captured already (e.g. by an earlier request); the capture itself
+    // may still be pending
+    capture = order.capture;
+    reason = `Payment ${payment.paymentId} already completed`;
+  } else if (order.status === 'APPROVED') {
+    // Approved by the payer since the order was created
+    if (!payment.canBeCaptured()) {
+      payment.status = 'APPROVED';
+      await payment.save();
     }
 
-    // Now capture the approved order
-    let captureResult;
     try {
-      captureResult = await paypalService.captureOrder(orderId);
-    } catch (captureError) {
-      // Handle specific PayPal errors
-      if (captureError.message?.includes('ORDER_ALREADY_CAPTURED')) {
-        console.log('Order already captured, updating payment record');
-        // Update payment record as completed
-        payment.status = 'COMPLETED';
-        payment.transactionId =
-          orderDetails.purchase_units?.[0]?.payments?.captures?.[0]?.id;
-        payment.paypalFee =
-          orderDetails.purchase_units?.[0]?.payments?.captures?.[0]?.seller_receivable_breakdown?.paypal_fee?.value;
-        payment.payerEmail = orderDetails.payer?.email_address;
-        payment.payerId = orderDetails.payer?.payer_id;
-        payment.paymentMethod =
-          orderDetails.purchase_units?.[0]?.payments?.captures?.[0]?.seller_receivable_breakdown?.payment_source?.paypal?.name;
+      capture = await provider.captureOrder(orderId);
+    } catch (error) {
+      if (error.message?.includes('ORDER_ALREADY_CAPTURED')) {
+        // Captured concurrently: reload the order, the details fetched
+        // above predate the capture
+        capture = (await provider.getOrder(orderId)).capture;
+        reason = `Payment ${payment.paymentId} already captured`;
+      } else {
+        console.error('PayPal capture error:', error);
+
+        payment.status = 'FAILED';
+        payment.errorMessage = error.message;
         await payment.save();
 
-        return res.status(200).json({
-          success: true,
-          message: 'Payment already completed',
-          data: {
-            paymentId: payment.paymentId,
-            orderId: orderId,
-            status: 'COMPLETED',
-            transactionId: payment.transactionId,
-          },
-        });
+        throw new AppError('Failed to capture PayPal payment', 500);
       }
-      throw captureError;
     }
+  } else if (order.status === 'CREATED') {
+    // Order is still created, this means user hasn't completed approval yet
+    throw new AppError(
+      'Payment has not been approved by the user yet. Please complete the PayPal approval process.',
+      400
+    );
+  } else {
+    throw new AppError(
+      `Invalid PayPal order status for capture: ${order.status}`,
+      400
+    );
+  }
 
-    // Update payment record
-    payment.status = 'COMPLETED';
-    payment.transactionId =
-      captureResult.purchase_units[0].payments.captures[0].id;
-    payment.paypalFee =
-      captureResult.purchase_units[0].payments.captures[0].seller_receivable_breakdown?.paypal_fee?.value;
-    payment.payerEmail = captureResult.payer?.email_address;
-    payment.payerId = captureResult.payer?.payer_id;
-    payment.paymentMethod =
-      captureResult.purchase_units[0].payments.captures[0].payment_source?.paypal?.name;
-
-    if (captureResult.payer?.name) {
-      payment.payerName = {
-        firstName: captureResult.payer.name.given_name,
-        lastName: captureResult.payer.name.surname,
+  // PayPal may hold captured funds (e.g. eCheck, risk review), also on an
+  // order it reports as COMPLETED; the application is marked paid on
+  // PAYMENT.CAPTURE.COMPLETED instead
+  if (capture.status !== 'COMPLETED') {
+    const alreadyPending = payment.status === 'CAPTURE_PENDING';
+    payment.status = 'CAPTURE_PENDING';
+    payment.transactionId = capture.transactionId;
+    payment.providerResponse = capture.raw;
+    if (!alreadyPending) {
+      payment.metadata = {
+        ...payment.metadata,
+        capturePending: {
+          reason: capture.pendingReason,
+          since: new Date(),
+        },
       };
     }
-
-    payment.paypalResponse = captureResult;
-    payment.metadata.capturedAt = new Date();
-
     await payment.save();
 
-    // Update application status if needed
-    const application = await TurkeyApplication.findOne({ applicationId });
-    if (application && application.status === 'submitted') {
-      application.status = 'paid';
-      await application.save();
-    }
-
-    // Send payment success email
-    try {
-      if (application) {
-        await sendPaymentSuccessEmail(
-          application.email,
-          applicationId,
-          {
-            transactionId: payment.transactionId,
-            amount: payment.amount,
-            paymentMethod: payment.paymentMethod,
-          },
-          {
-            totalApplicants:
-              (application.additionalApplicants?.length || 0) + 1,
-          }
-        );
-      }
-    } catch (emailError) {
-      console.error('Failed to send payment success email:', emailError);
-      // Don't fail the payment if email fails
+    // The applicant was told when the capture first went pending
+    if (!alreadyPending) {
+      await notifyPaymentStatus(
+        await findApplication(payment.applicationId),
+        'capture_pending',
+        { amount: parseFloat(payment.amount), currency: payment.currency }
+      );
     }
 
-    res.status(200).json({
+    return res.status(202).json({
       success: true,
-      message: 'Payment captured successfully',
+      message: 'Payment captured and pending with PayPal',
       data: {
         paymentId: payment.paymentId,
         orderId: payment.orderId,
         transactionId: payment.transactionId,
-        status: 'COMPLETED',
-        amount: payment.amount,
-        currency: payment.currency,
-        payerEmail: payment.payerEmail,
-        capturedAt: payment.metadata.capturedAt,
+        status: payment.status,
+        pendingReason: capture.pendingReason,
       },
     });
-  } catch (error) {
-    console.error('PayPal capture error:', error);
+  }
 
-    // Update payment status to failed
-    payment.status = 'FAILED';
-    payment.errorMessage = error.message;
-    await payment.save();
+  await completePayment(payment, capture, reason);
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment captured successfully',
+    data: {
+      paymentId: payment.paymentId,
+      orderId: payment.orderId,
+      transactionId: payment.transactionId,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+      payerEmail: payment.payerEmail,
+      capturedAt: payment.metadata.capturedAt,
+    },
+  });
+});
+
+// @desc    Create Stripe PaymentIntent (confirmed client-side with Stripe.js,
+//          then captured through /stripe/capture)
+// @route   POST /api/v1/payment/stripe/create
+// @access  Public
+export const createStripePaymentIntent = asyncHandler(async (req, res) => {
+  const provider = getPaymentProvider('STRIPE');
+  const prepared = await preparePayment(req.body);
+  const { applicationId, amount, currency } = prepared;
+
+  let payment = await findReusablePayment(applicationId, provider.name);
+  let clientSecret;
+
+  if (payment) {
+    // If reusing existing payment, get the client secret from Stripe
+    const intent = await provider.getOrder(payment.orderId);
+    clientSecret = intent.raw.client_secret;
+  } else {
+    const created = await createPendingPayment(provider, prepared);
+    payment = created.payment;
+    clientSecret = created.order.clientSecret;
+  }
 
-    throw new AppError('Failed to capture PayPal payment', 500);
+  if (!clientSecret) {
+    throw new AppError('Failed to get Stripe client secret', 500);
   }
+
+  res.status(201).json({
+    success: true,
+    message: 'Stripe payment intent created successfully',
+    data: {
+      paymentId: payment.paymentId,
+      orderId: payment.orderId,
+      clientSecret,
+      publishableKey: secret.stripePublishableKey,
+      status: payment.status,
+      amount: amount,
+      currency: currency,
+    },
+  });
 });
 
-// @desc    Handle PayPal webhook
-// @route   POST /api/v1/payment/paypal/webhook
+// @desc    Capture Stripe payment
+// @route   POST /api/v1/payment/stripe/capture
 // @access  Public
-export const handlePayPalWebhook = asyncHandler(async (req, res) => {
-  const webhookBody = req.body;
-  const signature = req.headers['paypal-transmission-signature'];
-  const certUrl = req.headers['paypal-cert-url'];
-  const transmissionId = req.headers['paypal-transmission-id'];
-  const transmissionTime = req.headers['paypal-transmission-time'];
-  const _webhookId = req.headers['paypal-webhook-id'];
-
-  // Verify webhook signature
-  const isValidSignature = await paypalService.verifyWebhookSignature(
-    webhookBody,
-    {
-      auth_algo: req.headers['paypal-auth-algo'],
-      cert_url: certUrl,
-      transmission_id: transmissionId,
-      transmission_sig: signature,
-      transmission_time: transmissionTime,
-    }
-  );
+export const captureStripePayment = asyncHandler(async (req, res) => {
+  const { orderId, applicationId } = req.body;
 
-  if (!isValidSignature) {
-    console.warn('Invalid PayPal webhook signature');
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid webhook signature',
+  // Validate input
+  const validation = validateData(capturePaymentSchema, {
+    orderId,
+    applicationId,
+  });
+
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  // Find payment record
+  const payment = await Payment.findOne({
+    provider: 'STRIPE',
+    orderId,
+    applicationId,
+  });
+  if (!payment) {
+    throw new AppError('Payment record not found', 404);
+  }
+
+  assertNoAmountMismatch(payment);
+
+  if (payment.status === 'COMPLETED') {
+    return res.status(200).json({
+      success: true,
+      message: 'Payment already completed',
+      data: {
+        paymentId: payment.paymentId,
+        orderId,
+        status: payment.status,
+        transactionId: payment.transactionId,
+      },
     });
   }
 
-  try {
-    // Parse webhook event
-    const eventData = paypalService.parseWebhookEvent(webhookBody);
-
-    // Find payment by order ID or transaction ID
-    let payment;
-    if (eventData.orderId) {
-      payment = await Payment.findOne({ orderId: eventData.orderId });
-    } else if (eventData.transactionId) {
-      payment = await Payment.findOne({
-        transactionId: eventData.transactionId,
-      });
-    }
+  if (!payment.canBeCaptured()) {
+    throw new AppError(
+      `Payment cannot be captured. Status: ${payment.status}`,
+      400
+    );
+  }
 
-    if (payment) {
-      // Add webhook event
-      await payment.addWebhookEvent(eventData.type, webhookBody.id, eventData);
-
-      // Update payment status based on event
-      switch (eventData.type) {
-        case 'PAYMENT_COMPLETED':
-          if (payment.status !== 'COMPLETED') {
-            payment.status = 'COMPLETED';
-            payment.transactionId = eventData.transactionId;
-            payment.payerEmail = eventData.payerEmail;
-          }
-          break;
-
-        case 'PAYMENT_DENIED':
-          payment.status = 'FAILED';
-          payment.errorMessage = eventData.reason;
-          break;
-
-        case 'PAYMENT_REFUNDED':
-          payment.status = 'REFUNDED';
-          payment.refundedAt = new Date();
-          payment.refundedAmount = eventData.refundAmount;
-          break;
-      }
+  const provider = getPaymentProvider('STRIPE');
+  const intent = await provider.getOrder(orderId);
+
+  let capture;
+  if (intent.status === 'succeeded') {
+    // Captured already (e.g. from the Stripe dashboard)
+    capture = intent.capture;
+  } else if (intent.status === 'requires_capture') {
+    try {
+      capture = await provider.captureOrder(orderId);
+    } catch (error) {
+      console.error('Stripe capture error:', error);
 
+      payment.status = 'FAILED';
+      payment.errorMessage = error.message;
       await payment.save();
 
-      // Update application status if payment completed
-      if (eventData.type === 'PAYMENT_COMPLETED') {
-        const application = await TurkeyApplication.findOne({
-          applicationId: payment.applicationId,
-        });
-        if (application && application.status === 'submitted') {
-          application.status = 'paid';
-          await application.save();
-        }
-      }
+      throw new AppError('Failed to capture Stripe payment', 500);
+    }
+  } else if (intent.status === 'canceled') {
+    payment.status = 'CANCELLED';
+    await payment.save();
+    throw new AppError('Stripe payment was cancelled', 400);
+  } else {
+    // requires_payment_method, requires_confirmation, requires_action, ...
+    throw new AppError(
+      `Payment has not been confirmed by the user yet. Stripe status: ${intent.status}`,
+      400
+    );
+  }
+
+  await completePayment(
+    payment,
+    capture,
+    `Payment ${payment.paymentId} captured`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment captured successfully',
+    data: {
+      paymentId: payment.paymentId,
+      orderId: payment.orderId,
+      transactionId: payment.transactionId,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+      payerEmail: payment.payerEmail,
+      capturedAt: payment.metadata.capturedAt,
+    },
+  });
+});
+
+// Build the webhook handler of a payment provider
+const handleProviderWebhook = (providerName) =>
+  asyncHandler(async (req, res) => {
+    const provider = getPaymentProvider(providerName);
+
+    // Verify webhook signature, then store the event with the result
+    const isValidSignature = await provider.verifyWebhook(req);
+    const { event, duplicate } = await recordWebhookEvent(
+      provider.name,
+      req.body,
+      isValidSignature
+    );
+
+    if (!isValidSignature) {
+      console.warn(`Invalid ${providerName} webhook signature`);
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook signature',
+      });
+    }
+
+    if (duplicate) {
+      return res.status(200).json({
+        success: true,
+        message: 'Webhook already received',
+      });
     }
 
     res.status(200).json({
       success: true,
-      message: 'Webhook processed successfully',
-    });
-  } catch (error) {
-    console.error('Webhook processing error:', error);
-    // Return 200 to acknowledge receipt even if processing fails
-    res.status(200).json({
-      success: true,
-      message: 'Webhook received but processing failed',
-      error: error.message,
+      message: 'Webhook received',
     });
-  }
-});
+
+    // Process after acknowledging; failed events are retried by the
+    // webhook worker
+    processWebhookEvent(event._id).catch((error) =>
+      console.error('Webhook processing error:', error)
+    );
+  });
+
+// @desc    Handle PayPal webhook
+// @route   POST /api/v1/payment/paypal/webhook
+// @access  Public
+export const handlePayPalWebhook = handleProviderWebhook('PAYPAL');
+
+// @desc    Handle Stripe webhook (signed over the raw request body)
+// @route   POST /api/v1/payment/stripe/webhook
+// @access  Public
+export const handleStripeWebhook = handleProviderWebhook('STRIPE');
 
 // @desc    Get payment status
 // @route   GET /api/v1/payment/:paymentId
@@ -459,14 +652,19 @@ export const getPaymentStatus = asyncHandler(async (req, res) => {
     throw new AppError('Payment not found', 404);
   }
 
-  // Get latest PayPal order status if needed
-  let paypalStatus = null;
+  // Get latest provider order status if needed
+  let providerStatus = null;
   if (payment.status === 'CREATED' || payment.status === 'APPROVED') {
     try {
-      const orderDetails = await paypalService.getOrder(payment.orderId);
-      paypalStatus = orderDetails.status;
+      const orderDetails = await getPaymentProvider(payment.provider).getOrder(
+        payment.orderId
+      );
+      providerStatus = orderDetails.status;
     } catch (error) {
-      console.warn('Failed to get PayPal order status:', error.message);
+      console.warn(
+        `Failed to get ${payment.provider} order status:`,
+        error.message
+      );
     }
   }
 
@@ -481,7 +679,13 @@ export const getPaymentStatus = asyncHandler(async (req, res) => {
       amount: payment.amount,
       currency: payment.currency,
       payerEmail: payment.payerEmail,
-      paypalStatus: paypalStatus,
+      refundedAmount: payment.refundedAmount
+        ? parseFloat(payment.refundedAmount)
+        : 0,
+      provider: payment.provider,
+      providerStatus,
+      // Kept for existing PayPal clients
+      paypalStatus: payment.provider === 'PAYPAL' ? providerStatus : null,
       createdAt: payment.createdAt,
       updatedAt: payment.updatedAt,
     },
@@ -490,14 +694,15 @@ export const getPaymentStatus = asyncHandler(async (req, res) => {
 
 // @desc    Refund payment
 // @route   POST /api/v1/payment/refund
-// @access  Private/Admin
+// @access  Private (payments:refund)
 export const refundPayment = asyncHandler(async (req, res) => {
-  const { paymentId, amount, reason } = req.body;
+  const { paymentId, amount, applicant, reason } = req.body;
 
   // Validate input
   const validation = validateData(refundPaymentSchema, {
     paymentId,
     amount,
+    applicant,
     reason,
   });
 
@@ -505,12 +710,39 @@ export const refundPayment = asyncHandler(async (req, res) => {
     throw new AppError('Validation failed', 400, true);
   }
 
-  // Find payment
-  const payment = await Payment.findOne({ paymentId });
+  // Reserve the payment before checking what is left to refund, so two
+  // requests cannot both pass the checks and both refund at the provider
+  const payment = await Payment.acquireRefundLock(paymentId);
   if (!payment) {
+    if (await Payment.exists({ paymentId })) {
+      throw new AppError(
+        'Another refund of this payment is in progress. Please try again.',
+        409
+      );
+    }
     throw new AppError('Payment not found', 404);
   }
 
+  const lockedAt = payment.refundLockedAt;
+  try {
+    await issueRefund(
+      payment,
+      { amount, applicant, reason, actor: req.user.email },
+      res
+    );
+  } catch (error) {
+    await Payment.releaseRefundLock(paymentId, lockedAt);
+    throw error;
+  }
+});
+
+// Check and issue a refund of a payment the caller holds the refund lock of,
+// add it to the ledger and respond
+const issueRefund = async (
+  payment,
+  { amount, applicant, reason, actor },
+  res
+) => {
   // Check if payment can be refunded
   if (!payment.canBeRefunded()) {
     throw new AppError(
@@ -519,43 +751,119 @@ export const refundPayment = asyncHandler(async (req, res) => {
     );
   }
 
-  try {
-    // Process refund via PayPal
-    const refundAmount = amount || payment.amount;
-    const refundResult = await paypalService.refundPayment(
-      payment.transactionId,
-      refundAmount,
-      reason
+  // Default to the applicant's line item, else whatever is left to refund
+  let refundAmount = amount;
+  if (applicant !== undefined) {
+    const lineItem = payment.metadata?.lineItems?.find(
+      (item) => item.applicant === applicant
     );
+    if (!lineItem) {
+      throw new AppError(`No line item for applicant ${applicant}`, 400);
+    }
 
-    // Update payment record
-    payment.status = 'REFUNDED';
-    payment.refundedAt = new Date();
-    payment.refundedAmount = refundAmount;
-    payment.refundReason = reason;
-    payment.paypalResponse = refundResult;
-
-    await payment.save();
+    // A line item is refunded at most once, and for at most its total
+    const previous = payment.refunds.find(
+      (refund) => refund.applicant === applicant
+    );
+    if (previous) {
+      throw new PaymentError(
+        `The line item of applicant ${applicant} has already been refunded`,
+        409,
+        'LINE_ITEM_ALREADY_REFUNDED',
+        { applicant, refundId: previous.refundId }
+      );
+    }
+    if (
+      refundAmount !== undefined &&
+      Math.round(refundAmount * 100) >
+        Math.round(parseFloat(lineItem.total) * 100)
+    ) {
+      throw new PaymentError(
+        'Refund amount exceeds the line item total',
+        400,
+        'REFUND_EXCEEDS_LINE_ITEM',
+        {
+          applicant,
+          requested: refundAmount,
+          lineItemTotal: parseFloat(lineItem.total),
+          currency: payment.currency,
+        }
+      );
+    }
+    refundAmount ??= lineItem.total;
+  }
+  refundAmount ??= payment.getRefundableAmount();
+
+  const refundable = payment.getRefundableAmount();
+  if (Math.round(refundAmount * 100) > Math.round(refundable * 100)) {
+    throw new PaymentError(
+      'Refund amount exceeds the amount left to refund',
+      400,
+      'REFUND_EXCEEDS_CAPTURED',
+      {
+        requested: refundAmount,
+        refundable,
+        currency: payment.currency,
+      }
+    );
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Payment refunded successfully',
-      data: {
-        paymentId: payment.paymentId,
-        refundAmount: refundAmount,
-        refundId: refundResult.id,
-        refundedAt: payment.refundedAt,
-      },
-    });
+  let refundResult;
+  try {
+    // Process refund via the payment's provider, in the payment's currency
+    refundResult = await getPaymentProvider(payment.provider).refund(
+      payment.transactionId,
+      { amount: refundAmount, currency: payment.currency, reason }
+    );
   } catch (error) {
     console.error('Refund error:', error);
     throw new AppError('Failed to process refund', 500);
   }
-});
+
+  // Add the refund to the payment's ledger
+  const refund = payment.recordRefund({
+    refundId: refundResult.refundId,
+    amount: refundAmount,
+    currency: payment.currency,
+    status: refundResult.status,
+    reason,
+    applicant,
+    actor,
+  });
+  payment.providerResponse = refundResult.raw;
+
+  // The refund is in the ledger, so the lock is released with it
+  payment.refundLockedAt = undefined;
+  await payment.save();
+
+  await notifyRefund(
+    await findApplication(payment.applicationId),
+    payment,
+    refund
+  );
+
+  res.status(200).json({
+    success: true,
+    message:
+      payment.status === 'REFUNDED'
+        ? 'Payment refunded successfully'
+        : 'Payment partially refunded',
+    data: {
+      paymentId: payment.paymentId,
+      status: payment.status,
+      refundAmount: refundAmount,
+      currency: payment.currency,
+      refundId: refund.refundId,
+      refundedAt: refund.refundedAt,
+      refundedAmount: parseFloat(payment.refundedAmount),
+      refundableAmount: payment.getRefundableAmount(),
+    },
+  });
+};
 
 // @desc    Get payment statistics
-// @route   GET /api/v1/payment/stats
-// @access  Private/Admin
+// @route   GET /api/v1/payment/stats/payment
+// @access  Private (payments:stats)
 export const getPaymentStats = asyncHandler(async (req, res) => {
   const stats = await Payment.getPaymentStats();
 
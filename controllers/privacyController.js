@@ -0,0 +1,127 @@
+import { ZipArchive } from 'archiver';
+import { AppError, asyncHandler } from '../middleware/error-handler.js';
+import {
+  collectPersonalData,
+  erasePersonalData,
+  EXPORT_SECTIONS,
+  logPrivacyRequest,
+} from '../services/privacy.js';
+import {
+  privacyErasureSchema,
+  privacyExportQuerySchema,
+  validateData,
+} from '../utils/validation.js';
+
+// Requests are made for the signed-in account's own email address, which
+// the one-time code sign-in has verified
+const getVerifiedEmail = (req) => {
+  if (!req.user.emailVerified) {
+    throw new AppError('Please verify your email address first', 403);
+  }
+  return req.user.email.toLowerCase();
+};
+
+// @desc    Export all data held for the signed-in email address (JSON, or a
+//          ZIP with one JSON file per section)
+// @route   GET /api/v1/privacy/export
+// @access  Private (verified email)
+export const exportPersonalData = asyncHandler(async (req, res) => {
+  const email = getVerifiedEmail(req);
+
+  const validation = validateData(privacyExportQuerySchema, req.query);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const { format } = validation.data;
+  const data = await collectPersonalData(email, req.user);
+
+  await logPrivacyRequest({
+    type: 'EXPORT',
+    status: 'COMPLETED',
+    email,
+    userId: req.user.id,
+    format,
+    summary: Object.fromEntries(
+      EXPORT_SECTIONS.map((section) => [section, data[section].length])
+    ),
+  });
+
+  if (format !== 'zip') {
+    return res.status(200).json({ success: true, data });
+  }
+
+  const filename = `personal-data-${data.exportedAt.slice(0, 10)}.zip`;
+  res.status(200).set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+  archive.on('error', (error) => {
+    console.error('Personal data export failed:', error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+  archive.append(
+    JSON.stringify(
+      { exportedAt: data.exportedAt, subject: data.subject },
+      null,
+      2
+    ),
+    { name: 'subject.json' }
+  );
+  for (const section of EXPORT_SECTIONS) {
+    archive.append(JSON.stringify(data[section], null, 2), {
+      name: `${section}.json`,
+    });
+  }
+  await archive.finalize();
+});
+
+// @desc    Erase the personal data held for the signed-in email address
+//          (financial records are kept) and delete the applicant account
+// @route   POST /api/v1/privacy/erasure
+// @access  Private (verified email)
+export const erasePersonalDataRequest = asyncHandler(async (req, res) => {
+  const email = getVerifiedEmail(req);
+
+  const validation = validateData(privacyErasureSchema, req.body);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+  if (validation.data.confirmEmail !== email) {
+    throw new AppError(
+      'The confirmation email does not match your account',
+      400
+    );
+  }
+
+  let result;
+  try {
+    result = await erasePersonalData(email, req.user);
+  } catch (error) {
+    await logPrivacyRequest({
+      type: 'ERASURE',
+      status: error.statusCode === 409 ? 'REJECTED' : 'FAILED',
+      email,
+      userId: req.user.id,
+      reason: error.message,
+    });
+    throw error;
+  }
+
+  await logPrivacyRequest({
+    type: 'ERASURE',
+    status: 'COMPLETED',
+    email,
+    userId: req.user.id,
+    ...result,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Your personal data has been erased',
+    data: result,
+  });
+});
@@ -0,0 +1,133 @@
+import { AppError, asyncHandler } from '../middleware/error-handler.js';
+import PromoCode from '../models/PromoCode.js';
+import {
+  promoCodeCreateSchema,
+  promoCodeQuerySchema,
+  promoCodeUpdateSchema,
+  validateData,
+} from '../utils/validation.js';
+
+// Fields returned in promo code lists (redemptions are in the detail view)
+const LIST_FIELDS =
+  'code description type value countries validFrom validUntil maxRedemptions perEmailLimit redemptionCount isActive createdAt';
+
+// @desc    List promo codes with filters and pagination
+// @route   GET /api/v1/promo-codes
+// @access  Private (promotions:manage)
+export const listPromoCodes = asyncHandler(async (req, res) => {
+  const validation = validateData(promoCodeQuerySchema, req.query);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const { code, isActive, page, limit } = validation.data;
+
+  const filter = {};
+  if (code) filter.code = code.toUpperCase();
+  if (isActive) filter.isActive = isActive === 'true';
+
+  const [promoCodes, total] = await Promise.all([
+    PromoCode.find(filter)
+      .select(LIST_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PromoCode.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: promoCodes,
+    count: promoCodes.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+// @desc    Create a promo code
+// @route   POST /api/v1/promo-codes
+// @access  Private (promotions:manage)
+export const createPromoCode = asyncHandler(async (req, res) => {
+  const validation = validateData(promoCodeCreateSchema, req.body);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  if (await PromoCode.exists({ code: validation.data.code })) {
+    throw new AppError('A promo code with this code already exists', 409);
+  }
+
+  const promoCode = await PromoCode.create({
+    ...validation.data,
+    createdBy: req.user.email,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Promo code created',
+    data: promoCode,
+  });
+});
+
+// @desc    View a promo code with its redemptions
+// @route   GET /api/v1/promo-codes/:code
+// @access  Private (promotions:manage)
+export const getPromoCode = asyncHandler(async (req, res) => {
+  const promoCode = await PromoCode.findOne({
+    code: req.params.code.toUpperCase(),
+  }).lean();
+  if (!promoCode) {
+    throw new AppError('Promo code not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: promoCode,
+  });
+});
+
+// @desc    Update a promo code's terms or deactivate it (applications already
+//          priced keep their discount)
+// @route   PATCH /api/v1/promo-codes/:code
+// @access  Private (promotions:manage)
+export const updatePromoCode = asyncHandler(async (req, res) => {
+  const validation = validateData(promoCodeUpdateSchema, req.body);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const promoCode = await PromoCode.findOne({
+    code: req.params.code.toUpperCase(),
+  });
+  if (!promoCode) {
+    throw new AppError('Promo code not found', 404);
+  }
+
+  const updates = validation.data;
+  if (promoCode.type === 'percentage' && updates.value > 100) {
+    throw new AppError('A percentage discount cannot exceed 100', 400);
+  }
+
+  const validFrom = updates.validFrom || promoCode.validFrom;
+  const validUntil = updates.validUntil || promoCode.validUntil;
+  if (validFrom && validUntil && validFrom > validUntil) {
+    throw new AppError(
+      "'validFrom' date must be before 'validUntil' date",
+      400
+    );
+  }
+
+  promoCode.set(updates);
+  await promoCode.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Promo code updated',
+    data: promoCode,
+  });
+});
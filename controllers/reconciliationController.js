@@ -0,0 +1,93 @@
+import { AppError, asyncHandler } from '../middleware/error-handler.js';
+import ReconciliationReport from '../models/ReconciliationReport.js';
+import { reconcilePayments } from '../services/reconciliation.js';
+import {
+  reconciliationReportQuerySchema,
+  reconciliationRunSchema,
+  validateData,
+} from '../utils/validation.js';
+
+// Fields returned in report lists (discrepancies are in the detail view)
+const LIST_FIELDS =
+  'provider trigger actor dryRun startedAt finishedAt checked fixed applicationsPaid';
+
+// @desc    List reconciliation reports
+// @route   GET /api/v1/payment/reconciliation/reports
+// @access  Private (payments:reconcile)
+export const listReconciliationReports = asyncHandler(async (req, res) => {
+  const validation = validateData(reconciliationReportQuerySchema, req.query);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const { trigger, from, to, page, limit } = validation.data;
+
+  const filter = {};
+  if (trigger) filter.trigger = trigger;
+  if (from || to) {
+    filter.startedAt = {};
+    if (from) filter.startedAt.$gte = from;
+    if (to) filter.startedAt.$lte = to;
+  }
+
+  const [reports, total] = await Promise.all([
+    ReconciliationReport.find(filter)
+      .select(LIST_FIELDS)
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ReconciliationReport.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: reports,
+    count: reports.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+// @desc    View a reconciliation report with its discrepancies
+// @route   GET /api/v1/payment/reconciliation/reports/:reportId
+// @access  Private (payments:reconcile)
+export const getReconciliationReport = asyncHandler(async (req, res) => {
+  const report = await ReconciliationReport.findById(
+    req.params.reportId
+  ).lean();
+  if (!report) {
+    throw new AppError('Reconciliation report not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+});
+
+// @desc    Reconcile payments with PayPal now
+// @route   POST /api/v1/payment/reconciliation/run
+// @access  Private (payments:reconcile)
+export const runReconciliation = asyncHandler(async (req, res) => {
+  const validation = validateData(reconciliationRunSchema, req.body || {});
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const report = await reconcilePayments({
+    ...validation.data,
+    trigger: 'admin',
+    actor: req.user.email,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Reconciled ${report.checked} payments, ${report.discrepancies.length} discrepancies found`,
+    data: report,
+  });
+});
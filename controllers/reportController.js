@@ -0,0 +1,105 @@
+import { AppError, asyncHandler } from '../middleware/error-handler.js';
+import { getDestination } from '../services/destinations.js';
+import {
+  MONEY_FIELDS,
+  getFunnelReport as buildFunnelReport,
+  getRevenueReport as buildRevenueReport,
+} from '../services/financeReports.js';
+import { toCsv } from '../utils/csv.js';
+import {
+  funnelReportQuerySchema,
+  revenueReportQuerySchema,
+  validateData,
+} from '../utils/validation.js';
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Send a report as JSON, or as a CSV download named after the report and
+// its date range
+const sendReport = (res, { format, name, report, columns, rows }) => {
+  if (format !== 'csv') {
+    return res.status(200).json({ success: true, data: report });
+  }
+
+  const filename = `${name}-${formatDay(report.from)}-to-${formatDay(report.to)}.csv`;
+  res
+    .status(200)
+    .set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    })
+    .send(toCsv(columns, rows));
+};
+
+// @desc    Revenue of captured payments by day, week, month, passport
+//          country or currency, net of PayPal fees, refunds and reversals
+//          (JSON or CSV)
+// @route   GET /api/v1/reports/revenue
+// @access  Private (reports:read)
+export const getRevenueReport = asyncHandler(async (req, res) => {
+  const validation = validateData(revenueReportQuerySchema, req.query);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const { format, ...filters } = validation.data;
+  const report = await buildRevenueReport(filters);
+
+  const isCurrency = report.groupBy === 'currency';
+  const keyHeader = ['country', 'currency'].includes(report.groupBy)
+    ? report.groupBy
+    : 'period';
+  const columns = [
+    { key: 'key', header: keyHeader },
+    { key: 'payments', header: 'payments' },
+    ...MONEY_FIELDS.map((field) => ({
+      key: field,
+      header: `${field}_${report.currency.toLowerCase()}`,
+    })),
+    ...(isCurrency
+      ? MONEY_FIELDS.map((field) => ({
+          key: (row) => row.native[field],
+          header: `${field}_local`,
+        }))
+      : []),
+  ];
+
+  sendReport(res, {
+    format,
+    name: `revenue-by-${report.groupBy}`,
+    report,
+    columns,
+    rows: [...report.rows, { key: 'Total', ...report.totals, native: {} }],
+  });
+});
+
+// @desc    Conversion funnel of applications from started to paid (JSON or
+//          CSV)
+// @route   GET /api/v1/reports/funnel
+// @access  Private (reports:read)
+export const getFunnelReport = asyncHandler(async (req, res) => {
+  const validation = validateData(funnelReportQuerySchema, req.query);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const { format, ...filters } = validation.data;
+  if (filters.destination && !getDestination(filters.destination)) {
+    throw new AppError(`Unknown destination: ${filters.destination}`, 404);
+  }
+
+  const report = await buildFunnelReport(filters);
+
+  sendReport(res, {
+    format,
+    name: 'funnel',
+    report,
+    columns: [
+      { key: 'stage', header: 'stage' },
+      { key: 'count', header: 'applications' },
+      { key: 'conversionFromPrevious', header: 'conversion_from_previous_pct' },
+      { key: 'conversionFromStarted', header: 'conversion_from_started_pct' },
+    ],
+    rows: report.stages,
+  });
+});
@@ -0,0 +1,994 @@
+import { secret } from '../config/env.js';
+import { AppError, asyncHandler } from '../middleware/error-handler.js';
+import Payment from '../models/Payment.js';
+import {
+  EDITABLE_STATUSES,
+  assertStatus,
+  assertTransition,
+  transitionApplication,
+} from '../services/applicationState.js';
+import { expirePayment, isPaymentExpired } from '../services/paymentExpiry.js';
+import {
+  applyPricing,
+  priceApplication,
+  repriceDiscount,
+} from '../services/pricing.js';
+import { buildResumeUrl, issueResumeToken } from '../services/resumeToken.js';
+import {
+  generateApplicationId,
+  sendResumeLinkEmail,
+} from '../utils/application.js';
+import {
+  pricingCurrencySchema,
+  promoCodeApplySchema,
+  resumeApplicationSchema,
+  validateData,
+} from '../utils/validation.js';
+
+// @desc    Get visa fee information
+// @route   GET /api/v1/:destination/visa-fee
+// @access  Public
+export const getVisaFees = asyncHandler(async (req, res) => {
+  const { VisaFee } = req.destination;
+  const { country } = req.query;
+
+  let fees;
+  if (country) {
+    const fee = await VisaFee.getFeeByCountry(country);
+    if (!fee) {
+      throw new AppError(`Visa fee not found for country: ${country}`, 404);
+    }
+    fees = fee;
+  } else {
+    fees = await VisaFee.getAllActiveFees();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: fees,
+    count: Array.isArray(fees) ? fees.length : 1,
+  });
+});
+
+// @desc    Start new visa application
+// @route   POST /api/v1/:destination/start
+// @access  Public
+export const startApplication = asyncHandler(async (req, res) => {
+  const { Application, VisaFee, schemas } = req.destination;
+
+  // Validate input data
+  const validation = validateData(schemas.start, req.body);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const { passportCountry, travelDocument, visaType, destination, email } =
+    validation.data;
+
+  // Check if country is supported (by name or ISO code)
+  const supportedCountry =
+    await req.destination.findSupportedCountry(passportCountry);
+  if (!supportedCountry) {
+    throw new AppError(
+      `Visa service not available for ${passportCountry}`,
+      400
+    );
+  }
+
+  // Allow multiple applications with same email - no restriction
+
+  // Generate unique application ID
+  let applicationId;
+  let isUnique = false;
+  let attempts = 0;
+
+  while (!isUnique && attempts < 10) {
+    applicationId = generateApplicationId(req.destination.idPrefix);
+    const existing = await Application.findOne({ applicationId });
+    if (!existing) {
+      isUnique = true;
+    }
+    attempts++;
+  }
+
+  if (!isUnique) {
+    throw new AppError('Unable to generate unique application ID', 500);
+  }
+
+  // Get visa fee for the country
+  const visaFee = await VisaFee.getFeeByCountry(supportedCountry.name);
+  if (!visaFee) {
+    throw new AppError(
+      `Visa fee information not available for ${supportedCountry.name}`,
+      404
+    );
+  }
+
+  // Create new application (draft -> started sends the confirmation email)
+  const application = new Application({
+    applicationId,
+    passportCountry: supportedCountry.name,
+    travelDocument,
+    visaType,
+    destination,
+    email,
+    status: 'draft',
+    visaFee: visaFee.visaFee,
+    serviceFee: visaFee.serviceFee,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+
+  // Issue the resume token required by every subsequent request
+  const { token, expiresAt } = issueResumeToken(application);
+
+  await transitionApplication(application, 'started', {
+    resumeUrl: buildResumeUrl(applicationId, token),
+  });
+
+  // Calculate total fee
+  const totalFee = visaFee.visaFee * 1 + visaFee.serviceFee;
+
+  res.status(201).json({
+    success: true,
+    message: 'Application started successfully',
+    data: {
+      applicationId,
+      email,
+      status: application.status,
+      currentStep: application.currentStep,
+      nextStep: 'applicant-details',
+      estimatedTotalFee: totalFee,
+      resumeToken: token,
+      resumeTokenExpiresAt: expiresAt,
+    },
+  });
+});
+
+// @desc    Rotate the resume token of an application
+// @route   POST /api/v1/:destination/application/:applicationId/resume-token
+// @access  Resume token
+export const rotateResumeToken = asyncHandler(async (req, res) => {
+  const { Application } = req.destination;
+  const { applicationId } = req.params;
+
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  const { token, expiresAt } = issueResumeToken(application);
+  await application.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Resume token rotated successfully',
+    data: {
+      applicationId,
+      resumeToken: token,
+      resumeTokenExpiresAt: expiresAt,
+    },
+  });
+});
+
+// @desc    Email a fresh resume link to the application owner
+// @route   POST /api/v1/:destination/resume
+// @access  Public
+export const requestResumeLink = asyncHandler(async (req, res) => {
+  const { Application } = req.destination;
+
+  const validation = validateData(resumeApplicationSchema, req.body);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const { applicationId, email } = validation.data;
+
+  // Respond identically whether or not the application matches, so the
+  // endpoint cannot be used to discover application ids
+  const application = await Application.findOne({ applicationId, email });
+  if (application) {
+    const { token, expiresAt } = issueResumeToken(application);
+    await application.save();
+
+    try {
+      await sendResumeLinkEmail(
+        email,
+        applicationId,
+        buildResumeUrl(applicationId, token),
+        expiresAt
+      );
+    } catch (emailError) {
+      console.error('Failed to send resume link email:', emailError);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message:
+      'If the application exists, a new link has been sent to its email address',
+  });
+});
+
+// @desc    Save applicant details (Step 2)
+// @route   POST /api/v1/:destination/applicant-details
+// @access  Resume token
+export const saveApplicantDetails = asyncHandler(async (req, res) => {
+  const { Application, schemas } = req.destination;
+  const { applicationId, applicantDetails } = req.body;
+
+  if (!applicationId) {
+    throw new AppError('Application ID is required', 400);
+  }
+
+  // Find application
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  // Check if application is in correct state
+  assertTransition(application, 'applicant_details_completed');
+
+  // Validate applicant details
+  const validation = validateData(schemas.applicantDetails, applicantDetails);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  // Update application with main applicant details
+  application.mainApplicant = {
+    ...validation.data,
+    arrivalDate: new Date(validation.data.arrivalDate),
+    dateOfBirth: new Date(validation.data.dateOfBirth),
+    passportIssueDate: new Date(validation.data.passportIssueDate),
+    passportExpiryDate: new Date(validation.data.passportExpiryDate),
+  };
+
+  // Skips straight to the documents step
+  await transitionApplication(application, 'applicant_details_completed');
+
+  res.status(200).json({
+    success: true,
+    message: 'Applicant details saved successfully',
+    data: {
+      applicationId,
+      status: application.status,
+      currentStep: application.currentStep,
+      nextStep: 'documents',
+    },
+  });
+});
+
+// @desc    Upload documents (Step 3)
+// @route   POST /api/v1/:destination/documents
+// @access  Resume token
+export const uploadDocuments = asyncHandler(async (req, res) => {
+  const { Application, schemas } = req.destination;
+  const { applicationId, documents } = req.body;
+
+  if (!applicationId) {
+    throw new AppError('Application ID is required', 400);
+  }
+
+  // Find application
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  // Check if we're in the correct status for document upload
+  assertTransition(application, 'documents_completed');
+
+  // Validate document data
+  const validation = validateData(schemas.documents, documents);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  // Update main applicant documents
+  application.mainApplicant.documents = validation.data;
+
+  // Update application status
+  await transitionApplication(application, 'documents_completed');
+
+  res.status(200).json({
+    success: true,
+    message: 'Documents uploaded successfully',
+    data: {
+      applicationId,
+      status: application.status,
+      currentStep: application.currentStep,
+      nextStep: 'add-applicant',
+    },
+  });
+});
+
+export const updateDocuments = asyncHandler(async (req, res) => {
+  const { Application, schemas } = req.destination;
+  const { applicationId } = req.params;
+  const { documents } = req.body;
+
+  if (!applicationId) {
+    throw new AppError('Application ID is required', 400);
+  }
+
+  // Find application
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  assertStatus(application, EDITABLE_STATUSES, 'update documents');
+
+  // Check if application has main applicant
+  if (!application.mainApplicant) {
+    throw new AppError('Please complete applicant details first', 400);
+  }
+
+  // Check if application has existing documents to update
+  if (!application.mainApplicant.documents) {
+    throw new AppError('No documents found to update', 400);
+  }
+
+  // Validate document data
+  const validation = validateData(schemas.documents, documents);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  // Update main applicant documents
+  application.mainApplicant.documents = validation.data;
+
+  application.updatedAt = new Date();
+
+  await application.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Documents updated successfully',
+    data: {
+      applicationId,
+      status: application.status,
+      currentStep: application.currentStep,
+      documents: application.mainApplicant.documents,
+      updatedAt: application.updatedAt,
+    },
+  });
+});
+
+// @desc    Add additional applicant (Step 4)
+// @route   POST /api/v1/:destination/add-applicant
+// @access  Resume token
+export const addApplicant = asyncHandler(async (req, res) => {
+  const { Application, schemas } = req.destination;
+  const { applicationId, applicant } = req.body;
+
+  if (!applicationId) {
+    throw new AppError('Application ID is required', 400);
+  }
+
+  // Find application
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  // Check if main applicant documents are completed
+  assertStatus(application, ['documents_completed'], 'add applicants');
+
+  // Validate additional applicant data
+  const validation = validateData(schemas.addApplicant, { applicant });
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  // Initialize additional applicants array if it doesn't exist
+  if (!application.additionalApplicants) {
+    application.additionalApplicants = [];
+  }
+
+  // Add new applicant
+  const newApplicant = {
+    ...validation.data.applicant,
+    arrivalDate: new Date(validation.data.applicant.arrivalDate),
+    dateOfBirth: new Date(validation.data.applicant.dateOfBirth),
+    passportIssueDate: new Date(validation.data.applicant.passportIssueDate),
+    passportExpiryDate: new Date(validation.data.applicant.passportExpiryDate),
+  };
+
+  application.additionalApplicants.push(newApplicant);
+
+  await application.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Additional applicant added successfully',
+    data: {
+      applicationId,
+      totalApplicants: application.totalApplicants,
+      status: application.status,
+      currentStep: application.currentStep,
+    },
+  });
+});
+
+// @desc    Get application by ID
+// @route   GET /api/v1/:destination/application/:applicationId
+// @access  Resume token
+export const getApplication = asyncHandler(async (req, res) => {
+  const { Application } = req.destination;
+  const { applicationId } = req.params;
+  const { email } = req.query;
+
+  if (!applicationId) {
+    throw new AppError('Application ID is required', 400);
+  }
+
+  // Find application
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  // If email is provided, verify it matches
+  if (email && application.email !== email.toLowerCase()) {
+    throw new AppError('Unauthorized access to application', 403);
+  }
+
+  // Remove sensitive information from response
+  const applicationData = application.toObject();
+  delete applicationData.ipAddress;
+  delete applicationData.userAgent;
+
+  res.status(200).json({
+    success: true,
+    data: applicationData,
+  });
+});
+
+// @desc    Get the fee breakdown of an application (a live quote in the
+//          requested `currency` until the application is submitted, the
+//          frozen snapshot afterwards)
+// @route   GET /api/v1/:destination/application/:applicationId/pricing
+// @access  Resume token
+export const getApplicationPricing = asyncHandler(async (req, res) => {
+  const { Application, VisaFee } = req.destination;
+  const { applicationId } = req.params;
+
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  const validation = validateData(pricingCurrencySchema, req.query);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const pricing =
+    application.pricing ||
+    (await priceApplication(application, VisaFee, validation.data));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      applicationId,
+      status: application.status,
+      quote: !application.pricing,
+      pricing,
+    },
+  });
+});
+
+// Whether a payment was started for the application; abandoned orders are
+// cancelled first so they do not block a new price
+const hasOpenPayment = async (applicationId) => {
+  const payments = await Payment.find({
+    applicationId,
+    status: {
+      $in: [
+        'PENDING',
+        'CREATED',
+        'APPROVED',
+        'CAPTURE_PENDING',
+        'COMPLETED',
+        'AMOUNT_MISMATCH',
+        'PARTIALLY_REFUNDED',
+      ],
+    },
+  });
+
+  for (const payment of payments) {
+    if (!isPaymentExpired(payment) || !(await expirePayment(payment)).expired) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Store (or clear, without a code) the application's promo code and price
+// it: a live quote before submission, the frozen snapshot re-discounted
+// after it
+const updatePromoCode = async (req, { code, currency }) => {
+  const { Application, VisaFee } = req.destination;
+  const { applicationId } = req.params;
+
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  assertStatus(
+    application,
+    [...EDITABLE_STATUSES, 'submitted'],
+    'change the promo code'
+  );
+
+  if (
+    application.status === 'submitted' &&
+    (await hasOpenPayment(applicationId))
+  ) {
+    throw new AppError(
+      'A payment has already been started for this application',
+      409
+    );
+  }
+
+  application.promoCode = code ? { code, appliedAt: new Date() } : undefined;
+
+  // Pricing checks the code, so an unusable one is never stored
+  let pricing;
+  if (application.pricing) {
+    pricing = await repriceDiscount(application, VisaFee);
+    applyPricing(application, pricing);
+  } else {
+    pricing = await priceApplication(application, VisaFee, { currency });
+  }
+
+  await application.save();
+
+  return {
+    applicationId,
+    status: application.status,
+    quote: !application.pricing,
+    pricing,
+  };
+};
+
+// @desc    Apply a promo code to an application's service fees (before
+//          payment) and return the discounted pricing
+// @route   POST /api/v1/:destination/application/:applicationId/promo-code
+// @access  Resume token
+export const applyPromoCode = asyncHandler(async (req, res) => {
+  const validation = validateData(promoCodeApplySchema, req.body);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const data = await updatePromoCode(req, validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Promo code applied',
+    data,
+  });
+});
+
+// @desc    Remove the promo code from an application (before payment)
+// @route   DELETE /api/v1/:destination/application/:applicationId/promo-code
+// @access  Resume token
+export const removePromoCode = asyncHandler(async (req, res) => {
+  const validation = validateData(pricingCurrencySchema, req.query);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const data = await updatePromoCode(req, validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Promo code removed',
+    data,
+  });
+});
+
+// @desc    List applications belonging to the signed-in applicant
+// @route   GET /api/v1/:destination/my-applications
+// @access  Private
+export const getMyApplications = asyncHandler(async (req, res) => {
+  const { Application } = req.destination;
+
+  if (!req.user.emailVerified) {
+    throw new AppError('Please verify your email address first', 403);
+  }
+
+  const applications = await Application.findByEmail(
+    req.user.email.toLowerCase()
+  )
+    .select(
+      'applicationId passportCountry visaType destination status currentStep totalFee submittedAt createdAt updatedAt'
+    )
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    data: applications,
+    count: applications.length,
+  });
+});
+
+// @desc    Get application status history
+// @route   GET /api/v1/:destination/application/:applicationId/history
+// @access  Resume token
+export const getApplicationHistory = asyncHandler(async (req, res) => {
+  const { Application } = req.destination;
+  const { applicationId } = req.params;
+
+  const application = await Application.findOne(
+    { applicationId },
+    { applicationId: 1, status: 1, statusHistory: 1 }
+  ).lean();
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  const history = application.statusHistory || [];
+
+  res.status(200).json({
+    success: true,
+    data: {
+      applicationId,
+      status: application.status,
+      history,
+    },
+    count: history.length,
+  });
+});
+
+// @desc    Get issued e-visas of an approved application
+// @route   GET /api/v1/:destination/application/:applicationId/issued-visas
+// @access  Resume token
+export const getIssuedVisas = asyncHandler(async (req, res) => {
+  const { Application } = req.destination;
+  const { applicationId } = req.params;
+
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  assertStatus(application, ['approved'], 'download issued visas');
+
+  const applicants = [
+    { applicant: 'main', details: application.mainApplicant },
+    ...(application.additionalApplicants || []).map((details, index) => ({
+      applicant: index,
+      details,
+    })),
+  ];
+
+  const visas = applicants
+    .filter(({ details }) => details?.issuedVisa?.url)
+    .map(({ applicant, details }) => ({
+      applicant,
+      name: `${details.givenNames} ${details.surname}`,
+      url: details.issuedVisa.url,
+      format: details.issuedVisa.format,
+      uploadedAt: details.issuedVisa.uploadedAt,
+    }));
+
+  res.status(200).json({
+    success: true,
+    data: visas,
+    count: visas.length,
+  });
+});
+
+// @desc    Submit application for processing
+// @route   POST /api/v1/:destination/submit
+// @access  Resume token
+export const submitApplication = asyncHandler(async (req, res) => {
+  const { Application, VisaFee } = req.destination;
+  const { applicationId } = req.body;
+
+  if (!applicationId) {
+    throw new AppError('Application ID is required', 400);
+  }
+
+  // Find application
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  assertTransition(application, 'submitted');
+
+  const validation = validateData(pricingCurrencySchema, {
+    currency: req.body.currency,
+  });
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  // Snapshot the current fee terms and exchange rate in the chosen currency;
+  // the payment amount is taken from them
+  const pricing = await priceApplication(application, VisaFee, validation.data);
+
+  // Stores the pricing, stamps submittedAt and sends the completion email;
+  // requires complete main applicant information
+  await transitionApplication(application, 'submitted', { pricing });
+
+  res.status(200).json({
+    success: true,
+    message: 'Application submitted successfully',
+    data: {
+      applicationId,
+      status: application.status,
+      totalApplicants: application.totalApplicants,
+      totalFee: application.totalFee,
+      pricing: application.pricing,
+      submittedAt: application.submittedAt,
+    },
+  });
+});
+
+// @desc    Get supported countries
+// @route   GET /api/v1/:destination/countries
+// @access  Public
+export const updateApplication = asyncHandler(async (req, res) => {
+  const { Application, schemas } = req.destination;
+
+  // Validate input data
+  const validation = validateData(schemas.update, req.body);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const { passportCountry, travelDocument, visaType, destination } =
+    validation.data;
+  const { applicationId } = req.params;
+
+  // Check if application exists
+  const existingApplication = await Application.findOne({
+    applicationId,
+  });
+  if (!existingApplication) {
+    throw new AppError('Application not found', 404);
+  }
+
+  assertStatus(existingApplication, EDITABLE_STATUSES, 'update application');
+
+  // The email address owns the application; a resume token alone must not
+  // be able to move it (and later signed-in access) to another address
+  if (
+    req.body.email !== undefined &&
+    String(req.body.email).trim().toLowerCase() !== existingApplication.email
+  ) {
+    throw new AppError(
+      'The email address of an application cannot be changed',
+      400
+    );
+  }
+
+  // Check if country is supported (by name or ISO code)
+  const supportedCountry =
+    await req.destination.findSupportedCountry(passportCountry);
+  if (!supportedCountry) {
+    throw new AppError(
+      `Visa service not available for ${passportCountry}`,
+      400
+    );
+  }
+
+  // Update application
+  existingApplication.passportCountry = supportedCountry.name;
+  existingApplication.travelDocument = travelDocument;
+  existingApplication.visaType = visaType;
+  existingApplication.destination = destination;
+  existingApplication.updatedAt = new Date();
+
+  await existingApplication.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Application updated successfully',
+    data: {
+      applicationId: existingApplication.applicationId,
+      passportCountry: existingApplication.passportCountry,
+      visaType: existingApplication.visaType,
+      destination: existingApplication.destination,
+      email: existingApplication.email,
+      status: existingApplication.status,
+      updatedAt: existingApplication.updatedAt,
+    },
+  });
+});
+
+export const updateApplicantDetails = asyncHandler(async (req, res) => {
+  const { Application, schemas } = req.destination;
+  const { applicationId } = req.params;
+  const { applicantDetails } = req.body;
+
+  if (!applicationId) {
+    throw new AppError('Application ID is required', 400);
+  }
+
+  // Find application
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  assertStatus(application, EDITABLE_STATUSES, 'update applicant details');
+
+  // Check if application has applicant details to update
+  if (!application.mainApplicant) {
+    throw new AppError('No applicant details found to update', 400);
+  }
+
+  // Validate applicant details
+  const validation = validateData(schemas.applicantDetails, applicantDetails);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  // Update application with main applicant details
+  application.mainApplicant = {
+    ...validation.data,
+    arrivalDate: new Date(validation.data.arrivalDate),
+    dateOfBirth: new Date(validation.data.dateOfBirth),
+    passportIssueDate: new Date(validation.data.passportIssueDate),
+    passportExpiryDate: new Date(validation.data.passportExpiryDate),
+  };
+
+  application.updatedAt = new Date();
+
+  await application.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Applicant details updated successfully',
+    data: {
+      applicationId,
+      status: application.status,
+      currentStep: application.currentStep,
+      mainApplicant: application.mainApplicant,
+      updatedAt: application.updatedAt,
+    },
+  });
+});
+
+export const getSupportedCountriesList = asyncHandler(async (req, res) => {
+  const countries = await req.destination.getSupportedCountries();
+
+  res.set(
+    'Cache-Control',
+    `public, max-age=${secret.countriesCacheTtlSeconds}`
+  );
+  res.status(200).json({
+    success: true,
+    data: countries,
+    count: countries.length,
+  });
+});
+
+// @desc    Update a specific additional applicant
+// @route   PUT /api/v1/:destination/add-applicant/:applicationId/:index
+// @access  Resume token
+export const updateApplicant = asyncHandler(async (req, res) => {
+  const { Application, schemas } = req.destination;
+  const { applicationId, index } = req.params;
+  const { applicant } = req.body;
+
+  if (!applicationId) {
+    throw new AppError('Application ID is required', 400);
+  }
+
+  if (index === undefined || index === null) {
+    throw new AppError('Applicant index is required', 400);
+  }
+
+  const applicantIndex = parseInt(index);
+  if (isNaN(applicantIndex) || applicantIndex < 0) {
+    throw new AppError('Invalid applicant index', 400);
+  }
+
+  // Find application
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  assertStatus(application, EDITABLE_STATUSES, 'update applicants');
+
+  // Check if index exists
+  if (
+    !application.additionalApplicants ||
+    applicantIndex >= application.additionalApplicants.length
+  ) {
+    throw new AppError('Applicant not found at specified index', 404);
+  }
+
+  // Validate applicant data
+  const validation = validateData(schemas.addApplicant, { applicant });
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  // Update the applicant at the specified index
+  const updatedApplicant = {
+    ...validation.data.applicant,
+    arrivalDate: new Date(validation.data.applicant.arrivalDate),
+    dateOfBirth: new Date(validation.data.applicant.dateOfBirth),
+    passportIssueDate: new Date(validation.data.applicant.passportIssueDate),
+    passportExpiryDate: new Date(validation.data.applicant.passportExpiryDate),
+  };
+
+  application.additionalApplicants[applicantIndex] = updatedApplicant;
+  await application.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Additional applicant updated successfully',
+    data: {
+      applicationId,
+      updatedApplicant: application.additionalApplicants[applicantIndex],
+      index: applicantIndex,
+    },
+  });
+});
+
+// @desc    Delete a specific additional applicant
+// @route   DELETE /api/v1/:destination/add-applicant/:applicationId/:index
+// @access  Resume token
+export const deleteApplicant = asyncHandler(async (req, res) => {
+  const { Application } = req.destination;
+  const { applicationId, index } = req.params;
+
+  if (!applicationId) {
+    throw new AppError('Application ID is required', 400);
+  }
+
+  if (index === undefined || index === null) {
+    throw new AppError('Applicant index is required', 400);
+  }
+
+  const applicantIndex = parseInt(index);
+  if (isNaN(applicantIndex) || applicantIndex < 0) {
+    throw new AppError('Invalid applicant index', 400);
+  }
+
+  // Find application
+  const application = await Application.findOne({ applicationId });
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  assertStatus(application, EDITABLE_STATUSES, 'remove applicants');
+
+  // Check if index exists
+  if (
+    !application.additionalApplicants ||
+    applicantIndex >= application.additionalApplicants.length
+  ) {
+    throw new AppError('Applicant not found at specified index', 404);
+  }
+
+  // Remove the applicant at the specified index
+  const deletedApplicant = application.additionalApplicants.splice(
+    applicantIndex,
+    1
+  )[0];
+  await application.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Additional applicant deleted successfully',
+    data: {
+      applicationId,
+      deletedApplicant,
+      index: applicantIndex,
+    },
+  });
+});
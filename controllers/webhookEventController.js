@@ -0,0 +1,99 @@
+import { AppError, asyncHandler } from '../middleware/error-handler.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { replayWebhookEvent as replayEvent } from '../services/webhookInbox.js';
+import { validateData, webhookEventQuerySchema } from '../utils/validation.js';
+
+// Fields returned in event lists (the raw payload is only in the detail view)
+const LIST_FIELDS =
+  'provider eventId eventType verified status attempts nextAttemptAt lastError paymentId receivedAt processedAt';
+
+// @desc    List stored webhook events with filters and pagination
+// @route   GET /api/v1/payment/webhooks/events
+// @access  Private (payments:webhooks)
+export const listWebhookEvents = asyncHandler(async (req, res) => {
+  const validation = validateData(webhookEventQuerySchema, req.query);
+  if (!validation.success) {
+    throw new AppError('Validation failed', 400, true);
+  }
+
+  const { provider, status, eventType, paymentId, from, to, page, limit } =
+    validation.data;
+
+  const filter = {};
+  if (provider) filter.provider = provider;
+  if (status) filter.status = status;
+  if (eventType) filter.eventType = eventType;
+  if (paymentId) filter.paymentId = paymentId;
+  if (from || to) {
+    filter.receivedAt = {};
+    if (from) filter.receivedAt.$gte = from;
+    if (to) filter.receivedAt.$lte = to;
+  }
+
+  const [events, total] = await Promise.all([
+    WebhookEvent.find(filter)
+      .select(LIST_FIELDS)
+      .sort({ receivedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    WebhookEvent.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: events,
+    count: events.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+// @desc    View a stored webhook event with its raw payload
+// @route   GET /api/v1/payment/webhooks/events/:eventId
+// @access  Private (payments:webhooks)
+export const getWebhookEvent = asyncHandler(async (req, res) => {
+  const event = await WebhookEvent.findOne({
+    eventId: req.params.eventId,
+  }).lean();
+  if (!event) {
+    throw new AppError('Webhook event not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: event,
+  });
+});
+
+// @desc    Replay a stored webhook event (e.g. from the dead-letter state)
+// @route   POST /api/v1/payment/webhooks/events/:eventId/replay
+// @access  Private (payments:webhooks)
+export const replayWebhookEvent = asyncHandler(async (req, res) => {
+  const event = await WebhookEvent.findOne({ eventId: req.params.eventId });
+  if (!event) {
+    throw new AppError('Webhook event not found', 404);
+  }
+
+  const replayed = await replayEvent(event, req.user.email);
+
+  res.status(200).json({
+    success: true,
+    message: `Webhook event replayed: ${replayed.status}`,
+    data: {
+      eventId: replayed.eventId,
+      provider: replayed.provider,
+      eventType: replayed.eventType,
+      status: replayed.status,
+      attempts: replayed.attempts,
+      lastError: replayed.lastError,
+      paymentId: replayed.paymentId,
+      nextAttemptAt: replayed.nextAttemptAt,
+      processedAt: replayed.processedAt,
+    },
+  });
+});
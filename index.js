@@ -1,6 +1,7 @@
 import compression from 'compression';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import { toNodeHandler } from 'better-auth/node';
 import express from 'express';
 import helmet from 'helmet';
 import morgan from 'morgan';
@@ -12,14 +13,25 @@ dotenv.config();
 import { secret } from './config/env.js';
 
 // Import routes
+import adminApplicationRoutes from './routes/adminApplication.js';
+import destinationRoutes from './routes/destination.js';
+import disputeRoutes from './routes/dispute.js';
+import exchangeRateRoutes from './routes/exchangeRate.js';
 import documentRoutes from './routes/document.js';
 import healthRoutes from './routes/health.js';
 import paymentRoutes from './routes/payment.js';
-import turkeyVisaRoutes from './routes/turkeyVisa.js';
+import privacyRoutes from './routes/privacy.js';
+import promoCodeRoutes from './routes/promoCode.js';
+import reportRoutes from './routes/report.js';
+import visaApplicationRoutes from './routes/visaApplication.js';
 
 // Import middleware
+import { auth } from './config/auth.js';
 import connectDB from './config/db.js';
 import { errorHandler } from './middleware/error-handler.js';
+import { startOrderExpiryWorker } from './services/paymentExpiry.js';
+import { startReconciliationWorker } from './services/reconciliation.js';
+import { startWebhookWorker } from './services/webhookInbox.js';
 
 // Import database connection and logger
 
@@ -37,7 +49,22 @@ app.use(
 
 // Cross-origin resource sharing
 app.use(compression()); // Gzip compression
-app.use(express.json({ limit: '10mb' })); // JSON body parsing
+
+// Authentication routes (better-auth parses its own body, so this must be
+// mounted before the JSON body parser)
+app.all('/api/v1/auth/*splat', toNodeHandler(auth));
+
+app.use(
+  express.json({
+    limit: '10mb',
+    // Keep the raw body where webhook signatures are computed over it
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/v1/payment/stripe/webhook')) {
+        req.rawBody = buf;
+      }
+    },
+  })
+); // JSON body parsing
 app.use(express.urlencoded({ extended: true })); // URL-encoded body parsing
 
 // Request logging
@@ -49,6 +76,15 @@ if (secret.nodeEnv === 'development') {
 
 connectDB();
 
+// Retry stored webhook events that are due
+startWebhookWorker();
+
+// Reconcile stuck payments with PayPal
+startReconciliationWorker();
+
+// Cancel abandoned PayPal orders
+startOrderExpiryWorker();
+
 // Health check route
 app.use('/', healthRoutes);
 
@@ -66,8 +102,31 @@ app.use('/api/v1', documentRoutes);
 // Payment routes (global)
 app.use('/api/v1/payment', paymentRoutes);
 
-// Turkey Visa API routes
-app.use('/api/v1/turkey', turkeyVisaRoutes);
+// Payment disputes (back office)
+app.use('/api/v1/disputes', disputeRoutes);
+
+// Exchange rates for multi-currency pricing
+app.use('/api/v1/exchange-rates', exchangeRateRoutes);
+
+// Promo codes (back office)
+app.use('/api/v1/promo-codes', promoCodeRoutes);
+
+// Finance reports (back office)
+app.use('/api/v1/reports', reportRoutes);
+
+// Personal data export and erasure (GDPR)
+app.use('/api/v1/privacy', privacyRoutes);
+
+// Destination registry
+app.use('/api/v1/destinations', destinationRoutes);
+
+// Back-office routes (per destination)
+app.use('/api/v1/admin/:destination', adminApplicationRoutes);
+
+// Visa application routes (per destination, e.g. /api/v1/turkey). Mounted
+// last so the destination slug cannot shadow the routes above.
+app.use('/api/v1/:destination', visaApplicationRoutes);
+
 // 404 handler for undefined routes
 // app.use('*', (req, res) => {
 //   res.status(404).json({
@@ -0,0 +1,29 @@
+import { fromNodeHeaders } from 'better-auth/node';
+import { auth } from '../config/auth.js';
+import { AuthError, asyncHandler } from './error-handler.js';
+
+// Resolve the better-auth session for a request (null when signed out)
+export const getRequestSession = (req) =>
+  auth.api.getSession({ headers: fromNodeHeaders(req.headers) });
+
+// Attach req.user/req.session when a session exists, without requiring one
+export const optionalAuth = asyncHandler(async (req, res, next) => {
+  const session = await getRequestSession(req);
+  if (session) {
+    req.user = session.user;
+    req.session = session.session;
+  }
+  next();
+});
+
+// Require a signed-in user
+export const requireAuth = asyncHandler(async (req, res, next) => {
+  const session = await getRequestSession(req);
+  if (!session) {
+    throw new AuthError('Authentication required', 401, 'UNAUTHENTICATED');
+  }
+
+  req.user = session.user;
+  req.session = session.session;
+  next();
+});
@@ -0,0 +1,54 @@
+import { requireAuth } from './auth.js';
+import { AuthError } from './error-handler.js';
+
+// All account roles; every role except `applicant` is back-office staff
+export const ROLES = ['applicant', 'agent', 'finance', 'admin'];
+export const STAFF_ROLES = ['agent', 'finance', 'admin'];
+
+// Permission -> roles allowed to exercise it. Routes declare the permission
+// they need with authorize(); add new back-office permissions here.
+export const PERMISSIONS = {
+  'applications:read': ['agent', 'finance', 'admin'],
+  'applications:review': ['agent', 'admin'],
+  'applications:export': ['agent', 'admin'],
+  'documents:delete': ['agent', 'admin'],
+  'visas:issue': ['agent', 'admin'],
+  'payments:refund': ['finance', 'admin'],
+  'payments:stats': ['finance', 'admin'],
+  'payments:webhooks': ['finance', 'admin'],
+  'payments:reconcile': ['finance', 'admin'],
+  'payments:invoices': ['finance', 'admin'],
+  'reports:read': ['finance', 'admin'],
+  'rates:manage': ['finance', 'admin'],
+  'disputes:read': ['finance', 'admin'],
+  'disputes:manage': ['finance', 'admin'],
+  'promotions:manage': ['finance', 'admin'],
+};
+
+// Check whether a role grants a permission
+export const hasPermission = (role, permission) =>
+  (PERMISSIONS[permission] || []).includes(role);
+
+// Require a signed-in user whose role grants `permission`
+export const authorize = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return [
+    requireAuth,
+    (req, res, next) => {
+      if (!hasPermission(req.user.role, permission)) {
+        return next(
+          new AuthError(
+            'You do not have permission to perform this action',
+            403,
+            'FORBIDDEN',
+            { permission, role: req.user.role || null }
+          )
+        );
+      }
+      next();
+    },
+  ];
+};
@@ -0,0 +1,13 @@
+import { getDestination } from '../services/destinations.js';
+
+// Resolve :destination into req.destination. Unknown destinations skip the
+// rest of the router so other /api/v1/* routes (and the 404) still match.
+export const resolveDestination = (req, res, next) => {
+  const destination = getDestination(req.params.destination);
+  if (!destination) {
+    return next('router');
+  }
+
+  req.destination = destination;
+  next();
+};
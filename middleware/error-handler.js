@@ -10,6 +10,29 @@ export class AppError extends Error {
   }
 }
 
+// Authentication/authorization error with a machine-readable code
+export class AuthError extends AppError {
+  constructor(
+    message,
+    statusCode = 401,
+    errorCode = 'UNAUTHENTICATED',
+    details
+  ) {
+    super(message, statusCode);
+    this.errorCode = errorCode;
+    this.details = details;
+  }
+}
+
+// Payment error with a machine-readable code (e.g. AMOUNT_MISMATCH)
+export class PaymentError extends AppError {
+  constructor(message, statusCode = 400, errorCode = 'PAYMENT_ERROR', details) {
+    super(message, statusCode);
+    this.errorCode = errorCode;
+    this.details = details;
+  }
+}
+
 // Handle MongoDB/Mongoose errors
 const handleMongooseError = (error) => {
   if (error.name === 'ValidationError') {
@@ -41,10 +64,12 @@ const sendErrorDev = (err, res) => {
   res.status(err.statusCode).json({
     success: false,
     error: {
-      code: err.status || 'INTERNAL_SERVER_ERROR',
+      code: err.errorCode || err.status || 'INTERNAL_SERVER_ERROR',
       message: err.message,
       stack: err.stack,
-      ...(err.errors && { details: err.errors }),
+      ...((err.details || err.errors) && {
+        details: err.details || err.errors,
+      }),
     },
     ...(process.env.NODE_ENV === 'development' && {
       stack: err.stack,
@@ -59,8 +84,9 @@ const sendErrorProd = (err, res) => {
     res.status(err.statusCode).json({
       success: false,
       error: {
-        code: err.status || 'INTERNAL_SERVER_ERROR',
+        code: err.errorCode || err.status || 'INTERNAL_SERVER_ERROR',
         message: err.message,
+        ...(err.details && { details: err.details }),
       },
     });
   } else {
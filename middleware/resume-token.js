@@ -0,0 +1,83 @@
+import Payment from '../models/Payment.js';
+import { getDestinationByApplicationId } from '../services/destinations.js';
+import {
+  RESUME_TOKEN_FIELDS,
+  verifyResumeToken,
+} from '../services/resumeToken.js';
+import { getRequestSession } from './auth.js';
+import { hasPermission } from './authorize.js';
+import { AppError, asyncHandler } from './error-handler.js';
+
+// Read the resume token from the X-Resume-Token header or ?token= query
+const extractResumeToken = (req) =>
+  req.get('X-Resume-Token') || req.query.token || null;
+
+// Check that the request carries the application's resume token, or the
+// session of an applicant signed in with the application's email.
+// Unknown applications get the same response so ids cannot be probed.
+const assertApplicationAccess = async (req, Application, applicationId) => {
+  const token = extractResumeToken(req);
+  const session = token ? null : await getRequestSession(req);
+  if (!token && !session) {
+    throw new AppError('Resume token is required', 401);
+  }
+
+  const application = Application
+    ? await Application.findOne({ applicationId }).select(RESUME_TOKEN_FIELDS)
+    : null;
+
+  const isAuthorized =
+    !!application &&
+    (token
+      ? verifyResumeToken(application, token)
+      : session.user.emailVerified &&
+        session.user.email.toLowerCase() === application.email);
+
+  if (!isAuthorized) {
+    throw new AppError('Invalid or expired resume token', 401);
+  }
+};
+
+// Require a valid resume token for the application addressed by the request
+// (applicationId taken from the route params or the JSON body). Applicants
+// signed in with the application's email may use their session instead.
+// Must run after resolveDestination.
+export const requireResumeToken = asyncHandler(async (req, res, next) => {
+  const applicationId = req.params.applicationId || req.body?.applicationId;
+  if (!applicationId) {
+    throw new AppError('Application ID is required', 400);
+  }
+
+  await assertApplicationAccess(
+    req,
+    req.destination.Application,
+    applicationId
+  );
+
+  next();
+});
+
+// Require access to the payment in :paymentId: staff whose role grants
+// `permission`, or the resume token (or applicant session) of the payment's
+// application. Sets req.payment.
+export const requirePaymentAccess = (permission) =>
+  asyncHandler(async (req, res, next) => {
+    const payment = await Payment.findOne({ paymentId: req.params.paymentId });
+    if (!payment) {
+      throw new AppError('Payment not found', 404);
+    }
+
+    const session = extractResumeToken(req)
+      ? null
+      : await getRequestSession(req);
+    if (!session || !hasPermission(session.user.role, permission)) {
+      await assertApplicationAccess(
+        req,
+        getDestinationByApplicationId(payment.applicationId)?.Application,
+        payment.applicationId
+      );
+    }
+
+    req.payment = payment;
+    next();
+  });
@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+
+// Evidence document uploaded by staff for a dispute
+const evidenceSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true },
+    url: { type: String, required: true },
+    publicId: { type: String, required: true },
+    format: { type: String },
+    size: { type: Number },
+    note: { type: String, trim: true },
+    uploadedBy: { type: String, trim: true },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// One status change of a dispute
+const disputeHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String },
+    to: { type: String, required: true },
+    actor: { type: String, trim: true },
+    source: {
+      type: String,
+      required: true,
+      enum: ['webhook', 'admin'],
+    },
+    reason: { type: String, trim: true },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A customer dispute (inquiry or chargeback) against a captured payment
+const disputeSchema = new mongoose.Schema(
+  {
+    // Provider dispute ID (PayPal PP-D-...)
+    disputeId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+      enum: ['PAYPAL', 'STRIPE'],
+    },
+    paymentId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    applicationId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    transactionId: {
+      type: String,
+    },
+    // OPEN -> EVIDENCE_REQUIRED <-> UNDER_REVIEW -> WON | LOST
+    status: {
+      type: String,
+      required: true,
+      enum: ['OPEN', 'EVIDENCE_REQUIRED', 'UNDER_REVIEW', 'WON', 'LOST'],
+      default: 'OPEN',
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    amount: {
+      type: mongoose.Decimal128,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+    },
+    // Provider status and life cycle stage (e.g. INQUIRY, CHARGEBACK)
+    providerStatus: {
+      type: String,
+    },
+    stage: {
+      type: String,
+    },
+    // Deadline for our response to the provider
+    responseDueAt: {
+      type: Date,
+    },
+    outcome: {
+      type: String,
+    },
+    openedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    evidence: [evidenceSchema],
+    history: [disputeHistorySchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+disputeSchema.index({ status: 1, responseDueAt: 1 });
+
+// Method to record a status change in the history
+disputeSchema.methods.recordStatusChange = function (
+  from,
+  to,
+  { actor, source, reason } = {}
+) {
+  this.history.push({
+    from,
+    to,
+    actor,
+    source,
+    reason,
+    changedAt: new Date(),
+  });
+};
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+
+export default Dispute;
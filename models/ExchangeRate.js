@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// A set of exchange rates (units of each currency per one unit of the base
+// currency). The latest effective set is used for quotes; older sets are
+// kept so snapshotted rates can be traced back.
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    base: {
+      type: String,
+      required: true,
+      uppercase: true,
+      default: 'USD',
+    },
+    rates: {
+      type: Map,
+      of: { type: Number, min: 0 },
+      required: true,
+    },
+    source: {
+      type: String,
+      required: true,
+      enum: ['file', 'admin'],
+    },
+    effectiveAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+exchangeRateSchema.index({ effectiveAt: -1 });
+
+// Static method to get the rate set in effect at a point in time
+exchangeRateSchema.statics.getEffective = function (at = new Date()) {
+  return this.findOne({ effectiveAt: { $lte: at } }).sort({ effectiveAt: -1 });
+};
+
+// Exchange rate snapshotted on an application's pricing and its payments
+// when fees are quoted in another currency
+const exchangeRateSnapshotSchema = new mongoose.Schema(
+  {
+    // Fee currency -> quote currency
+    from: { type: String, required: true, uppercase: true },
+    to: { type: String, required: true, uppercase: true },
+    rate: { type: Number, required: true, min: 0 },
+    // Quote currency -> base currency (for reporting)
+    baseRate: { type: Number, required: true, min: 0 },
+    rateSetId: { type: mongoose.Schema.Types.ObjectId, ref: 'ExchangeRate' },
+    source: { type: String },
+    effectiveAt: { type: Date },
+  },
+  { _id: false }
+);
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+export { exchangeRateSnapshotSchema };
+
+export default ExchangeRate;
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+
+// One line of an invoice or credit note
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true, trim: true },
+    // Pricing line item the line belongs to ('main' or the additional
+    // applicant index)
+    applicant: { type: String },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// An invoice issued for a completed payment, or a credit note issued for
+// one of its refunds. Numbers are sequential and gap-free per type and year
+// (INV-2026-000001, CN-2026-000001). Documents are immutable once issued;
+// their PDFs are rendered from the stored fields.
+const invoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: ['INVOICE', 'CREDIT_NOTE'],
+      immutable: true,
+    },
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true,
+    },
+    year: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    // What the document was issued for (the payment, or payment and
+    // refund), so it is issued once
+    sourceKey: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true,
+    },
+    paymentId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    applicationId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    provider: {
+      type: String,
+    },
+    transactionId: {
+      type: String,
+    },
+    // Credit notes: the refund and the invoice it corrects
+    refundId: {
+      type: String,
+    },
+    invoiceNumber: {
+      type: String,
+    },
+    billTo: {
+      name: { type: String, trim: true },
+      email: { type: String, trim: true, lowercase: true },
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    lineItems: [invoiceLineSchema],
+    subtotal: {
+      type: Number,
+      required: true,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    // Promo code the discount came from
+    promoCode: {
+      type: String,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    // Total in the base currency (USD) at the payment's snapshotted rate
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+    },
+    baseTotal: {
+      type: Number,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    issuedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      immutable: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Numbering within a series; also rejects a number issued twice
+invoiceSchema.index({ type: 1, year: 1, sequence: 1 }, { unique: true });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
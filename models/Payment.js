@@ -1,4 +1,57 @@
 import mongoose from 'mongoose';
+import { exchangeRateSnapshotSchema } from './ExchangeRate.js';
+
+// Money amounts are compared in cents to avoid floating point drift
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+// One refund against a payment's capture. Refunds issued through the API,
+// reported by provider webhooks or found by reconciliation land in the same
+// ledger.
+const refundSchema = new mongoose.Schema(
+  {
+    refundId: {
+      type: String,
+      trim: true,
+    },
+    amount: {
+      type: mongoose.Decimal128,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    status: {
+      type: String,
+      trim: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    // Pricing line item refunded ('main' or the additional applicant index)
+    applicant: {
+      type: String,
+      trim: true,
+    },
+    actor: {
+      type: String,
+      trim: true,
+    },
+    source: {
+      type: String,
+      required: true,
+      enum: ['api', 'webhook', 'reconciliation'],
+      default: 'api',
+    },
+    refundedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -16,7 +69,7 @@ const paymentSchema = new mongoose.Schema(
     provider: {
       type: String,
       required: true,
-      enum: ['PAYPAL'],
+      enum: ['PAYPAL', 'STRIPE'],
       default: 'PAYPAL',
     },
     orderId: {
@@ -36,9 +89,17 @@ const paymentSchema = new mongoose.Schema(
         'PENDING',
         'CREATED',
         'APPROVED',
+        // Captured, but the provider is holding the funds (e.g. eCheck)
+        'CAPTURE_PENDING',
         'COMPLETED',
+        // Captured, but not the amount of the application total; held for a
+        // refund and left out of revenue
+        'AMOUNT_MISMATCH',
         'FAILED',
+        'PARTIALLY_REFUNDED',
         'REFUNDED',
+        // The provider took the captured funds back (e.g. a chargeback)
+        'REVERSED',
         'CANCELLED',
       ],
       default: 'PENDING',
@@ -54,6 +115,16 @@ const paymentSchema = new mongoose.Schema(
       uppercase: true,
       default: 'USD',
     },
+    // Amount in the base currency (USD) at the rate snapshotted when the
+    // application was priced, for reporting
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+    },
+    baseAmount: {
+      type: mongoose.Decimal128,
+    },
+    exchangeRate: exchangeRateSnapshotSchema,
     payerEmail: {
       type: String,
       trim: true,
@@ -77,6 +148,10 @@ const paymentSchema = new mongoose.Schema(
     paypalResponse: {
       type: mongoose.Schema.Types.Mixed,
     },
+    // Latest raw response of the payment's provider (capture, refund)
+    providerResponse: {
+      type: mongoose.Schema.Types.Mixed,
+    },
     webhookEvents: [
       {
         eventType: { type: String, required: true },
@@ -88,6 +163,10 @@ const paymentSchema = new mongoose.Schema(
     metadata: {
       type: mongoose.Schema.Types.Mixed,
     },
+    // When an unpaid order is considered abandoned and may be cancelled
+    expiresAt: {
+      type: Date,
+    },
     idempotencyKey: {
       type: String,
       index: true,
@@ -95,6 +174,22 @@ const paymentSchema = new mongoose.Schema(
     errorMessage: {
       type: String,
     },
+    refunds: {
+      type: [refundSchema],
+      default: [],
+      validate: {
+        // Total refunds can never exceed the captured amount
+        validator: function (refunds) {
+          const refunded = refunds.reduce(
+            (sum, refund) => sum + toCents(refund.amount),
+            0
+          );
+          return refunded <= toCents(this.amount);
+        },
+        message: 'Total refunds exceed the captured amount',
+      },
+    },
+    // Totals of the refund ledger, kept for queries and reporting
     refundedAt: {
       type: Date,
     },
@@ -104,6 +199,11 @@ const paymentSchema = new mongoose.Schema(
     refundReason: {
       type: String,
     },
+    // Set while a refund is being issued through the API, so concurrent
+    // requests cannot both refund the same amount
+    refundLockedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -114,6 +214,7 @@ const paymentSchema = new mongoose.Schema(
 paymentSchema.index({ applicationId: 1, status: 1 });
 paymentSchema.index({ orderId: 1, provider: 1 });
 paymentSchema.index({ transactionId: 1 }, { sparse: true });
+paymentSchema.index({ status: 1, expiresAt: 1 });
 
 // Virtual for formatted amount
 paymentSchema.virtual('formattedAmount').get(function () {
@@ -125,14 +226,98 @@ paymentSchema.methods.isCompleted = function () {
   return this.status === 'COMPLETED';
 };
 
+// A refund lock older than this belongs to a request that died mid-refund
+const REFUND_LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Take the refund lock of a payment and return the payment as it is now
+// (null when another refund holds the lock or the payment does not exist)
+paymentSchema.statics.acquireRefundLock = function (paymentId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      paymentId,
+      $or: [
+        { refundLockedAt: null },
+        {
+          refundLockedAt: { $lt: new Date(now.getTime() - REFUND_LOCK_TTL_MS) },
+        },
+      ],
+    },
+    { $set: { refundLockedAt: now } },
+    { new: true }
+  );
+};
+
+// Release a refund lock taken by acquireRefundLock at lockedAt
+paymentSchema.statics.releaseRefundLock = function (paymentId, lockedAt) {
+  return this.updateOne(
+    { paymentId, refundLockedAt: lockedAt },
+    { $unset: { refundLockedAt: 1 } }
+  );
+};
+
 // Method to check if payment can be captured
 paymentSchema.methods.canBeCaptured = function () {
   return this.status === 'APPROVED' || this.status === 'PENDING';
 };
 
+// Method to get the amount that can still be refunded
+paymentSchema.methods.getRefundableAmount = function () {
+  const refunded = this.refunds.reduce(
+    (sum, refund) => sum + toCents(refund.amount),
+    0
+  );
+  return Math.max(toCents(this.amount) - refunded, 0) / 100;
+};
+
 // Method to check if payment can be refunded
 paymentSchema.methods.canBeRefunded = function () {
-  return this.status === 'COMPLETED' && !this.refundedAt;
+  return (
+    ['COMPLETED', 'PARTIALLY_REFUNDED', 'AMOUNT_MISMATCH'].includes(
+      this.status
+    ) && this.getRefundableAmount() > 0
+  );
+};
+
+// Method to add a refund to the ledger and update the refund totals and
+// status. A refund already in the ledger (same refundId) is not added
+// twice, so API refunds and their webhooks can arrive in any order.
+paymentSchema.methods.recordRefund = function ({
+  refundId,
+  amount,
+  currency,
+  status,
+  reason,
+  applicant,
+  actor,
+  source = 'api',
+}) {
+  const existing =
+    refundId && this.refunds.find((refund) => refund.refundId === refundId);
+  if (existing) {
+    existing.status = status || existing.status;
+    return existing;
+  }
+
+  this.refunds.push({
+    refundId,
+    amount,
+    currency: currency || this.currency,
+    status,
+    reason,
+    applicant,
+    actor,
+    source,
+    refundedAt: new Date(),
+  });
+
+  const refund = this.refunds[this.refunds.length - 1];
+  const remaining = this.getRefundableAmount();
+  this.status = remaining > 0 ? 'PARTIALLY_REFUNDED' : 'REFUNDED';
+  this.refundedAmount = (toCents(this.amount) - toCents(remaining)) / 100;
+  this.refundedAt = refund.refundedAt;
+  this.refundReason = reason;
+  return refund;
 };
 
 // Method to add webhook event
@@ -171,20 +356,60 @@ paymentSchema.statics.findByApplicationId = function (applicationId) {
 
 // Static method to get payment statistics
 paymentSchema.statics.getPaymentStats = async function () {
+  // Only USD payments and payments with a USD base amount can be added up in
+  // USD; the rest are reported as unconverted
+  const convertible = {
+    $or: [
+      { $eq: ['$currency', 'USD'] },
+      { $ne: [{ $ifNull: ['$baseAmount', null] }, null] },
+    ],
+  };
   const stats = await this.aggregate([
     {
       $group: {
-        _id: '$status',
+        _id: { status: '$status', currency: '$currency' },
         count: { $sum: 1 },
         totalAmount: { $sum: '$amount' },
+        totalBaseAmount: {
+          $sum: {
+            $cond: [convertible, { $ifNull: ['$baseAmount', '$amount'] }, 0],
+          },
+        },
+        unconvertedCount: { $sum: { $cond: [convertible, 0, 1] } },
+        unconvertedAmount: { $sum: { $cond: [convertible, 0, '$amount'] } },
       },
     },
   ]);
 
+  // Per status: counts, the amounts added up as stored, the total in USD
+  // of the convertible payments, the unconverted rest and totals per currency
   return stats.reduce((acc, stat) => {
-    acc[stat._id.toLowerCase()] = {
+    const status = stat._id.status.toLowerCase();
+    const currency = stat._id.currency;
+    const entry = (acc[status] ||= {
+      count: 0,
+      totalAmount: 0,
+      totalAmountUsd: 0,
+      unconverted: { count: 0, byCurrency: {} },
+      byCurrency: {},
+    });
+    entry.count += stat.count;
+    entry.totalAmount =
+      Math.round((entry.totalAmount + parseFloat(stat.totalAmount)) * 100) /
+      100;
+    entry.totalAmountUsd =
+      Math.round(
+        (entry.totalAmountUsd + parseFloat(stat.totalBaseAmount)) * 100
+      ) / 100;
+    if (stat.unconvertedCount > 0) {
+      entry.unconverted.count += stat.unconvertedCount;
+      entry.unconverted.byCurrency[currency] = parseFloat(
+        stat.unconvertedAmount
+      );
+    }
+    entry.byCurrency[currency] = {
       count: stat.count,
-      totalAmount: stat.totalAmount,
+      totalAmount: parseFloat(stat.totalAmount),
     };
     return acc;
   }, {});
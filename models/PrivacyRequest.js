@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// Log of a data subject request (GDPR export or erasure). The subject is
+// recorded by a hash of their email address, so the log holds no personal
+// data after an erasure.
+const privacyRequestSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: ['EXPORT', 'ERASURE'],
+    },
+    // COMPLETED, REJECTED (e.g. an application is still being processed)
+    // or FAILED
+    status: {
+      type: String,
+      required: true,
+      enum: ['COMPLETED', 'REJECTED', 'FAILED'],
+    },
+    emailHash: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Account that made the request
+    userId: {
+      type: String,
+    },
+    // Export format (json or zip)
+    format: {
+      type: String,
+    },
+    // Records exported, erased or kept, by kind
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Records kept for accounting (e.g. invoices)
+    retained: [String],
+    // Cloud storage assets that could not be deleted (retry by hand)
+    failedAssets: [String],
+    reason: {
+      type: String,
+      trim: true,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+privacyRequestSchema.index({ type: 1, createdAt: -1 });
+
+const PrivacyRequest = mongoose.model('PrivacyRequest', privacyRequestSchema);
+
+export default PrivacyRequest;
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+// One use of a promo code, recorded when the discounted payment is captured
+const redemptionSchema = new mongoose.Schema(
+  {
+    applicationId: { type: String, required: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    paymentId: { type: String },
+    // Discount granted, in the payment currency
+    discount: { type: Number, min: 0 },
+    currency: { type: String, uppercase: true },
+    redeemedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Discount on the service fees of an application's applicants
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, 'Invalid promo code format'],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // percentage: value is a percentage of the service fee (1-100)
+    // fixed:      value is an amount in USD off the application's service
+    //             fees (once per application), converted at the
+    //             application's snapshotted rate
+    type: {
+      type: String,
+      required: true,
+      enum: ['percentage', 'fixed'],
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Passport countries (ISO 3166-1 alpha-2) allowed to use the code;
+    // empty for all
+    countries: {
+      type: [{ type: String, uppercase: true, trim: true }],
+      default: [],
+    },
+    validFrom: {
+      type: Date,
+    },
+    validUntil: {
+      type: Date,
+    },
+    // Total uses across all applicants (unset for unlimited)
+    maxRedemptions: {
+      type: Number,
+      min: 1,
+    },
+    // Uses per applicant email address
+    perEmailLimit: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    redemptionCount: {
+      type: Number,
+      default: 0,
+    },
+    redemptions: [redemptionSchema],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promoCodeSchema.index({ 'redemptions.email': 1 });
+
+// Method to count the uses by one email address
+promoCodeSchema.methods.getRedemptionsByEmail = function (email) {
+  return this.redemptions.filter(
+    (redemption) => redemption.email === String(email).toLowerCase()
+  ).length;
+};
+
+// Static method to find an active code (case-insensitive)
+promoCodeSchema.statics.findActiveByCode = function (code) {
+  return this.findOne({
+    code: String(code || '')
+      .trim()
+      .toUpperCase(),
+    isActive: true,
+  });
+};
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+export default PromoCode;
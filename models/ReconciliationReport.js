@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+// One difference found between a Payment record and the provider
+const discrepancySchema = new mongoose.Schema(
+  {
+    paymentId: { type: String, required: true },
+    applicationId: { type: String },
+    orderId: { type: String },
+    type: {
+      type: String,
+      required: true,
+      enum: [
+        // Payment status differs from the provider's order/capture status
+        'STATUS_MISMATCH',
+        'TRANSACTION_ID_MISMATCH',
+        'FEE_MISMATCH',
+        // Captured amount differs from the application total
+        'AMOUNT_MISMATCH',
+        // Refunds at the provider missing from the refund ledger
+        'MISSING_REFUNDS',
+        'ORDER_NOT_FOUND',
+        'PROVIDER_ERROR',
+      ],
+    },
+    expected: { type: mongoose.Schema.Types.Mixed },
+    actual: { type: mongoose.Schema.Types.Mixed },
+    // Whether the payment was corrected; unfixed ones need finance review
+    fixed: { type: Boolean, default: false },
+    message: { type: String },
+  },
+  { _id: false }
+);
+
+// Result of one reconciliation run of Payment records against the provider
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+      enum: ['PAYPAL', 'STRIPE'],
+      default: 'PAYPAL',
+    },
+    trigger: {
+      type: String,
+      required: true,
+      enum: ['schedule', 'cli', 'admin'],
+    },
+    actor: {
+      type: String,
+      trim: true,
+    },
+    // Dry runs report discrepancies without changing any payment
+    dryRun: {
+      type: Boolean,
+      default: false,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    checked: {
+      type: Number,
+      default: 0,
+    },
+    // Payments corrected by this run
+    fixed: {
+      type: Number,
+      default: 0,
+    },
+    // Applications moved to paid by this run
+    applicationsPaid: {
+      type: Number,
+      default: 0,
+    },
+    discrepancies: [discrepancySchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reconciliationReportSchema.index({ startedAt: -1 });
+
+const ReconciliationReport = mongoose.model(
+  'ReconciliationReport',
+  reconciliationReportSchema
+);
+
+export default ReconciliationReport;
@@ -1,4 +1,10 @@
 import mongoose from 'mongoose';
+import {
+  encryptedDate,
+  encryptedString,
+  fieldEncryptionPlugin,
+} from './encryptedFields.js';
+import { exchangeRateSnapshotSchema } from './ExchangeRate.js';
 
 // Supporting Document Schema
 const supportingDocumentSchema = new mongoose.Schema(
@@ -13,11 +19,7 @@ const supportingDocumentSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
-    documentNumber: {
-      type: String,
-      required: true,
-      trim: true,
-    },
+    documentNumber: encryptedString({ required: true }),
     expiryDate: {
       type: Date,
       required: function () {
@@ -86,6 +88,44 @@ const documentUploadSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Issued Visa Schema (e-visa document uploaded by staff after approval)
+const issuedVisaSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    publicId: {
+      type: String,
+      trim: true,
+    },
+    format: {
+      type: String,
+      trim: true,
+    },
+    size: {
+      type: Number,
+    },
+    uploadedBy: {
+      type: String,
+      trim: true,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    emailedAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
 // Applicant Details Schema
 const applicantDetailsSchema = new mongoose.Schema(
   {
@@ -103,42 +143,163 @@ const applicantDetailsSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
-    dateOfBirth: {
+    dateOfBirth: encryptedDate({ required: true }),
+    placeOfBirth: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    motherName: encryptedString({ required: true }),
+    fatherName: encryptedString({ required: true }),
+    // Deterministic so applications can be looked up by passport number
+    passportNumber: encryptedString({
+      required: true,
+      deterministic: true,
+      uppercase: true,
+    }),
+    passportIssueDate: {
       type: Date,
       required: true,
     },
-    placeOfBirth: {
+    passportExpiryDate: {
+      type: Date,
+      required: true,
+    },
+    documents: documentUploadSchema,
+    issuedVisa: issuedVisaSchema,
+  },
+  { _id: true }
+);
+
+// Status History Schema (append-only audit trail of status transitions)
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      immutable: true,
+    },
+    to: {
       type: String,
       required: true,
+      immutable: true,
+    },
+    actor: {
+      type: String,
       trim: true,
+      immutable: true,
     },
-    motherName: {
+    source: {
       type: String,
       required: true,
+      enum: ['api', 'webhook', 'admin', 'system'],
+      default: 'api',
+      immutable: true,
+    },
+    reason: {
+      type: String,
       trim: true,
+      immutable: true,
     },
-    fatherName: {
+    changedAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+  },
+  { _id: false }
+);
+
+// Pricing Line Item Schema (one per applicant)
+const priceLineItemSchema = new mongoose.Schema(
+  {
+    applicant: {
       type: String,
       required: true,
+    },
+    name: {
+      type: String,
       trim: true,
     },
-    passportNumber: {
+    visaFee: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    serviceFee: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Promo code discount on the service fee
+    discount: {
+      type: Number,
+      min: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Pricing Snapshot Schema (fee terms frozen at submission)
+const pricingSchema = new mongoose.Schema(
+  {
+    currency: {
       type: String,
       required: true,
-      trim: true,
       uppercase: true,
     },
-    passportIssueDate: {
-      type: Date,
+    visaFee: {
+      type: Number,
       required: true,
+      min: 0,
     },
-    passportExpiryDate: {
-      type: Date,
+    serviceFee: {
+      type: Number,
       required: true,
+      min: 0,
+    },
+    duration: {
+      type: String,
+    },
+    numberOfEntries: {
+      type: String,
+    },
+    lineItems: [priceLineItemSchema],
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Promo code applied to the service fees and the total discount
+    promoCode: {
+      code: { type: String, uppercase: true },
+      type: { type: String },
+      value: { type: Number },
+    },
+    discount: {
+      type: Number,
+      min: 0,
+    },
+    exchangeRate: exchangeRateSnapshotSchema,
+    // Total in the base currency (USD) at the snapshotted rate
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+    },
+    baseTotal: {
+      type: Number,
+      min: 0,
+    },
+    pricedAt: {
+      type: Date,
+      default: Date.now,
     },
-    documents: documentUploadSchema,
   },
-  { _id: true }
+  { _id: false }
 );
 
 // Main Turkey Application Schema
@@ -196,12 +357,31 @@ const turkeyApplicationSchema = new mongoose.Schema(
         'submitted',
         'paid',
         'processing',
+        'on_hold',
         'approved',
         'rejected',
       ],
       default: 'draft',
     },
 
+    // Status History
+    statusHistory: [statusHistorySchema],
+
+    // Review Decision (set when an application is approved or rejected)
+    decision: {
+      note: { type: String, trim: true },
+      decidedBy: { type: String, trim: true },
+      decidedAt: { type: Date },
+    },
+
+    // Payment hold (set while the application is on_hold, e.g. during a
+    // payment dispute or after a reversal)
+    hold: {
+      reason: { type: String, trim: true },
+      previousStatus: { type: String },
+      heldAt: { type: Date },
+    },
+
     // Current Step Tracking
     currentStep: {
       type: Number,
@@ -224,12 +404,29 @@ const turkeyApplicationSchema = new mongoose.Schema(
       type: Number,
       min: 0,
     },
+    pricing: pricingSchema,
+
+    // Promo code entered by the applicant (checked again when pricing)
+    promoCode: {
+      code: { type: String, uppercase: true, trim: true },
+      appliedAt: { type: Date },
+    },
 
     // Journey Information (for validation)
     journeyDate: {
       type: Date,
     },
 
+    // Resume Token (hashed, never returned by default queries)
+    resumeTokenHash: {
+      type: String,
+      select: false,
+    },
+    resumeTokenExpiresAt: {
+      type: Date,
+      select: false,
+    },
+
     // Metadata
     ipAddress: {
       type: String,
@@ -242,6 +439,10 @@ const turkeyApplicationSchema = new mongoose.Schema(
     submittedAt: {
       type: Date,
     },
+    // Set when the applicant's personal data was erased on request
+    erasedAt: {
+      type: Date,
+    },
     lastUpdated: {
       type: Date,
       default: Date.now,
@@ -252,6 +453,9 @@ const turkeyApplicationSchema = new mongoose.Schema(
   }
 );
 
+// Personal data fields are encrypted at rest (see models/encryptedFields.js)
+turkeyApplicationSchema.plugin(fieldEncryptionPlugin);
+
 // Indexes for efficient queries
 turkeyApplicationSchema.index({ email: 1, status: 1 });
 turkeyApplicationSchema.index({ status: 1, createdAt: -1 });
@@ -268,12 +472,20 @@ turkeyApplicationSchema.virtual('totalApplicants').get(function () {
   return 1 + (this.additionalApplicants ? this.additionalApplicants.length : 0);
 });
 
-// Method to calculate total fee
-turkeyApplicationSchema.methods.calculateTotalFee = function () {
-  const applicantCount = this.totalApplicants;
-  this.totalFee =
-    this.visaFee * applicantCount + this.serviceFee * applicantCount;
-  return this.totalFee;
+// Method to append a status transition to the history
+turkeyApplicationSchema.methods.recordStatusChange = function (
+  from,
+  to,
+  { actor, source = 'api', reason } = {}
+) {
+  this.statusHistory.push({
+    from,
+    to,
+    actor,
+    source,
+    reason,
+    changedAt: new Date(),
+  });
 };
 
 // Method to validate passport expiry (must be ≥ 6 months beyond journey date)
@@ -323,4 +535,7 @@ const TurkeyApplication = mongoose.model(
   turkeyApplicationSchema
 );
 
+// Shared with other destinations, which clone it for their own model
+export { turkeyApplicationSchema as applicationSchema };
+
 export default TurkeyApplication;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { clearSupportedCountriesCache } from '../services/supportedCountries.js';
 
 const turkeyVisaFeeSchema = new mongoose.Schema(
   {
@@ -8,6 +9,14 @@ const turkeyVisaFeeSchema = new mongoose.Schema(
       trim: true,
       index: true,
     },
+    // ISO 3166-1 alpha-2 code of the passport country
+    countryCode: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{2}$/, 'Country code must be an ISO 3166-1 alpha-2 code'],
+    },
     visaFee: {
       type: Number,
       required: true,
@@ -46,6 +55,33 @@ const turkeyVisaFeeSchema = new mongoose.Schema(
 // Compound index for efficient queries
 turkeyVisaFeeSchema.index({ country: 1, isActive: 1 });
 
+// Drop the cached supported-country list after the fee table changes. Edits
+// made by other processes (e.g. the seed script) show up once the cache
+// expires.
+turkeyVisaFeeSchema.post(
+  [
+    'save',
+    'insertMany',
+    'bulkWrite',
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  function () {
+    // `this` is a query, a fee record or (insertMany, bulkWrite) the model
+    if (this instanceof mongoose.Query) {
+      clearSupportedCountriesCache(this.model);
+    } else if (this instanceof mongoose.Model) {
+      clearSupportedCountriesCache(this.constructor);
+    } else {
+      clearSupportedCountriesCache(this);
+    }
+  }
+);
+
 // Static method to get visa fee by country
 turkeyVisaFeeSchema.statics.getFeeByCountry = function (country) {
   return this.findOne({ country, isActive: true });
@@ -58,4 +94,7 @@ turkeyVisaFeeSchema.statics.getAllActiveFees = function () {
 
 const TurkeyVisaFee = mongoose.model('TurkeyVisaFee', turkeyVisaFeeSchema);
 
+// Shared with other destinations, which clone it for their own model
+export { turkeyVisaFeeSchema as visaFeeSchema };
+
 export default TurkeyVisaFee;
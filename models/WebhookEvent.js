@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// Inbox of raw payment provider webhooks. Every delivery is stored before
+// it is processed so unmatched or failed events can be retried or replayed.
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+      enum: ['PAYPAL', 'STRIPE'],
+    },
+    // Provider event ID (PayPal WH-..., Stripe evt_...)
+    eventId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    eventType: {
+      type: String,
+      trim: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    verified: {
+      type: Boolean,
+      required: true,
+      default: false,
+    },
+    // RECEIVED -> PROCESSING -> PROCESSED | IGNORED | FAILED (retried with
+    // backoff) -> DEAD_LETTER once attempts run out. REJECTED events failed
+    // signature verification and are never processed.
+    status: {
+      type: String,
+      required: true,
+      enum: [
+        'RECEIVED',
+        'PROCESSING',
+        'PROCESSED',
+        'IGNORED',
+        'FAILED',
+        'DEAD_LETTER',
+        'REJECTED',
+      ],
+      default: 'RECEIVED',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    // Payment the event was applied to
+    paymentId: {
+      type: String,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    processedAt: {
+      type: Date,
+    },
+    replays: [
+      {
+        actor: { type: String, trim: true },
+        replayedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Providers may deliver the same event more than once
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ receivedAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
@@ -0,0 +1,212 @@
+import mongoose from 'mongoose';
+import {
+  decryptValue,
+  deterministicCandidates,
+  encryptDeterministic,
+  encryptValue,
+  isEncrypted,
+} from '../utils/fieldEncryption.js';
+
+// Query filters whose deterministic fields are rewritten to match every key
+const FILTERED_QUERIES = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndUpdate',
+  'updateMany',
+  'updateOne',
+];
+
+// Queries whose lean results are decrypted
+const LEAN_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndUpdate',
+];
+
+const isEmpty = (value) =>
+  value === null || value === undefined || value === '';
+
+// Plaintext stored for a value: dates as ISO strings, strings trimmed (and
+// uppercased when asked) so equal values encrypt alike
+const serialize = (value, encryption) => {
+  if (encryption.type === 'date') {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+    return date.toISOString();
+  }
+
+  const text = String(value).trim();
+  return encryption.uppercase ? text.toUpperCase() : text;
+};
+
+// Encrypt a field value; ciphertext and empty values are kept as they are
+export const encryptField = (value, encryption, field) => {
+  if (isEmpty(value) || isEncrypted(value)) {
+    return value;
+  }
+
+  const plaintext = serialize(value, encryption);
+  return encryption.deterministic
+    ? encryptDeterministic(plaintext, field)
+    : encryptValue(plaintext, field);
+};
+
+// Decrypt a stored field value (dates come back as Dates)
+export const decryptField = (value, encryption, field) => {
+  const plaintext = decryptValue(value, field);
+  return encryption.type === 'date' && typeof plaintext === 'string'
+    ? new Date(plaintext)
+    : plaintext;
+};
+
+// Path options of a field stored encrypted: values are encrypted when set
+// (also in query filters) and decrypted when read
+const encryptedPath = (type, encryption, options) => ({
+  ...options,
+  type,
+  encryption,
+  set(value, priorValue, schemaType) {
+    return encryptField(value, encryption, schemaType.path);
+  },
+  get(value, schemaType) {
+    return decryptField(value, encryption, schemaType.path);
+  },
+});
+
+// An encrypted string. Deterministic strings can still be looked up by
+// equality; `uppercase` normalizes them first.
+export const encryptedString = ({
+  deterministic = false,
+  uppercase = false,
+  ...options
+} = {}) =>
+  encryptedPath(String, { type: 'string', deterministic, uppercase }, options);
+
+// An encrypted date, read back as a Date. Stored as Mixed so dates saved
+// before encryption still load.
+export const encryptedDate = (options = {}) =>
+  encryptedPath(mongoose.Schema.Types.Mixed, { type: 'date' }, options);
+
+const getPath = (object, path) =>
+  path.split('.').reduce((value, key) => value?.[key], object);
+
+// Apply `transform(value, encryption, field)` to every encrypted field of a
+// plain (lean or raw) document of `schema` and its subdocuments, in place
+export const transformEncryptedFields = (schema, doc, transform) => {
+  if (!doc || typeof doc !== 'object') {
+    return doc;
+  }
+
+  schema.eachPath((path, schemaType) => {
+    const { encryption } = schemaType.options;
+    if (encryption) {
+      const keys = path.split('.');
+      const parent = getPath(doc, keys.slice(0, -1).join('.')) ?? doc;
+      const key = keys[keys.length - 1];
+      if (parent && parent[key] !== undefined) {
+        parent[key] = transform(parent[key], encryption, schemaType.path);
+      }
+    } else if (schemaType.schema) {
+      const value = getPath(doc, path);
+      for (const item of Array.isArray(value) ? value : [value]) {
+        transformEncryptedFields(schemaType.schema, item, transform);
+      }
+    }
+  });
+  return doc;
+};
+
+// Decrypt a plain document in place (for lean results and cursors)
+export const decryptDocument = (schema, doc) =>
+  transformEncryptedFields(schema, doc, decryptField);
+
+// Full paths of deterministic fields, e.g. mainApplicant.passportNumber
+const getDeterministicPaths = (schema, prefix = '') => {
+  const paths = new Map();
+  schema.eachPath((path, schemaType) => {
+    const { encryption } = schemaType.options;
+    if (encryption?.deterministic) {
+      paths.set(`${prefix}${path}`, { encryption, field: schemaType.path });
+    } else if (schemaType.schema) {
+      for (const entry of getDeterministicPaths(
+        schemaType.schema,
+        `${prefix}${path}.`
+      )) {
+        paths.set(...entry);
+      }
+    }
+  });
+  return paths;
+};
+
+// Equality condition on a deterministic field, matched against the value's
+// ciphertext under every configured key (other operators are left alone)
+const matchAnyKey = (condition, { encryption, field }) => {
+  const candidates = (value) =>
+    isEmpty(value) || isEncrypted(value)
+      ? [value]
+      : deterministicCandidates(serialize(value, encryption), field);
+
+  if (typeof condition === 'string') {
+    return { $in: candidates(condition) };
+  }
+  if (condition && typeof condition === 'object') {
+    const { $eq, $in, ...rest } = condition;
+    const values = [
+      ...($eq !== undefined ? [$eq] : []),
+      ...(Array.isArray($in) ? $in : []),
+    ];
+    if (values.length) {
+      return { ...rest, $in: values.flatMap(candidates) };
+    }
+  }
+  return condition;
+};
+
+const rewriteFilter = (filter, paths) => {
+  for (const [key, condition] of Object.entries(filter || {})) {
+    if (['$and', '$or', '$nor'].includes(key) && Array.isArray(condition)) {
+      condition.forEach((nested) => rewriteFilter(nested, paths));
+    } else if (paths.has(key)) {
+      filter[key] = matchAnyKey(condition, paths.get(key));
+    }
+  }
+};
+
+// Plugin for schemas with encrypted fields (declared with encryptedString
+// and encryptedDate, also in subdocuments): documents serialize decrypted,
+// lean results are decrypted, and lookups on deterministic fields also match
+// values not yet rotated to the active key.
+export const fieldEncryptionPlugin = (schema) => {
+  const serializeOptions = { getters: true, virtuals: false };
+  const applyOptions = (target) => {
+    target.set('toJSON', serializeOptions);
+    target.set('toObject', serializeOptions);
+    target.eachPath((path, schemaType) => {
+      if (schemaType.schema) applyOptions(schemaType.schema);
+    });
+  };
+  applyOptions(schema);
+
+  const deterministicPaths = getDeterministicPaths(schema);
+
+  schema.pre(FILTERED_QUERIES, function () {
+    const filter = this.getFilter();
+    rewriteFilter(filter, deterministicPaths);
+    this.setQuery(filter);
+  });
+
+  schema.post(LEAN_QUERIES, function (result) {
+    if (!this.mongooseOptions().lean || !result) return;
+    for (const doc of Array.isArray(result) ? result : [result]) {
+      decryptDocument(this.model.schema, doc);
+    }
+  });
+};
@@ -0,0 +1,42 @@
+import express from 'express';
+import {
+  exportApplications,
+  getApplicationForReview,
+  listApplications,
+  updateApplicationStatus,
+  uploadIssuedVisa,
+} from '../controllers/adminApplicationController.js';
+import { authorize } from '../middleware/authorize.js';
+import { resolveDestination } from '../middleware/destination.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Resolve :destination for every route below
+router.use(resolveDestination);
+
+// Application review routes
+router.get('/applications', authorize('applications:read'), listApplications);
+router.get(
+  '/applications/export',
+  authorize('applications:export'),
+  exportApplications
+);
+router.get(
+  '/applications/:applicationId',
+  authorize('applications:read'),
+  getApplicationForReview
+);
+router.patch(
+  '/applications/:applicationId/status',
+  authorize('applications:review'),
+  updateApplicationStatus
+);
+
+// Issued visa delivery
+router.post(
+  '/applications/:applicationId/issued-visa/:applicant',
+  authorize('visas:issue'),
+  uploadIssuedVisa
+);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { listDestinations } from '../controllers/destinationController.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', listDestinations);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  getDispute,
+  getOpenDisputesReport,
+  listDisputes,
+  updateDisputeStatus,
+  uploadDisputeEvidence,
+} from '../controllers/disputeController.js';
+import { authorize } from '../middleware/authorize.js';
+
+const router = express.Router();
+
+// Dispute review
+router.get('/', authorize('disputes:read'), listDisputes);
+router.get('/report/open', authorize('disputes:read'), getOpenDisputesReport);
+router.get('/:disputeId', authorize('disputes:read'), getDispute);
+
+// Dispute handling
+router.post(
+  '/:disputeId/evidence',
+  authorize('disputes:manage'),
+  uploadDisputeEvidence
+);
+router.patch(
+  '/:disputeId/status',
+  authorize('disputes:manage'),
+  updateDisputeStatus
+);
+
+export default router;
@@ -5,6 +5,7 @@ import {
   uploadMultipleDocuments,
   uploadSingleDocument,
 } from '../controllers/documentController.js';
+import { authorize } from '../middleware/authorize.js';
 
 const router = express.Router();
 
@@ -15,7 +16,11 @@ router.post('/single/document', uploadSingleDocument);
 router.post('/multiple/document', uploadMultipleDocuments);
 
 // Document management
-router.delete('/document/:publicId', deleteDocument);
+router.delete(
+  '/document/:publicId',
+  authorize('documents:delete'),
+  deleteDocument
+);
 router.get('/document/:publicId', getDocumentInfo);
 
 export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getExchangeRates,
+  listExchangeRateHistory,
+  updateExchangeRates,
+} from '../controllers/exchangeRateController.js';
+import { authorize } from '../middleware/authorize.js';
+
+const router = express.Router();
+
+// Rates used for quotes
+router.get('/', getExchangeRates);
+
+// Rate management (back office)
+router.get('/history', authorize('rates:manage'), listExchangeRateHistory);
+router.put('/', authorize('rates:manage'), updateExchangeRates);
+
+export default router;
@@ -1,23 +1,103 @@
 import express from 'express';
 import {
   capturePayPalOrder,
+  captureStripePayment,
+  createPayment,
   createPayPalOrder,
+  createStripePaymentIntent,
   getPaymentStats,
   getPaymentStatus,
   handlePayPalWebhook,
+  handleStripeWebhook,
   refundPayment,
 } from '../controllers/paymentController.js';
+import {
+  downloadCreditNote,
+  downloadInvoice,
+  listCreditNotes,
+} from '../controllers/invoiceController.js';
+import {
+  getReconciliationReport,
+  listReconciliationReports,
+  runReconciliation,
+} from '../controllers/reconciliationController.js';
+import {
+  getWebhookEvent,
+  listWebhookEvents,
+  replayWebhookEvent,
+} from '../controllers/webhookEventController.js';
+import { authorize } from '../middleware/authorize.js';
+import { requirePaymentAccess } from '../middleware/resume-token.js';
 
 const router = express.Router();
 
+// Provider selected per application or currency
+router.post('/create', createPayment);
+
 // PayPal payment routes
 router.post('/paypal/create', createPayPalOrder);
 router.post('/paypal/capture', capturePayPalOrder);
 router.post('/paypal/webhook', handlePayPalWebhook);
 
+// Stripe payment routes
+router.post('/stripe/create', createStripePaymentIntent);
+router.post('/stripe/capture', captureStripePayment);
+router.post('/stripe/webhook', handleStripeWebhook);
+
+// Webhook event inbox (back office)
+router.get(
+  '/webhooks/events',
+  authorize('payments:webhooks'),
+  listWebhookEvents
+);
+router.get(
+  '/webhooks/events/:eventId',
+  authorize('payments:webhooks'),
+  getWebhookEvent
+);
+router.post(
+  '/webhooks/events/:eventId/replay',
+  authorize('payments:webhooks'),
+  replayWebhookEvent
+);
+
+// Reconciliation with PayPal (back office)
+router.get(
+  '/reconciliation/reports',
+  authorize('payments:reconcile'),
+  listReconciliationReports
+);
+router.get(
+  '/reconciliation/reports/:reportId',
+  authorize('payments:reconcile'),
+  getReconciliationReport
+);
+router.post(
+  '/reconciliation/run',
+  authorize('payments:reconcile'),
+  runReconciliation
+);
+
 // General payment routes
 router.get('/:paymentId', getPaymentStatus);
-router.post('/refund', refundPayment);
-router.get('/stats/payment', getPaymentStats);
+router.post('/refund', authorize('payments:refund'), refundPayment);
+router.get('/stats/payment', authorize('payments:stats'), getPaymentStats);
+
+// Invoices and credit notes (the applicant's resume token, or staff)
+router.get(
+  '/:paymentId/invoice',
+  requirePaymentAccess('payments:invoices'),
+  downloadInvoice
+);
+router.get(
+  '/:paymentId/credit-notes',
+  requirePaymentAccess('payments:invoices'),
+  listCreditNotes
+);
+router.get(
+  '/:paymentId/credit-notes/:number',
+  requirePaymentAccess('payments:invoices'),
+  downloadCreditNote
+);
 
 export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import {
+  erasePersonalDataRequest,
+  exportPersonalData,
+} from '../controllers/privacyController.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Data subject requests for the signed-in email address
+router.get('/export', requireAuth, exportPersonalData);
+router.post('/erasure', requireAuth, erasePersonalDataRequest);
+
+export default router;
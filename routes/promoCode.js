@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  createPromoCode,
+  getPromoCode,
+  listPromoCodes,
+  updatePromoCode,
+} from '../controllers/promoCodeController.js';
+import { authorize } from '../middleware/authorize.js';
+
+const router = express.Router();
+
+// Promo code management (back office)
+router.get('/', authorize('promotions:manage'), listPromoCodes);
+router.post('/', authorize('promotions:manage'), createPromoCode);
+router.get('/:code', authorize('promotions:manage'), getPromoCode);
+router.patch('/:code', authorize('promotions:manage'), updatePromoCode);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import {
+  getFunnelReport,
+  getRevenueReport,
+} from '../controllers/reportController.js';
+import { authorize } from '../middleware/authorize.js';
+
+const router = express.Router();
+
+// Finance reports (back office)
+router.get('/revenue', authorize('reports:read'), getRevenueReport);
+router.get('/funnel', authorize('reports:read'), getFunnelReport);
+
+export default router;
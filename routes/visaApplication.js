@@ -0,0 +1,106 @@
+import express from 'express';
+import {
+  addApplicant,
+  applyPromoCode,
+  deleteApplicant,
+  getApplication,
+  getApplicationHistory,
+  getApplicationPricing,
+  getIssuedVisas,
+  getMyApplications,
+  getSupportedCountriesList,
+  getVisaFees,
+  removePromoCode,
+  requestResumeLink,
+  rotateResumeToken,
+  saveApplicantDetails,
+  startApplication,
+  submitApplication,
+  updateApplicant,
+  updateApplicantDetails,
+  updateApplication,
+  updateDocuments,
+  uploadDocuments,
+} from '../controllers/visaApplicationController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { resolveDestination } from '../middleware/destination.js';
+import { requireResumeToken } from '../middleware/resume-token.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Resolve :destination for every route below
+router.use(resolveDestination);
+
+// Public routes
+router.get('/visa-fee', getVisaFees);
+router.get('/countries', getSupportedCountriesList);
+
+// Application management routes
+router.post('/start', startApplication);
+router.post('/resume', requestResumeLink);
+
+// Signed-in applicant routes
+router.get('/my-applications', requireAuth, getMyApplications);
+
+// Routes below require the application's resume token
+// (X-Resume-Token header or ?token= query parameter)
+router.put(
+  '/application/:applicationId',
+  requireResumeToken,
+  updateApplication
+);
+router.post(
+  '/application/:applicationId/resume-token',
+  requireResumeToken,
+  rotateResumeToken
+);
+router.post('/applicant-details', requireResumeToken, saveApplicantDetails);
+router.put(
+  '/applicant-details/:applicationId',
+  requireResumeToken,
+  updateApplicantDetails
+);
+router.post('/documents', requireResumeToken, uploadDocuments);
+router.put('/documents/:applicationId', requireResumeToken, updateDocuments);
+router.post('/add-applicant', requireResumeToken, addApplicant);
+router.put(
+  '/add-applicant/:applicationId/:index',
+  requireResumeToken,
+  updateApplicant
+);
+router.delete(
+  '/add-applicant/:applicationId/:index',
+  requireResumeToken,
+  deleteApplicant
+);
+router.post('/submit', requireResumeToken, submitApplication);
+
+// Get application by ID
+router.get('/application/:applicationId', requireResumeToken, getApplication);
+router.get(
+  '/application/:applicationId/history',
+  requireResumeToken,
+  getApplicationHistory
+);
+router.get(
+  '/application/:applicationId/pricing',
+  requireResumeToken,
+  getApplicationPricing
+);
+router.post(
+  '/application/:applicationId/promo-code',
+  requireResumeToken,
+  applyPromoCode
+);
+router.delete(
+  '/application/:applicationId/promo-code',
+  requireResumeToken,
+  removePromoCode
+);
+router.get(
+  '/application/:applicationId/issued-visas',
+  requireResumeToken,
+  getIssuedVisas
+);
+
+export default router;
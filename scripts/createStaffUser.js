@@ -0,0 +1,53 @@
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { auth } from '../config/auth.js';
+import { STAFF_ROLES } from '../middleware/authorize.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Create a back-office staff account.
+ *
+ * Usage:
+ *   node scripts/createStaffUser.js --email staff@example.com \
+ *     --password 'a-strong-password' --name 'Jane Doe' [--role agent|finance|admin]
+ */
+const createStaffUser = async () => {
+  const { values } = parseArgs({
+    options: {
+      email: { type: 'string' },
+      password: { type: 'string' },
+      name: { type: 'string' },
+      role: { type: 'string', default: 'admin' },
+    },
+  });
+
+  if (!values.email || !values.password || !values.name) {
+    throw new Error('--email, --password and --name are required');
+  }
+
+  if (!STAFF_ROLES.includes(values.role)) {
+    throw new Error(
+      `Invalid role "${values.role}". Expected one of: ${STAFF_ROLES.join(', ')}`
+    );
+  }
+
+  const { user } = await auth.api.createUser({
+    body: {
+      email: values.email,
+      password: values.password,
+      name: values.name,
+      role: values.role,
+    },
+  });
+
+  console.log(`Created ${user.role} account for ${user.email} (${user.id})`);
+};
+
+createStaffUser()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Failed to create staff user:', error.message);
+    process.exit(1);
+  });
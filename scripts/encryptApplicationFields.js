@@ -0,0 +1,139 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import { DESTINATIONS } from '../config/destinations.js';
+import connectDB from '../config/db.js';
+import {
+  encryptField,
+  transformEncryptedFields,
+} from '../models/encryptedFields.js';
+import { getDestination } from '../services/destinations.js';
+import { isEncrypted, rotateValue } from '../utils/fieldEncryption.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Encrypt the personal data fields of existing applications (stored in
+ * plaintext before field encryption) and move values encrypted with an
+ * older FIELD_ENCRYPTION_KEYS key to the active key. Documents are updated
+ * directly, so timestamps and hooks are left alone; an application edited
+ * while the script runs is skipped and picked up by the next run. Safe to
+ * re-run; remove an old key once a run reports nothing left to rotate.
+ *
+ * Usage:
+ *   node scripts/encryptApplicationFields.js [--destination turkey]
+ *     [--dry-run] [--batch-size 200]
+ */
+const encryptApplicationFields = async () => {
+  const { values } = parseArgs({
+    options: {
+      destination: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'batch-size': { type: 'string', default: '200' },
+    },
+  });
+
+  const slugs = values.destination
+    ? [values.destination]
+    : Object.keys(DESTINATIONS);
+  const batchSize = parseInt(values['batch-size']) || 200;
+  const dryRun = values['dry-run'];
+
+  await connectDB();
+
+  for (const slug of slugs) {
+    const destination = getDestination(slug);
+    if (!destination) {
+      throw new Error(`Unknown destination: ${slug}`);
+    }
+    const { Application } = destination;
+
+    const summary = {
+      checked: 0,
+      updated: 0,
+      encrypted: 0,
+      rotated: 0,
+      skipped: 0,
+    };
+
+    const flush = async (operations) => {
+      if (!operations.length || dryRun) return;
+      const result = await Application.collection.bulkWrite(operations, {
+        ordered: false,
+      });
+      summary.updated += result.matchedCount;
+      summary.skipped += operations.length - result.matchedCount;
+    };
+
+    // Raw documents, so no decryption happens on the way in
+    const cursor = Application.collection.find(
+      {},
+      {
+        projection: {
+          mainApplicant: 1,
+          additionalApplicants: 1,
+          lastUpdated: 1,
+        },
+        batchSize,
+      }
+    );
+
+    let operations = [];
+    for await (const doc of cursor) {
+      summary.checked += 1;
+
+      let changed = false;
+      transformEncryptedFields(
+        Application.schema,
+        doc,
+        (value, encryption, field) => {
+          if (value === null || value === undefined || value === '') {
+            return value;
+          }
+          const next = isEncrypted(value)
+            ? rotateValue(value, field)
+            : encryptField(value, encryption, field);
+          if (next !== value) {
+            changed = true;
+            summary[isEncrypted(value) ? 'rotated' : 'encrypted'] += 1;
+          }
+          return next;
+        }
+      );
+      if (!changed) continue;
+
+      const update = {};
+      if (doc.mainApplicant) update.mainApplicant = doc.mainApplicant;
+      if (doc.additionalApplicants) {
+        update.additionalApplicants = doc.additionalApplicants;
+      }
+      operations.push({
+        updateOne: {
+          // Skip the document if it was saved since it was read
+          filter: { _id: doc._id, lastUpdated: doc.lastUpdated ?? null },
+          update: { $set: update },
+        },
+      });
+
+      if (operations.length >= batchSize) {
+        await flush(operations);
+        operations = [];
+      }
+    }
+    await flush(operations);
+
+    console.log(
+      `${slug}${dryRun ? ' (dry run)' : ''}: ${summary.checked} applications checked, ${summary.encrypted} fields encrypted, ${summary.rotated} fields rotated, ${summary.updated} applications updated, ${summary.skipped} skipped (changed during the run)`
+    );
+  }
+
+  await mongoose.connection.close();
+};
+
+encryptApplicationFields()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Failed to encrypt application fields:', error.message);
+    process.exit(1);
+  });
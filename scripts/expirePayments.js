@@ -0,0 +1,44 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import connectDB from '../config/db.js';
+import { sweepExpiredPayments } from '../services/paymentExpiry.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Cancel unpaid PayPal and Stripe payments whose order is older than
+ * PAYMENT_ORDER_TTL_MINUTES, after checking the order with the provider
+ * (unconfirmed Stripe PaymentIntents are cancelled at Stripe). Run from
+ * a scheduler where the in-process sweeper is disabled
+ * (PAYMENT_ORDER_SWEEP_INTERVAL_MINUTES=0).
+ *
+ * Usage:
+ *   node scripts/expirePayments.js [--limit 100]
+ */
+const expirePayments = async () => {
+  const { values } = parseArgs({
+    options: {
+      limit: { type: 'string', default: '100' },
+    },
+  });
+
+  await connectDB();
+
+  const summary = await sweepExpiredPayments({
+    limit: parseInt(values.limit) || 100,
+  });
+  console.log(
+    `Expired orders: ${summary.checked} checked, ${summary.expired} cancelled, ${summary.active} still active at the provider, ${summary.failed} failed`
+  );
+
+  await mongoose.connection.close();
+};
+
+expirePayments()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Failed to expire payments:', error.message);
+    process.exit(1);
+  });
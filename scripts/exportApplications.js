@@ -0,0 +1,94 @@
+import dotenv from 'dotenv';
+import { createWriteStream } from 'fs';
+import mongoose from 'mongoose';
+import { extname } from 'path';
+import { parseArgs } from 'util';
+import connectDB from '../config/db.js';
+import {
+  buildExportFilter,
+  resolveExportColumns,
+  streamApplicationExport,
+} from '../services/applicationExport.js';
+import { getDestination } from '../services/destinations.js';
+import { applicationExportQuerySchema } from '../utils/validation.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Export a destination's applications to a CSV or XLSX file for the
+ * processing team, one row per applicant (see services/applicationExport.js
+ * for the column sets). Paid applications are exported unless --status is
+ * given; the format follows the file extension unless --format is given.
+ *
+ * Usage:
+ *   node scripts/exportApplications.js --output paid.xlsx
+ *     [--destination turkey] [--status paid] [--country "United States"]
+ *     [--from 2026-01-01] [--to 2026-01-31] [--format csv|xlsx]
+ *     [--columns summary|processing|full] [--fields applicationId,surname]
+ */
+const exportApplications = async () => {
+  const { values } = parseArgs({
+    options: {
+      output: { type: 'string' },
+      destination: { type: 'string', default: 'turkey' },
+      status: { type: 'string' },
+      country: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      format: { type: 'string' },
+      columns: { type: 'string' },
+      fields: { type: 'string' },
+    },
+  });
+
+  if (!values.output) {
+    throw new Error('--output is required');
+  }
+
+  const destination = getDestination(values.destination);
+  if (!destination) {
+    throw new Error(`Unknown destination: ${values.destination}`);
+  }
+
+  const validation = applicationExportQuerySchema.safeParse({
+    status: values.status,
+    passportCountry: values.country,
+    from: values.from,
+    to: values.to,
+    format: values.format || extname(values.output).slice(1).toLowerCase(),
+    columns: values.columns,
+    fields: values.fields,
+  });
+  if (!validation.success) {
+    throw new Error(
+      validation.error.issues
+        .map((issue) => `--${issue.path.join('.')}: ${issue.message}`)
+        .join('; ')
+    );
+  }
+
+  const { format, columns, fields, ...filters } = validation.data;
+  const exportColumns = resolveExportColumns(columns, fields);
+
+  await connectDB();
+
+  const summary = await streamApplicationExport(destination.Application, {
+    filter: buildExportFilter(filters),
+    columns: exportColumns,
+    format,
+    output: createWriteStream(values.output),
+  });
+  console.log(
+    `Exported ${summary.applications} ${filters.status} applications (${summary.rows} applicants) to ${values.output}`
+  );
+
+  await mongoose.connection.close();
+};
+
+exportApplications()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Failed to export applications:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,42 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import connectDB from '../config/db.js';
+import { readRateFile, saveRates } from '../services/exchangeRates.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Load an exchange rate table into the database. The file has the shape of
+ * config/exchangeRates.json (base USD, rates for every supported currency).
+ *
+ * Usage:
+ *   node scripts/loadExchangeRates.js [--file config/exchangeRates.json]
+ */
+const loadExchangeRates = async () => {
+  const { values } = parseArgs({
+    options: {
+      file: { type: 'string' },
+    },
+  });
+
+  const table = await readRateFile(values.file);
+
+  await connectDB();
+
+  const rateSet = await saveRates(table, { source: 'file', actor: 'cli' });
+  console.log(
+    `Loaded exchange rates ${rateSet._id} effective ${rateSet.effectiveAt.toISOString()}:`,
+    Object.fromEntries(rateSet.rates)
+  );
+
+  await mongoose.connection.close();
+};
+
+loadExchangeRates()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Failed to load exchange rates:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,42 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import connectDB from '../config/db.js';
+import { processDueWebhookEvents } from '../services/webhookInbox.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Process stored webhook events that are due (new events and retries).
+ * Run from a scheduler where the in-process worker is disabled
+ * (WEBHOOK_WORKER_INTERVAL_SECONDS=0), e.g. on serverless hosts.
+ *
+ * Usage:
+ *   node scripts/processWebhookEvents.js [--limit 100]
+ */
+const processWebhookEvents = async () => {
+  const { values } = parseArgs({
+    options: {
+      limit: { type: 'string', default: '100' },
+    },
+  });
+
+  await connectDB();
+
+  const summary = await processDueWebhookEvents({
+    limit: parseInt(values.limit) || 100,
+  });
+  console.log(
+    `Webhook events: ${summary.processed} processed, ${summary.ignored} ignored, ${summary.failed} failed, ${summary.deadLettered} dead-lettered`
+  );
+
+  await mongoose.connection.close();
+};
+
+processWebhookEvents()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Failed to process webhook events:', error.message);
+    process.exit(1);
+  });
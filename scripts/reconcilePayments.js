@@ -0,0 +1,68 @@
+import dotenv from 'dotenv';
+import { writeFile } from 'fs/promises';
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import connectDB from '../config/db.js';
+import { reconcilePayments as runReconciliation } from '../services/reconciliation.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Reconcile PayPal payments stuck in PENDING/CREATED/APPROVED/
+ * CAPTURE_PENDING or FAILED with their PayPal orders, fix the payment
+ * records, mark applications paid where the capture completed and store a
+ * report of the discrepancies. Run from a scheduler where the in-process
+ * worker is disabled (RECONCILIATION_INTERVAL_MINUTES=0).
+ *
+ * Usage:
+ *   node scripts/reconcilePayments.js [--dry-run] [--since 2025-01-01]
+ *     [--limit 200] [--output report.json]
+ */
+const reconcilePayments = async () => {
+  const { values } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      since: { type: 'string' },
+      limit: { type: 'string', default: '200' },
+      output: { type: 'string' },
+    },
+  });
+
+  const since = values.since ? new Date(values.since) : undefined;
+  if (since && isNaN(since.getTime())) {
+    throw new Error(`Invalid --since date: ${values.since}`);
+  }
+
+  await connectDB();
+
+  const report = await runReconciliation({
+    trigger: 'cli',
+    dryRun: values['dry-run'],
+    since,
+    limit: parseInt(values.limit) || 200,
+  });
+
+  console.log(
+    `Reconciliation ${report._id}${report.dryRun ? ' (dry run)' : ''}: ${report.checked} checked, ${report.fixed} fixed, ${report.applicationsPaid} applications paid, ${report.discrepancies.length} discrepancies`
+  );
+  for (const entry of report.discrepancies) {
+    console.log(
+      `  ${entry.fixed ? 'fixed  ' : 'REVIEW '} ${entry.paymentId} ${entry.type}: expected ${entry.expected ?? '-'}, recorded ${entry.actual ?? '-'}${entry.message ? ` (${entry.message})` : ''}`
+    );
+  }
+
+  if (values.output) {
+    await writeFile(values.output, JSON.stringify(report.toObject(), null, 2));
+    console.log(`Report written to ${values.output}`);
+  }
+
+  await mongoose.connection.close();
+};
+
+reconcilePayments()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Failed to reconcile payments:', error.message);
+    process.exit(1);
+  });
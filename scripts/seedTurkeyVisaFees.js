@@ -1,6 +1,6 @@
 import dotenv from 'dotenv';
 import mongoose from 'mongoose';
-import { connectDB, logger } from '../config/db.js';
+import connectDB from '../config/db.js';
 import TurkeyVisaFee from '../models/TurkeyVisaFee.js';
 
 // Load environment variables
@@ -10,6 +10,7 @@ const visaFeesData = [
   // Afghanistan
   {
     country: 'Afghanistan',
+    countryCode: 'AF',
     visaFee: 66,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -18,6 +19,7 @@ const visaFeesData = [
   // Algeria
   {
     country: 'Algeria',
+    countryCode: 'DZ',
     visaFee: 56,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -26,6 +28,7 @@ const visaFeesData = [
   // Antigua and Barbuda
   {
     country: 'Antigua and Barbuda',
+    countryCode: 'AG',
     visaFee: 46,
     duration: '90 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -34,6 +37,7 @@ const visaFeesData = [
   // Armenia
   {
     country: 'Armenia',
+    countryCode: 'AM',
     visaFee: 36,
     duration: '30 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -42,6 +46,7 @@ const visaFeesData = [
   // Australia
   {
     country: 'Australia',
+    countryCode: 'AU',
     visaFee: 66,
     duration: '90 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -50,6 +55,7 @@ const visaFeesData = [
   // Bahamas
   {
     country: 'Bahamas',
+    countryCode: 'BS',
     visaFee: 26,
     duration: '90 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -58,6 +64,7 @@ const visaFeesData = [
   // Bangladesh
   {
     country: 'Bangladesh',
+    countryCode: 'BD',
     visaFee: 66,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -66,6 +73,7 @@ const visaFeesData = [
   // Barbados
   {
     country: 'Barbados',
+    countryCode: 'BB',
     visaFee: 26,
     duration: '30 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -74,6 +82,7 @@ const visaFeesData = [
   // Bermuda
   {
     country: 'Bermuda',
+    countryCode: 'BM',
     visaFee: 26,
     duration: '90 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -82,6 +91,7 @@ const visaFeesData = [
   // Bhutan
   {
     country: 'Bhutan',
+    countryCode: 'BT',
     visaFee: 46,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -90,6 +100,7 @@ const visaFeesData = [
   // Cambodia
   {
     country: 'Cambodia',
+    countryCode: 'KH',
     visaFee: 46,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -98,6 +109,7 @@ const visaFeesData = [
   // Cape Verde
   {
     country: 'Cape Verde',
+    countryCode: 'CV',
     visaFee: 66,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -106,6 +118,7 @@ const visaFeesData = [
   // China
   {
     country: 'China',
+    countryCode: 'CN',
     visaFee: 66,
     duration: '90 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -114,6 +127,7 @@ const visaFeesData = [
   // Dominican Republic
   {
     country: 'Dominican Republic',
+    countryCode: 'DO',
     visaFee: 46,
     duration: '90 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -122,6 +136,7 @@ const visaFeesData = [
   // East Timor
   {
     country: 'East Timor',
+    countryCode: 'TL',
     visaFee: 46,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -130,6 +145,7 @@ const visaFeesData = [
   // Egypt
   {
     country: 'Egypt',
+    countryCode: 'EG',
     visaFee: 36,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -138,6 +154,7 @@ const visaFeesData = [
   // Equatorial Guinea
   {
     country: 'Equatorial Guinea',
+    countryCode: 'GQ',
     visaFee: 66,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -146,6 +163,7 @@ const visaFeesData = [
   // Fiji
   {
     country: 'Fiji',
+    countryCode: 'FJ',
     visaFee: 26,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -154,6 +172,7 @@ const visaFeesData = [
   // Greek Cypriot Administration of Southern Cyprus
   {
     country: 'Greek Cypriot Administration of Southern Cyprus',
+    countryCode: 'CY',
     visaFee: 46,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -162,6 +181,7 @@ const visaFeesData = [
   // Grenada
   {
     country: 'Grenada',
+    countryCode: 'GD',
     visaFee: 66,
     duration: '90 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -170,6 +190,7 @@ const visaFeesData = [
   // Hong Kong (BN(O))
   {
     country: 'Hong Kong (BN(O))',
+    countryCode: 'HK',
     visaFee: 36,
     duration: '90 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -178,6 +199,7 @@ const visaFeesData = [
   // India
   {
     country: 'India',
+    countryCode: 'IN',
     visaFee: 49,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -186,6 +208,7 @@ const visaFeesData = [
   // Iraq
   {
     country: 'Iraq',
+    countryCode: 'IQ',
     visaFee: 0,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -194,6 +217,7 @@ const visaFeesData = [
   // Jamaica
   {
     country: 'Jamaica',
+    countryCode: 'JM',
     visaFee: 26,
     duration: '90 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -202,6 +226,7 @@ const visaFeesData = [
   // Libya
   {
     country: 'Libya',
+    countryCode: 'LY',
     visaFee: 66,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -210,6 +235,7 @@ const visaFeesData = [
   // Maldives
   {
     country: 'Maldives',
+    countryCode: 'MV',
     visaFee: 26,
     duration: '90 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -218,6 +244,7 @@ const visaFeesData = [
   // Mauritius
   {
     country: 'Mauritius',
+    countryCode: 'MU',
     visaFee: 26,
     duration: '30 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -226,6 +253,7 @@ const visaFeesData = [
   // Mexico
   {
     country: 'Mexico',
+    countryCode: 'MX',
     visaFee: 0,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -234,6 +262,7 @@ const visaFeesData = [
   // Namibia
   {
     country: 'Namibia',
+    countryCode: 'NA',
     visaFee: 96,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -242,6 +271,7 @@ const visaFeesData = [
   // Nepal
   {
     country: 'Nepal',
+    countryCode: 'NP',
     visaFee: 36,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -250,6 +280,7 @@ const visaFeesData = [
   // Pakistan
   {
     country: 'Pakistan',
+    countryCode: 'PK',
     visaFee: 66,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -258,6 +289,7 @@ const visaFeesData = [
   // Palestine
   {
     country: 'Palestine',
+    countryCode: 'PS',
     visaFee: 26,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -266,6 +298,7 @@ const visaFeesData = [
   // Philippines
   {
     country: 'Philippines',
+    countryCode: 'PH',
     visaFee: 26,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -274,6 +307,7 @@ const visaFeesData = [
   // Saint Lucia
   {
     country: 'Saint Lucia',
+    countryCode: 'LC',
     visaFee: 26,
     duration: '90 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -282,6 +316,7 @@ const visaFeesData = [
   // Saint Vincent and the Grenadines
   {
     country: 'Saint Vincent and the Grenadines',
+    countryCode: 'VC',
     visaFee: 46,
     duration: '90 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -290,6 +325,7 @@ const visaFeesData = [
   // Senegal
   {
     country: 'Senegal',
+    countryCode: 'SN',
     visaFee: 46,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -298,6 +334,7 @@ const visaFeesData = [
   // Solomon Islands
   {
     country: 'Solomon Islands',
+    countryCode: 'SB',
     visaFee: 46,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -306,6 +343,7 @@ const visaFeesData = [
   // South Africa
   {
     country: 'South Africa',
+    countryCode: 'ZA',
     visaFee: 0,
     duration: '30 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -314,6 +352,7 @@ const visaFeesData = [
   // Sri Lanka
   {
     country: 'Sri Lanka',
+    countryCode: 'LK',
     visaFee: 41,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -322,6 +361,7 @@ const visaFeesData = [
   // Suriname
   {
     country: 'Suriname',
+    countryCode: 'SR',
     visaFee: 51,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -330,6 +370,7 @@ const visaFeesData = [
   // Taiwan
   {
     country: 'Taiwan',
+    countryCode: 'TW',
     visaFee: 0,
     duration: '30 Days',
     numberOfEntries: 'Multiple-Entry',
@@ -338,6 +379,7 @@ const visaFeesData = [
   // Vanuatu
   {
     country: 'Vanuatu',
+    countryCode: 'VU',
     visaFee: 26,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -346,6 +388,7 @@ const visaFeesData = [
   // Vietnam
   {
     country: 'Vietnam',
+    countryCode: 'VN',
     visaFee: 51,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
@@ -354,21 +397,22 @@ const visaFeesData = [
   // Yemen
   {
     country: 'Yemen',
+    countryCode: 'YE',
     visaFee: 66,
     duration: '30 Days',
     numberOfEntries: 'Single-Entry',
   },
 ];
 
-const seedTurkeyVisaFees = async () => {
+// Seed the fee table. By default existing records are kept: records seeded
+// before countryCode existed get their code (matched by country name) and
+// missing countries are added, but fees edited in the database are left
+// alone. With `reset`, the table is wiped and reseeded.
+const seedTurkeyVisaFees = async ({ reset = false } = {}) => {
   try {
     // Connect to database
     await connectDB();
-    logger.info('Connected to database for seeding');
-
-    // Clear existing data
-    await TurkeyVisaFee.deleteMany({});
-    logger.info('Cleared existing Turkey visa fee data');
+    console.log('Connected to database for seeding');
 
     // Prepare seed data with common service fee
     const seedData = visaFeesData.map((fee) => ({
@@ -378,33 +422,61 @@ const seedTurkeyVisaFees = async () => {
       isActive: true,
     }));
 
-    // Insert new data
-    const insertedFees = await TurkeyVisaFee.insertMany(seedData);
-    logger.info(
-      `Successfully seeded ${insertedFees.length} Turkey visa fee records`
+    if (reset) {
+      // Clear existing data
+      await TurkeyVisaFee.deleteMany({});
+      console.log('Cleared existing Turkey visa fee data');
+    }
+
+    const missingCode = { countryCode: { $in: [null, ''] } };
+    const result = await TurkeyVisaFee.bulkWrite(
+      seedData.flatMap(({ country, countryCode, ...fee }) => [
+        // Backfill the code of records seeded without one
+        {
+          updateMany: {
+            filter: { country, ...missingCode },
+            update: { $set: { countryCode } },
+          },
+        },
+        // Add the country if it has no record yet
+        {
+          updateOne: {
+            filter: { countryCode },
+            update: { $setOnInsert: { country, countryCode, ...fee } },
+            upsert: true,
+          },
+        },
+      ])
     );
 
+    // Records of countries outside the seed data need their code set by hand
+    const unmatched = await TurkeyVisaFee.find(missingCode).distinct('country');
+    if (unmatched.length) {
+      console.warn(
+        `Visa fee records without a country code: ${unmatched.join(', ')}`
+      );
+    }
+
+    const fees = await TurkeyVisaFee.find({ isActive: true }).lean();
+
     // Log summary
     const summary = {
-      totalCountries: insertedFees.length,
-      freeVisas: insertedFees.filter((fee) => fee.visaFee === 0).length,
-      paidVisas: insertedFees.filter((fee) => fee.visaFee > 0).length,
-      singleEntry: insertedFees.filter(
-        (fee) => fee.numberOfEntries === 'Single-Entry'
-      ).length,
-      multipleEntry: insertedFees.filter(
+      totalCountries: fees.length,
+      freeVisas: fees.filter((fee) => fee.visaFee === 0).length,
+      paidVisas: fees.filter((fee) => fee.visaFee > 0).length,
+      singleEntry: fees.filter((fee) => fee.numberOfEntries === 'Single-Entry')
+        .length,
+      multipleEntry: fees.filter(
         (fee) => fee.numberOfEntries === 'Multiple-Entry'
       ).length,
-      thirtyDays: insertedFees.filter((fee) => fee.duration === '30 Days')
-        .length,
-      ninetyDays: insertedFees.filter((fee) => fee.duration === '90 Days')
-        .length,
+      thirtyDays: fees.filter((fee) => fee.duration === '30 Days').length,
+      ninetyDays: fees.filter((fee) => fee.duration === '90 Days').length,
     };
 
-    logger.info('Seeding summary:', summary);
-
     console.log('\n=== Turkey Visa Fees Seeding Complete ===');
-    console.log(`Total countries: ${summary.totalCountries}`);
+    console.log(`Added: ${result.upsertedCount}`);
+    console.log(`Country codes backfilled: ${result.modifiedCount}`);
+    console.log(`Active countries: ${summary.totalCountries}`);
     console.log(`Free visas: ${summary.freeVisas}`);
     console.log(`Paid visas: ${summary.paidVisas}`);
     console.log(`Single-entry visas: ${summary.singleEntry}`);
@@ -412,18 +484,18 @@ const seedTurkeyVisaFees = async () => {
     console.log(`30-day visas: ${summary.thirtyDays}`);
     console.log(`90-day visas: ${summary.ninetyDays}`);
   } catch (error) {
-    logger.error('Error seeding Turkey visa fees:', error);
+    console.error('Error seeding Turkey visa fees:', error);
     throw error;
   } finally {
     // Close database connection
     await mongoose.connection.close();
-    logger.info('Database connection closed');
+    console.log('Database connection closed');
   }
 };
 
 // Run the seeding function
 if (process.argv[2] === '--run') {
-  seedTurkeyVisaFees()
+  seedTurkeyVisaFees({ reset: process.argv.includes('--reset') })
     .then(() => {
       console.log('Seeding completed successfully');
       process.exit(0);
@@ -0,0 +1,250 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import express from 'express';
+import fetch from 'node-fetch';
+import { parseArgs } from 'util';
+import { StripeService } from '../utils/stripe.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Local stand-in for the parts of the Stripe API the backend uses, so the
+ * Stripe flow can be exercised without Stripe credentials or network access.
+ *
+ * Usage:
+ *   node scripts/stripeStubServer.js [--port 12111] \
+ *     [--webhook-url http://localhost:3000/api/v1/payment/stripe/webhook]
+ *
+ * Then start the API with STRIPE_API_BASE=http://localhost:12111 and any
+ * STRIPE_SECRET_KEY. PaymentIntents are confirmed (as Stripe.js would) with
+ * POST /v1/payment_intents/:id/confirm. With --webhook-url, captures and
+ * refunds are followed by webhooks signed with STRIPE_WEBHOOK_SECRET.
+ */
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '12111' },
+    'webhook-url': { type: 'string' },
+  },
+});
+
+const intents = new Map();
+const charges = new Map();
+
+const randomId = (prefix) =>
+  `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// Read flat form fields, collecting metadata[key] fields into an object
+const readForm = (body) => {
+  const metadata = {};
+  const fields = {};
+  for (const [key, value] of Object.entries(body || {})) {
+    const match = key.match(/^metadata\[(.+)\]$/);
+    if (match) {
+      metadata[match[1]] = value;
+    } else {
+      fields[key] = value;
+    }
+  }
+  return { ...fields, metadata };
+};
+
+// Return an intent, expanding latest_charge when requested
+const presentIntent = (intent, req) => {
+  const expand = [req.query['expand[]'], req.body?.['expand[]']]
+    .flat()
+    .filter(Boolean);
+  return {
+    ...intent,
+    latest_charge:
+      intent.latest_charge && expand.includes('latest_charge')
+        ? charges.get(intent.latest_charge)
+        : intent.latest_charge,
+  };
+};
+
+// Send a signed webhook event to --webhook-url
+const sendWebhook = async (type, object) => {
+  if (!values['webhook-url']) return;
+
+  const payload = JSON.stringify({
+    id: randomId('evt'),
+    object: 'event',
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object },
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = StripeService.signPayload(
+    process.env.STRIPE_WEBHOOK_SECRET || '',
+    timestamp,
+    payload
+  );
+
+  try {
+    const response = await fetch(values['webhook-url'], {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Stripe-Signature': `t=${timestamp},v1=${signature}`,
+      },
+      body: payload,
+    });
+    console.log(`Webhook ${type} -> ${response.status}`);
+  } catch (error) {
+    console.error(`Webhook ${type} failed:`, error.message);
+  }
+};
+
+const stripeError = (res, status, message) =>
+  res.status(status).json({
+    error: { type: 'invalid_request_error', message },
+  });
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+// Every request must carry a bearer secret key, like the real API
+app.use((req, res, next) => {
+  if (!req.get('Authorization')?.startsWith('Bearer ')) {
+    return stripeError(res, 401, 'No API key provided');
+  }
+  next();
+});
+
+app.post('/v1/payment_intents', (req, res) => {
+  const form = readForm(req.body);
+  const amount = parseInt(form.amount);
+  if (!amount || amount < 1 || !form.currency) {
+    return stripeError(res, 400, 'amount and currency are required');
+  }
+
+  const id = randomId('pi');
+  const intent = {
+    id,
+    object: 'payment_intent',
+    amount,
+    amount_received: 0,
+    currency: form.currency,
+    capture_method: form.capture_method || 'automatic',
+    client_secret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+    description: form.description,
+    metadata: form.metadata,
+    latest_charge: null,
+    status: 'requires_payment_method',
+    created: Math.floor(Date.now() / 1000),
+  };
+  intents.set(id, intent);
+  res.json(presentIntent(intent, req));
+});
+
+app.get('/v1/payment_intents/:id', (req, res) => {
+  const intent = intents.get(req.params.id);
+  if (!intent) return stripeError(res, 404, 'No such payment_intent');
+  res.json(presentIntent(intent, req));
+});
+
+// Stub-only: what Stripe.js does once the customer submits their card.
+// Optional form fields: email, funding (credit|debit)
+app.post('/v1/payment_intents/:id/confirm', (req, res) => {
+  const intent = intents.get(req.params.id);
+  if (!intent) return stripeError(res, 404, 'No such payment_intent');
+
+  const chargeId = randomId('ch');
+  charges.set(chargeId, {
+    id: chargeId,
+    object: 'charge',
+    amount: intent.amount,
+    amount_captured: 0,
+    amount_refunded: 0,
+    refunds: { object: 'list', data: [] },
+    currency: intent.currency,
+    payment_intent: intent.id,
+    billing_details: { email: req.body?.email || 'payer@example.com' },
+    payment_method_details: {
+      type: 'card',
+      card: { funding: req.body?.funding || 'credit' },
+    },
+  });
+
+  intent.latest_charge = chargeId;
+  intent.status = 'requires_capture';
+  res.json(presentIntent(intent, req));
+});
+
+app.post('/v1/payment_intents/:id/capture', (req, res) => {
+  const intent = intents.get(req.params.id);
+  if (!intent) return stripeError(res, 404, 'No such payment_intent');
+  if (intent.status !== 'requires_capture') {
+    return stripeError(
+      res,
+      400,
+      `This PaymentIntent could not be captured because it has a status of ${intent.status}.`
+    );
+  }
+
+  const charge = charges.get(intent.latest_charge);
+  charge.amount_captured = intent.amount;
+  intent.amount_received = intent.amount;
+  intent.status = 'succeeded';
+
+  res.json(presentIntent(intent, req));
+  sendWebhook('payment_intent.succeeded', intent);
+});
+
+app.post('/v1/payment_intents/:id/cancel', (req, res) => {
+  const intent = intents.get(req.params.id);
+  if (!intent) return stripeError(res, 404, 'No such payment_intent');
+  if (['succeeded', 'canceled'].includes(intent.status)) {
+    return stripeError(
+      res,
+      400,
+      `This PaymentIntent could not be canceled because it has a status of ${intent.status}.`
+    );
+  }
+
+  intent.status = 'canceled';
+  intent.cancellation_reason = req.body?.cancellation_reason || null;
+  res.json(presentIntent(intent, req));
+});
+
+app.post('/v1/refunds', (req, res) => {
+  const form = readForm(req.body);
+  const charge = charges.get(form.charge);
+  if (!charge) return stripeError(res, 404, 'No such charge');
+
+  const amount = form.amount
+    ? parseInt(form.amount)
+    : charge.amount_captured - charge.amount_refunded;
+  if (amount < 1 || charge.amount_refunded + amount > charge.amount_captured) {
+    return stripeError(
+      res,
+      400,
+      'Refund amount is greater than unrefunded amount on charge'
+    );
+  }
+
+  charge.amount_refunded += amount;
+  const refund = {
+    id: randomId('re'),
+    object: 'refund',
+    amount,
+    charge: charge.id,
+    currency: charge.currency,
+    payment_intent: charge.payment_intent,
+    reason: form.reason,
+    metadata: form.metadata,
+    status: 'succeeded',
+  };
+
+  charge.refunds.data.unshift(refund);
+
+  res.json(refund);
+  sendWebhook('charge.refunded', charge);
+});
+
+app.listen(Number(values.port), () => {
+  console.log(
+    `Stripe stub server listening on http://localhost:${values.port}`
+  );
+});
@@ -0,0 +1,379 @@
+import ExcelJS from 'exceljs';
+import { finished } from 'stream/promises';
+import { AppError } from '../middleware/error-handler.js';
+import { decryptDocument } from '../models/encryptedFields.js';
+import Payment from '../models/Payment.js';
+import { toCsvLine } from '../utils/csv.js';
+
+// Payments whose capture is the application's payment reference
+const CAPTURED_STATUSES = [
+  'COMPLETED',
+  'PARTIALLY_REFUNDED',
+  'REFUNDED',
+  'REVERSED',
+];
+
+// Applications read (and payments looked up) per round trip
+const EXPORT_BATCH_SIZE = 200;
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+};
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : undefined;
+
+const formatTimestamp = (date) =>
+  date ? new Date(date).toISOString() : undefined;
+
+// Every exportable column. Values are read from one applicant row:
+// { application, applicant, index, payment } where index is null for the
+// main applicant.
+const COLUMNS = [
+  {
+    key: 'applicationId',
+    header: 'Application ID',
+    value: (row) => row.application.applicationId,
+  },
+  {
+    key: 'applicant',
+    header: 'Applicant',
+    value: (row) => (row.index === null ? 'main' : String(row.index)),
+  },
+  { key: 'status', header: 'Status', value: (row) => row.application.status },
+  {
+    key: 'passportCountry',
+    header: 'Passport country',
+    value: (row) => row.application.passportCountry,
+  },
+  {
+    key: 'travelDocument',
+    header: 'Travel document',
+    value: (row) => row.application.travelDocument,
+  },
+  {
+    key: 'visaType',
+    header: 'Visa type',
+    value: (row) => row.application.visaType,
+  },
+  { key: 'email', header: 'Email', value: (row) => row.application.email },
+  {
+    key: 'submittedAt',
+    header: 'Submitted at',
+    value: (row) => formatTimestamp(row.application.submittedAt),
+  },
+  {
+    key: 'givenNames',
+    header: 'Given names',
+    value: (row) => row.applicant.givenNames,
+  },
+  { key: 'surname', header: 'Surname', value: (row) => row.applicant.surname },
+  {
+    key: 'dateOfBirth',
+    header: 'Date of birth',
+    value: (row) => formatDate(row.applicant.dateOfBirth),
+  },
+  {
+    key: 'placeOfBirth',
+    header: 'Place of birth',
+    value: (row) => row.applicant.placeOfBirth,
+  },
+  {
+    key: 'motherName',
+    header: "Mother's name",
+    value: (row) => row.applicant.motherName,
+  },
+  {
+    key: 'fatherName',
+    header: "Father's name",
+    value: (row) => row.applicant.fatherName,
+  },
+  {
+    key: 'passportNumber',
+    header: 'Passport number',
+    value: (row) => row.applicant.passportNumber,
+  },
+  {
+    key: 'passportIssueDate',
+    header: 'Passport issue date',
+    value: (row) => formatDate(row.applicant.passportIssueDate),
+  },
+  {
+    key: 'passportExpiryDate',
+    header: 'Passport expiry date',
+    value: (row) => formatDate(row.applicant.passportExpiryDate),
+  },
+  {
+    key: 'arrivalDate',
+    header: 'Arrival date',
+    value: (row) => formatDate(row.applicant.arrivalDate),
+  },
+  {
+    key: 'passportUrl',
+    header: 'Passport scan URL',
+    value: (row) => row.applicant.documents?.passportUrl,
+  },
+  {
+    key: 'supportingDocuments',
+    header: 'Supporting documents',
+    value: (row) =>
+      (row.applicant.documents?.supportingDocuments || [])
+        .map(
+          (doc) =>
+            `${doc.documentType} (${doc.issuingCountry}) ${doc.documentNumber}, ${
+              doc.isUnlimited
+                ? 'unlimited'
+                : `expires ${formatDate(doc.expiryDate) || '-'}`
+            }`
+        )
+        .join('; '),
+  },
+  {
+    key: 'documentUrls',
+    header: 'Document URLs',
+    value: (row) =>
+      (row.applicant.documents?.additionalDocuments || [])
+        .map((doc) => doc.url)
+        .join(' '),
+  },
+  {
+    key: 'issuedVisaUrl',
+    header: 'Issued visa URL',
+    value: (row) => row.applicant.issuedVisa?.url,
+  },
+  {
+    key: 'paymentId',
+    header: 'Payment ID',
+    value: (row) => row.payment?.paymentId,
+  },
+  {
+    key: 'paymentProvider',
+    header: 'Payment provider',
+    value: (row) => row.payment?.provider,
+  },
+  {
+    key: 'transactionId',
+    header: 'Transaction ID',
+    value: (row) => row.payment?.transactionId,
+  },
+  {
+    key: 'amountPaid',
+    header: 'Amount paid',
+    value: (row) => (row.payment ? Number(row.payment.amount) : undefined),
+  },
+  {
+    key: 'paymentCurrency',
+    header: 'Payment currency',
+    value: (row) => row.payment?.currency,
+  },
+  {
+    key: 'paidAt',
+    header: 'Paid at',
+    value: (row) =>
+      row.payment &&
+      formatTimestamp(
+        row.payment.metadata?.capturedAt || row.payment.createdAt
+      ),
+  },
+];
+
+// Named column sets; `full` is every column
+export const COLUMN_SETS = {
+  summary: [
+    'applicationId',
+    'applicant',
+    'status',
+    'passportCountry',
+    'email',
+    'givenNames',
+    'surname',
+    'passportNumber',
+    'submittedAt',
+    'paymentId',
+  ],
+  processing: [
+    'applicationId',
+    'applicant',
+    'passportCountry',
+    'travelDocument',
+    'visaType',
+    'givenNames',
+    'surname',
+    'dateOfBirth',
+    'placeOfBirth',
+    'motherName',
+    'fatherName',
+    'passportNumber',
+    'passportIssueDate',
+    'passportExpiryDate',
+    'arrivalDate',
+    'passportUrl',
+    'supportingDocuments',
+    'documentUrls',
+    'paymentId',
+    'transactionId',
+  ],
+  full: COLUMNS.map((column) => column.key),
+};
+
+// Columns of an export: an explicit list of column keys, else a named set
+export const resolveExportColumns = (columnSet, fields) => {
+  const keys = fields?.length ? fields : COLUMN_SETS[columnSet];
+  const unknown = keys.filter(
+    (key) => !COLUMNS.some((column) => column.key === key)
+  );
+  if (unknown.length) {
+    throw new AppError(`Unknown export columns: ${unknown.join(', ')}`, 400);
+  }
+  return keys.map((key) => COLUMNS.find((column) => column.key === key));
+};
+
+// Application filter of an export (creation date range, as in the lists)
+export const buildExportFilter = ({ status, passportCountry, from, to }) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (passportCountry) filter.passportCountry = passportCountry;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  return filter;
+};
+
+// Resolve when a stream can take more data (or is gone)
+const waitForDrain = (output) =>
+  new Promise((resolve) => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+
+const createCsvWriter = (output, columns) => {
+  output.write(toCsvLine(columns.map((column) => column.header)));
+  return {
+    addRow: (values) => output.write(toCsvLine(values)),
+    end: () => output.end(),
+  };
+};
+
+// XLSX rows are committed as they are added, so the sheet is never held in
+// memory; committing the workbook ends the output
+const createXlsxWriter = (output, columns) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const sheet = workbook.addWorksheet('Applications', {
+    views: [{ state: 'frozen', ySplit: 1 }],
+  });
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(column.header.length + 2, 14),
+  }));
+  return {
+    addRow: (values) => sheet.addRow(values).commit(),
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    },
+  };
+};
+
+// Latest captured payment of each application in a batch
+const getPaymentReferences = async (applicationIds) => {
+  const payments = await Payment.find({
+    applicationId: { $in: applicationIds },
+    status: { $in: CAPTURED_STATUSES },
+  })
+    .select(
+      'paymentId applicationId provider transactionId amount currency metadata.capturedAt createdAt'
+    )
+    .sort({ createdAt: 1 })
+    .lean();
+  return new Map(payments.map((payment) => [payment.applicationId, payment]));
+};
+
+// Stream the applications matching `filter` to `output` as CSV or XLSX,
+// one row per applicant (the main applicant, then each additional
+// applicant), oldest first. Applications are read with a cursor in batches
+// and the output's backpressure is respected, so memory use does not grow
+// with the export. The output is ended when done; an output closed early
+// (e.g. a dropped download) stops the export.
+export const streamApplicationExport = async (
+  Application,
+  { filter, columns, format, output }
+) => {
+  const writer = (format === 'xlsx' ? createXlsxWriter : createCsvWriter)(
+    output,
+    columns
+  );
+  const summary = { applications: 0, rows: 0, completed: false };
+
+  const writeBatch = async (applications) => {
+    const payments = await getPaymentReferences(
+      applications.map((application) => application.applicationId)
+    );
+
+    for (const application of applications) {
+      const payment = payments.get(application.applicationId);
+      const applicants = [
+        [null, application.mainApplicant],
+        ...(application.additionalApplicants || []).map((applicant, index) => [
+          index,
+          applicant,
+        ]),
+      ].filter(([, applicant]) => applicant);
+
+      for (const [index, applicant] of applicants) {
+        const row = { application, applicant, index, payment };
+        writer.addRow(columns.map((column) => column.value(row)));
+        summary.rows += 1;
+      }
+      summary.applications += 1;
+    }
+
+    if (output.writableNeedDrain) {
+      await waitForDrain(output);
+    }
+  };
+
+  const cursor = Application.find(filter)
+    .select('-statusHistory -pricing')
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor({ batchSize: EXPORT_BATCH_SIZE });
+
+  let batch = [];
+  for await (const application of cursor) {
+    // Cursors skip the query hooks that decrypt lean results
+    batch.push(decryptDocument(Application.schema, application));
+    if (batch.length >= EXPORT_BATCH_SIZE) {
+      await writeBatch(batch);
+      batch = [];
+      if (output.destroyed) break;
+    }
+  }
+  if (output.destroyed) {
+    return summary;
+  }
+  if (batch.length) {
+    await writeBatch(batch);
+  }
+
+  await writer.end();
+  await finished(output);
+  summary.completed = true;
+  return summary;
+};
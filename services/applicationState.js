@@ -0,0 +1,257 @@
+import { AppError } from '../middleware/error-handler.js';
+import {
+  sendApplicationCompletedEmail,
+  sendApplicationStartedEmail,
+  sendApplicationStatusEmail,
+} from '../utils/application.js';
+import { applyPricing } from './pricing.js';
+
+// Statuses in which the applicant may still edit their application
+export const EDITABLE_STATUSES = [
+  'draft',
+  'started',
+  'applicant_details_completed',
+  'documents_completed',
+];
+
+// Error raised when an application cannot move to (or act in) a status
+export class ApplicationStateError extends AppError {
+  constructor(currentStatus, requestedStatus, message) {
+    super(
+      message ||
+        `Invalid status transition from '${currentStatus}' to '${requestedStatus}'`,
+      409
+    );
+    this.currentStatus = currentStatus;
+    this.requestedStatus = requestedStatus;
+  }
+}
+
+// Stamp the reviewer's decision onto the application
+const recordDecision = (application, { actor, reason }) => {
+  application.decision = {
+    note: reason,
+    decidedBy: actor,
+    decidedAt: new Date(),
+  };
+};
+
+// Leaving on_hold clears the hold
+const releaseHold = (application) => {
+  application.hold = undefined;
+};
+
+// Transition table keyed by target status.
+// - from:      statuses the application may be in to enter this status
+// - step:      value for currentStep once the status is entered
+// - guard:     returns an error message when preconditions are not met
+// - onEnter:   synchronous mutations applied before the document is saved
+//              (context.from is the status being left)
+// - afterSave: side effects (emails) run after a successful save
+//              (context.from as for onEnter)
+const TRANSITIONS = {
+  started: {
+    from: ['draft'],
+    step: 1,
+    afterSave: (application, context) =>
+      sendApplicationStartedEmail(
+        application.email,
+        application.applicationId,
+        {
+          passportCountry: application.passportCountry,
+          visaType: application.visaType,
+          destination: application.destination,
+          resumeUrl: context.resumeUrl,
+        }
+      ),
+  },
+  applicant_details_completed: {
+    from: ['started', 'applicant_details_completed'],
+    step: 3,
+    guard: (application) =>
+      !application.mainApplicant && 'Please complete applicant details first',
+  },
+  documents_completed: {
+    from: ['applicant_details_completed', 'documents_completed'],
+    step: 4,
+    guard: (application) =>
+      !application.mainApplicant && 'Please complete applicant details first',
+  },
+  submitted: {
+    from: ['documents_completed'],
+    guard: (application, context) =>
+      ((!application.mainApplicant || !application.mainApplicant.documents) &&
+        'Main applicant information is incomplete') ||
+      (!context.pricing && 'Application must be priced before submission'),
+    onEnter: (application, context) => {
+      applyPricing(application, context.pricing);
+      application.submittedAt = new Date();
+    },
+    afterSave: (application) =>
+      sendApplicationCompletedEmail(
+        application.email,
+        application.applicationId,
+        {
+          totalApplicants: application.totalApplicants,
+          totalFee: application.totalFee,
+        }
+      ),
+  },
+  paid: {
+    from: ['submitted', 'on_hold'],
+    onEnter: releaseHold,
+  },
+  processing: {
+    from: ['paid', 'on_hold'],
+    onEnter: releaseHold,
+    afterSave: (application, context) =>
+      sendApplicationStatusEmail(
+        application.email,
+        application.applicationId,
+        'processing',
+        context.reason
+      ),
+  },
+  // Paid applications are held while their payment is disputed or reversed
+  on_hold: {
+    from: ['paid', 'processing', 'approved'],
+    guard: (application, context) =>
+      !context.reason && 'A reason is required to put an application on hold',
+    onEnter: (application, context) => {
+      application.hold = {
+        reason: context.reason,
+        previousStatus: context.from,
+        heldAt: new Date(),
+      };
+    },
+  },
+  // Held applications only return here if they were approved before the
+  // hold; they keep their decision and the applicant is not emailed again
+  approved: {
+    from: ['processing', 'on_hold'],
+    guard: (application) =>
+      application.status === 'on_hold' &&
+      application.hold?.previousStatus !== 'approved' &&
+      'Only an application held after approval can return to approved',
+    onEnter: (application, context) =>
+      context.from === 'on_hold'
+        ? releaseHold(application)
+        : recordDecision(application, context),
+    afterSave: (application, context) =>
+      context.from !== 'on_hold' &&
+      sendApplicationStatusEmail(
+        application.email,
+        application.applicationId,
+        'approved',
+        application.decision.note
+      ),
+  },
+  rejected: {
+    from: ['processing', 'on_hold'],
+    guard: (application, context) =>
+      !context.reason && 'A decision note is required to reject an application',
+    onEnter: (application, context) => recordDecision(application, context),
+    afterSave: (application) =>
+      sendApplicationStatusEmail(
+        application.email,
+        application.applicationId,
+        'rejected',
+        application.decision.note
+      ),
+  },
+};
+
+// Check whether an application in `currentStatus` may enter `requestedStatus`
+export const canTransition = (currentStatus, requestedStatus) => {
+  const transition = TRANSITIONS[requestedStatus];
+  return !!transition && transition.from.includes(currentStatus);
+};
+
+// Throw a 409 unless the application may enter `requestedStatus`
+export const assertTransition = (application, requestedStatus) => {
+  if (!canTransition(application.status, requestedStatus)) {
+    throw new ApplicationStateError(application.status, requestedStatus);
+  }
+};
+
+// Throw a 409 unless the application is in one of `allowedStatuses`
+export const assertStatus = (application, allowedStatuses, action) => {
+  if (!allowedStatuses.includes(application.status)) {
+    throw new ApplicationStateError(
+      application.status,
+      allowedStatuses.join(' | '),
+      `Cannot ${action} while application is '${application.status}' (requires ${allowedStatuses.join(', ')})`
+    );
+  }
+};
+
+// Move an application to a new status, applying guards and side effects.
+// The application is saved; side-effect failures are logged, never thrown.
+// `context` carries the audit fields (actor, source, reason) for the history;
+// API calls are attributed to the applicant's email unless told otherwise.
+export const transitionApplication = async (
+  application,
+  requestedStatus,
+  context = {}
+) => {
+  assertTransition(application, requestedStatus);
+
+  const transition = TRANSITIONS[requestedStatus];
+  const guardError = transition.guard?.(application, context);
+  if (guardError) {
+    throw new AppError(guardError, 400);
+  }
+
+  const fromStatus = application.status;
+  application.status = requestedStatus;
+  if (transition.step) {
+    application.currentStep = transition.step;
+  }
+  transition.onEnter?.(application, { ...context, from: fromStatus });
+
+  if (fromStatus !== requestedStatus) {
+    const { source = 'api', actor, reason } = context;
+    application.recordStatusChange(fromStatus, requestedStatus, {
+      source,
+      actor: actor || (source === 'api' ? application.email : undefined),
+      reason,
+    });
+  }
+
+  await application.save();
+
+  if (transition.afterSave) {
+    try {
+      await transition.afterSave(application, { ...context, from: fromStatus });
+    } catch (error) {
+      console.error(
+        `Side effect failed for ${application.applicationId} (${fromStatus} -> ${requestedStatus}):`,
+        error
+      );
+    }
+  }
+
+  return { from: fromStatus, to: requestedStatus };
+};
+
+// Hold a paid application while its payment is disputed or reversed.
+// Returns whether the application was put on hold.
+export const holdApplication = async (application, context) => {
+  if (!application || !canTransition(application.status, 'on_hold')) {
+    return false;
+  }
+  await transitionApplication(application, 'on_hold', context);
+  return true;
+};
+
+// Return a held application to the status it was held from
+export const releaseApplication = async (application, context) => {
+  const previousStatus = application?.hold?.previousStatus;
+  if (
+    application?.status === 'on_hold' &&
+    previousStatus &&
+    canTransition('on_hold', previousStatus)
+  ) {
+    await transitionApplication(application, previousStatus, context);
+  }
+};
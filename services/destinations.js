@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import {
+  DESTINATIONS,
+  getDestinationConfig,
+  getDestinationConfigByApplicationId,
+} from '../config/destinations.js';
+import { applicationSchema } from '../models/TurkeyApplication.js';
+import { visaFeeSchema } from '../models/TurkeyVisaFee.js';
+import {
+  findSupportedCountry,
+  getSupportedCountries,
+} from './supportedCountries.js';
+import {
+  addApplicantSchema,
+  applicantDetailsSchema,
+  createStartApplicationSchema,
+  createUpdateApplicationSchema,
+  documentUploadSchema,
+} from '../utils/validation.js';
+
+// Per-destination overrides of the default behaviour below
+const DESTINATION_OVERRIDES = {};
+
+// Return the registered model, or register one built from the shared schema
+const getOrCreateModel = (modelName, schema) =>
+  mongoose.models[modelName] || mongoose.model(modelName, schema.clone());
+
+// Bind models, validation schemas and lookups to a registry entry
+const buildDestination = (config) => {
+  const VisaFee = getOrCreateModel(`${config.modelName}VisaFee`, visaFeeSchema);
+
+  return {
+    ...config,
+    Application: getOrCreateModel(
+      `${config.modelName}Application`,
+      applicationSchema
+    ),
+    VisaFee,
+    schemas: {
+      start: createStartApplicationSchema(config),
+      update: createUpdateApplicationSchema(config),
+      applicantDetails: applicantDetailsSchema,
+      documents: documentUploadSchema,
+      addApplicant: addApplicantSchema,
+    },
+    // Supported passport countries come from the active fee records
+    getSupportedCountries: () => getSupportedCountries(VisaFee),
+    findSupportedCountry: (country) => findSupportedCountry(VisaFee, country),
+    ...DESTINATION_OVERRIDES[config.slug],
+  };
+};
+
+const destinations = Object.fromEntries(
+  Object.entries(DESTINATIONS).map(([slug, config]) => [
+    slug,
+    buildDestination(config),
+  ])
+);
+
+// Resolve a destination by URL slug (null when unknown)
+export const getDestination = (slug) => {
+  const config = getDestinationConfig(slug);
+  return config ? destinations[config.slug] : null;
+};
+
+// Resolve the destination an application id belongs to (null when unknown)
+export const getDestinationByApplicationId = (applicationId) => {
+  const config = getDestinationConfigByApplicationId(applicationId);
+  return config ? destinations[config.slug] : null;
+};
+
+// Load an application of any destination by its id
+export const findApplication = async (applicationId) => {
+  const destination = getDestinationByApplicationId(applicationId);
+  return destination
+    ? destination.Application.findOne({ applicationId })
+    : null;
+};
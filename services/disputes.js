@@ -0,0 +1,275 @@
+import { AppError } from '../middleware/error-handler.js';
+import Dispute from '../models/Dispute.js';
+import { sendPaymentAlertEmail } from '../utils/application.js';
+import { holdApplication, releaseApplication } from './applicationState.js';
+import { findApplication } from './destinations.js';
+
+// Disputes that still need work from us or a decision from the provider
+export const OPEN_DISPUTE_STATUSES = [
+  'OPEN',
+  'EVIDENCE_REQUIRED',
+  'UNDER_REVIEW',
+];
+
+// Dispute outcomes in which the merchant keeps the funds
+const DISPUTE_WON_OUTCOMES = [
+  'RESOLVED_SELLER_FAVOUR',
+  'CANCELED_BY_BUYER',
+  'DENIED',
+];
+
+// PayPal dispute status -> dispute status (RESOLVED maps via the outcome)
+const PROVIDER_STATUSES = {
+  OPEN: 'OPEN',
+  WAITING_FOR_SELLER_RESPONSE: 'EVIDENCE_REQUIRED',
+  WAITING_FOR_BUYER_RESPONSE: 'UNDER_REVIEW',
+  UNDER_REVIEW: 'UNDER_REVIEW',
+};
+
+// Fields of a dispute shown in staff alerts
+const alertDetails = (dispute) => ({
+  Dispute: dispute.disputeId,
+  Payment: dispute.paymentId,
+  Application: dispute.applicationId,
+  Amount: dispute.amount && `${dispute.currency} ${dispute.amount}`,
+  Reason: dispute.reason,
+  'Respond by': dispute.responseDueAt?.toISOString(),
+});
+
+const markResolved = (dispute, context) => {
+  dispute.outcome = context.outcome || dispute.outcome;
+  dispute.resolvedAt = new Date();
+};
+
+// Transition table keyed by target status (same shape as the application
+// state machine): from, onEnter before save, afterSave side effects
+const DISPUTE_TRANSITIONS = {
+  EVIDENCE_REQUIRED: {
+    from: ['OPEN', 'UNDER_REVIEW'],
+    afterSave: (dispute) =>
+      sendPaymentAlertEmail(
+        `Dispute evidence required for ${dispute.applicationId}`,
+        'The payment provider is waiting for our response to this dispute. Upload the evidence and respond before the deadline.',
+        alertDetails(dispute)
+      ),
+  },
+  UNDER_REVIEW: {
+    from: ['OPEN', 'EVIDENCE_REQUIRED'],
+  },
+  WON: {
+    from: OPEN_DISPUTE_STATUSES,
+    onEnter: markResolved,
+    afterSave: async (dispute, context) => {
+      await releaseApplication(await findApplication(dispute.applicationId), {
+        source: context.source,
+        actor: context.actor,
+        reason: `Dispute ${dispute.disputeId} won`,
+      });
+      await sendPaymentAlertEmail(
+        `Dispute won for ${dispute.applicationId}`,
+        'The dispute was resolved in our favour. A held application returns to its previous status.',
+        { ...alertDetails(dispute), Outcome: dispute.outcome }
+      );
+    },
+  },
+  LOST: {
+    from: OPEN_DISPUTE_STATUSES,
+    onEnter: markResolved,
+    afterSave: async (dispute) => {
+      const application = await findApplication(dispute.applicationId);
+      await sendPaymentAlertEmail(
+        `Dispute lost for ${dispute.applicationId}`,
+        application?.status === 'on_hold'
+          ? 'The dispute was not resolved in our favour. The application stays on hold; please review it.'
+          : `The dispute was not resolved in our favour. The application is not on hold (status: ${application?.status || 'not found'}); please review it.`,
+        { ...alertDetails(dispute), Outcome: dispute.outcome }
+      );
+    },
+  },
+};
+
+// Check whether a dispute in `currentStatus` may enter `requestedStatus`
+export const canTransitionDispute = (currentStatus, requestedStatus) =>
+  !!DISPUTE_TRANSITIONS[requestedStatus]?.from.includes(currentStatus);
+
+// Move a dispute to a new status and run its side effects. `context`
+// carries the audit fields (actor, source, reason) and the outcome.
+// Side-effect failures are logged, never thrown.
+export const transitionDispute = async (dispute, requestedStatus, context) => {
+  if (!canTransitionDispute(dispute.status, requestedStatus)) {
+    throw new AppError(
+      `Invalid dispute status transition from '${dispute.status}' to '${requestedStatus}'`,
+      409
+    );
+  }
+
+  const transition = DISPUTE_TRANSITIONS[requestedStatus];
+  const fromStatus = dispute.status;
+
+  dispute.status = requestedStatus;
+  transition.onEnter?.(dispute, context);
+  dispute.recordStatusChange(fromStatus, requestedStatus, context);
+  await dispute.save();
+
+  if (transition.afterSave) {
+    try {
+      await transition.afterSave(dispute, context);
+    } catch (error) {
+      console.error(
+        `Side effect failed for dispute ${dispute.disputeId} (${fromStatus} -> ${requestedStatus}):`,
+        error
+      );
+    }
+  }
+
+  return { from: fromStatus, to: requestedStatus };
+};
+
+// Open a dispute for a payment, hold its application and alert staff
+const openDispute = async (payment, eventData, context) => {
+  const dispute = await Dispute.create({
+    disputeId: eventData.disputeId,
+    provider: payment.provider,
+    paymentId: payment.paymentId,
+    applicationId: payment.applicationId,
+    transactionId: payment.transactionId,
+    status: 'OPEN',
+    reason: eventData.reason,
+    amount: eventData.amount,
+    currency: eventData.currency,
+    providerStatus: eventData.status,
+    stage: eventData.stage,
+    responseDueAt: eventData.responseDueAt,
+    history: [
+      {
+        to: 'OPEN',
+        actor: context.actor,
+        source: context.source,
+        reason: context.reason,
+      },
+    ],
+  });
+
+  try {
+    const application = await findApplication(payment.applicationId);
+    const held = await holdApplication(application, {
+      ...context,
+      reason: `Payment disputed (${dispute.disputeId}): ${dispute.reason || 'no reason given'}`,
+    });
+    await sendPaymentAlertEmail(
+      `Payment disputed for ${dispute.applicationId}`,
+      held
+        ? 'The customer opened a dispute for this payment. The application has been put on hold until it is resolved.'
+        : `The customer opened a dispute for this payment. The application could not be put on hold (status: ${application?.status || 'not found'}); please review it.`,
+      alertDetails(dispute)
+    );
+  } catch (error) {
+    console.error(
+      `Side effect failed for dispute ${dispute.disputeId}:`,
+      error
+    );
+  }
+
+  return dispute;
+};
+
+// Apply a normalized dispute webhook event (DISPUTE_CREATED, _UPDATED,
+// _RESOLVED) to the payment's dispute, creating it on first sight
+export const ingestDisputeEvent = async (payment, eventData, context) => {
+  let dispute = await Dispute.findOne({ disputeId: eventData.disputeId });
+  if (!dispute) {
+    dispute = await openDispute(payment, eventData, context);
+  }
+
+  // Keep the provider's view of the dispute current
+  dispute.providerStatus = eventData.status || dispute.providerStatus;
+  dispute.stage = eventData.stage || dispute.stage;
+  dispute.responseDueAt = eventData.responseDueAt || dispute.responseDueAt;
+  await dispute.save();
+
+  const requestedStatus =
+    eventData.type === 'DISPUTE_RESOLVED'
+      ? DISPUTE_WON_OUTCOMES.includes(eventData.outcome)
+        ? 'WON'
+        : 'LOST'
+      : PROVIDER_STATUSES[eventData.status];
+
+  // Redelivered or out-of-order events leave the status alone
+  if (
+    requestedStatus &&
+    canTransitionDispute(dispute.status, requestedStatus)
+  ) {
+    await transitionDispute(dispute, requestedStatus, {
+      ...context,
+      outcome: eventData.outcome,
+    });
+  }
+
+  return dispute;
+};
+
+// Open disputes ordered by response deadline (disputes without one last),
+// with the time left and totals per currency
+export const getOpenDisputesReport = async ({ dueWithinDays } = {}) => {
+  const now = new Date();
+  const filter = { status: { $in: OPEN_DISPUTE_STATUSES } };
+  if (dueWithinDays !== undefined) {
+    filter.responseDueAt = {
+      $lte: new Date(now.getTime() + dueWithinDays * 24 * 60 * 60 * 1000),
+    };
+  }
+
+  const disputes = await Dispute.find(filter)
+    .select('-history -evidence.publicId')
+    .lean();
+
+  const rows = disputes
+    .map((dispute) => {
+      const msLeft = dispute.responseDueAt
+        ? dispute.responseDueAt.getTime() - now.getTime()
+        : null;
+      return {
+        disputeId: dispute.disputeId,
+        provider: dispute.provider,
+        paymentId: dispute.paymentId,
+        applicationId: dispute.applicationId,
+        status: dispute.status,
+        providerStatus: dispute.providerStatus,
+        stage: dispute.stage,
+        reason: dispute.reason,
+        amount: dispute.amount ? parseFloat(dispute.amount) : null,
+        currency: dispute.currency,
+        openedAt: dispute.openedAt,
+        responseDueAt: dispute.responseDueAt || null,
+        daysLeft:
+          msLeft === null ? null : Math.floor(msLeft / (24 * 60 * 60 * 1000)),
+        overdue: msLeft !== null && msLeft < 0,
+        evidenceCount: dispute.evidence?.length || 0,
+      };
+    })
+    .sort(
+      (a, b) =>
+        (a.responseDueAt?.getTime() ?? Infinity) -
+        (b.responseDueAt?.getTime() ?? Infinity)
+    );
+
+  const totals = {};
+  for (const row of rows) {
+    if (row.currency && row.amount) {
+      totals[row.currency] =
+        Math.round(((totals[row.currency] || 0) + row.amount) * 100) / 100;
+    }
+  }
+
+  return {
+    generatedAt: now,
+    summary: {
+      open: rows.length,
+      overdue: rows.filter((row) => row.overdue).length,
+      evidenceRequired: rows.filter((row) => row.status === 'EVIDENCE_REQUIRED')
+        .length,
+      totals,
+    },
+    disputes: rows,
+  };
+};
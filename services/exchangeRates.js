@@ -0,0 +1,93 @@
+import { readFile } from 'fs/promises';
+import { URL } from 'url';
+import { BASE_CURRENCY, roundMoney } from '../config/currencies.js';
+import { secret } from '../config/env.js';
+import { AppError } from '../middleware/error-handler.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import { exchangeRateTableSchema, validateData } from '../utils/validation.js';
+
+// Rate table used until rates are loaded into the database
+const DEFAULT_RATES_FILE = new URL(
+  '../config/exchangeRates.json',
+  import.meta.url
+);
+
+// Read and validate a rate table file ({ base, effectiveAt?, note?, rates })
+export const readRateFile = async (path) => {
+  const table = JSON.parse(
+    await readFile(
+      path || secret.exchangeRatesFile || DEFAULT_RATES_FILE,
+      'utf8'
+    )
+  );
+
+  const validation = validateData(exchangeRateTableSchema, table);
+  if (!validation.success) {
+    throw new AppError(
+      `Invalid exchange rate file: ${JSON.stringify(validation.error)}`,
+      400
+    );
+  }
+  return validation.data;
+};
+
+// Store a new rate set; it is used for quotes from its effectiveAt on
+export const saveRates = async (table, { source, actor }) =>
+  ExchangeRate.create({
+    base: BASE_CURRENCY,
+    rates: table.rates,
+    effectiveAt: table.effectiveAt || new Date(),
+    note: table.note,
+    source,
+    createdBy: actor,
+  });
+
+// The rate set in effect: the latest one in the database, else the rate file.
+// Returns { id, base, rates, effectiveAt, source }.
+export const getCurrentRates = async () => {
+  const rateSet = await ExchangeRate.getEffective();
+  if (rateSet) {
+    return {
+      id: rateSet._id,
+      base: rateSet.base,
+      rates: Object.fromEntries(rateSet.rates),
+      effectiveAt: rateSet.effectiveAt,
+      source: rateSet.source,
+    };
+  }
+
+  const table = await readRateFile();
+  return {
+    id: null,
+    base: table.base,
+    rates: table.rates,
+    effectiveAt: table.effectiveAt || null,
+    source: 'file',
+  };
+};
+
+// Rate that converts an amount in `from` into `to` using a rate set
+export const getRate = (from, to, rateSet) => {
+  if (from === to) {
+    return 1;
+  }
+
+  const fromRate = rateSet.rates[from];
+  const toRate = rateSet.rates[to];
+  if (!fromRate || !toRate) {
+    throw new AppError(`No exchange rate available for ${from} to ${to}`, 409);
+  }
+  return toRate / fromRate;
+};
+
+// Convert an amount back to the base currency with the rate snapshotted at
+// quote time. Returns null for foreign amounts without a snapshot.
+export const toBaseAmount = (amount, currency, exchangeRate) => {
+  if (!currency || currency === BASE_CURRENCY) {
+    return roundMoney(amount, BASE_CURRENCY);
+  }
+  if (!exchangeRate?.baseRate || exchangeRate.to !== currency) {
+    return null;
+  }
+  return roundMoney(Number(amount) * exchangeRate.baseRate, BASE_CURRENCY);
+};
@@ -0,0 +1,254 @@
+import { BASE_CURRENCY, roundMoney } from '../config/currencies.js';
+import { DESTINATIONS } from '../config/destinations.js';
+import Payment from '../models/Payment.js';
+import {
+  getDestination,
+  getDestinationByApplicationId,
+} from './destinations.js';
+import { toBaseAmount } from './exchangeRates.js';
+
+// Payments that were captured (and possibly refunded or reversed since)
+const CAPTURED_STATUSES = [
+  'COMPLETED',
+  'PARTIALLY_REFUNDED',
+  'REFUNDED',
+  'REVERSED',
+];
+
+// Funnel stages in order; statuses after payment count as paid
+const FUNNEL_STAGES = [
+  'started',
+  'applicant_details_completed',
+  'documents_completed',
+  'submitted',
+  'paid',
+];
+const STAGE_RANKS = {
+  ...Object.fromEntries(FUNNEL_STAGES.map((stage, rank) => [stage, rank])),
+  processing: 4,
+  approved: 4,
+  rejected: 4,
+};
+
+// Money figures of a report row, in one currency
+export const MONEY_FIELDS = ['gross', 'fees', 'refunds', 'reversals', 'net'];
+
+const emptyFigures = () => ({
+  payments: 0,
+  ...Object.fromEntries(MONEY_FIELDS.map((field) => [field, 0])),
+});
+
+const addFigures = (target, figures, currency) => {
+  target.payments += 1;
+  for (const field of MONEY_FIELDS) {
+    target[field] = roundMoney(target[field] + figures[field], currency);
+  }
+};
+
+// When a payment counts as revenue: its capture, else its creation
+const paymentDate = (payment) =>
+  new Date(payment.metadata?.capturedAt || payment.createdAt);
+
+// ISO 8601 week of a date (UTC), e.g. 2026-W07
+const isoWeek = (date) => {
+  const day = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  // Thursday of the same week decides the week-based year
+  day.setUTCDate(day.getUTCDate() + 3 - ((day.getUTCDay() + 6) % 7));
+  const firstThursday = new Date(Date.UTC(day.getUTCFullYear(), 0, 4));
+  const week =
+    1 +
+    Math.round(
+      ((day - firstThursday) / 86400000 -
+        3 +
+        ((firstThursday.getUTCDay() + 6) % 7)) /
+        7
+    );
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+// Row key of a payment for each grouping
+const GROUP_KEYS = {
+  day: (payment) => paymentDate(payment).toISOString().slice(0, 10),
+  week: (payment) => isoWeek(paymentDate(payment)),
+  month: (payment) => paymentDate(payment).toISOString().slice(0, 7),
+  country: (payment, countries) =>
+    countries.get(payment.applicationId) || 'Unknown',
+  currency: (payment) => payment.currency,
+};
+
+// Gross, fees (PayPal), refunds, reversals and net of one payment in its
+// own currency
+const getPaymentFigures = (payment) => {
+  const currency = payment.currency;
+  const gross = parseFloat(payment.amount);
+  const fees = parseFloat(payment.paypalFee || 0);
+  const refunds = (payment.refunds || []).reduce(
+    (sum, refund) => sum + parseFloat(refund.amount),
+    0
+  );
+  const reversals =
+    payment.status === 'REVERSED'
+      ? parseFloat(payment.metadata?.reversal?.amount ?? gross) - refunds
+      : 0;
+
+  return {
+    gross,
+    fees,
+    refunds: roundMoney(refunds, currency),
+    reversals: roundMoney(Math.max(reversals, 0), currency),
+    net: roundMoney(gross - fees - refunds - Math.max(reversals, 0), currency),
+  };
+};
+
+// Convert a payment's figures to the base currency with its snapshotted
+// rate (null when a foreign payment has no snapshot)
+const toBaseFigures = (payment, figures) => {
+  const converted = Object.fromEntries(
+    MONEY_FIELDS.map((field) => [
+      field,
+      toBaseAmount(figures[field], payment.currency, payment.exchangeRate),
+    ])
+  );
+  return converted.gross === null ? null : converted;
+};
+
+// Passport country of each paid application, looked up per destination
+const getPassportCountries = async (applicationIds) => {
+  const byDestination = new Map();
+  for (const applicationId of new Set(applicationIds)) {
+    const destination = getDestinationByApplicationId(applicationId);
+    if (!destination) continue;
+    if (!byDestination.has(destination)) byDestination.set(destination, []);
+    byDestination.get(destination).push(applicationId);
+  }
+
+  const countries = new Map();
+  for (const [destination, ids] of byDestination) {
+    const applications = await destination.Application.find(
+      { applicationId: { $in: ids } },
+      { applicationId: 1, passportCountry: 1 }
+    ).lean();
+    for (const application of applications) {
+      countries.set(application.applicationId, application.passportCountry);
+    }
+  }
+  return countries;
+};
+
+// Revenue of captured payments in a date range, grouped by day, week,
+// month, passport country or currency. Figures are in the base currency
+// (USD) at each payment's snapshotted rate and net of PayPal fees, refunds
+// and reversals; refunds count against the period of their payment.
+// Currency rows also carry the figures in that currency.
+export const getRevenueReport = async ({ from, to, groupBy }) => {
+  const dateRange = { $gte: from, $lte: to };
+  const payments = await Payment.find({
+    status: { $in: CAPTURED_STATUSES },
+    $or: [
+      { 'metadata.capturedAt': dateRange },
+      { 'metadata.capturedAt': { $exists: false }, createdAt: dateRange },
+    ],
+  })
+    .select(
+      'paymentId applicationId status amount currency exchangeRate paypalFee refunds metadata.capturedAt metadata.reversal createdAt'
+    )
+    .lean();
+
+  const countries =
+    groupBy === 'country'
+      ? await getPassportCountries(payments.map((p) => p.applicationId))
+      : null;
+
+  const groups = new Map();
+  const totals = emptyFigures();
+  let unconverted = 0;
+
+  for (const payment of payments) {
+    const figures = getPaymentFigures(payment);
+    const baseFigures = toBaseFigures(payment, figures);
+    if (!baseFigures) {
+      unconverted += 1;
+      continue;
+    }
+
+    const key = GROUP_KEYS[groupBy](payment, countries);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        ...emptyFigures(),
+        ...(groupBy === 'currency' && {
+          native: { currency: payment.currency, ...emptyFigures() },
+        }),
+      });
+    }
+
+    const row = groups.get(key);
+    addFigures(row, baseFigures, BASE_CURRENCY);
+    if (row.native) addFigures(row.native, figures, payment.currency);
+    addFigures(totals, baseFigures, BASE_CURRENCY);
+  }
+
+  return {
+    from,
+    to,
+    groupBy,
+    currency: BASE_CURRENCY,
+    rows: [...groups.values()].sort((a, b) => (a.key < b.key ? -1 : 1)),
+    totals,
+    // Foreign-currency payments without a rate snapshot are left out
+    unconverted,
+  };
+};
+
+// Conversion funnel of applications created in a date range: how many
+// reached each stage from started to paid (by their status history or,
+// for older applications, their current status), optionally for one
+// destination
+export const getFunnelReport = async ({ from, to, destination }) => {
+  const slugs = destination ? [destination] : Object.keys(DESTINATIONS);
+  const reached = FUNNEL_STAGES.map(() => 0);
+
+  for (const slug of slugs) {
+    const { Application } = getDestination(slug);
+    const cursor = Application.find(
+      { createdAt: { $gte: from, $lte: to } },
+      { status: 1, 'statusHistory.to': 1, 'hold.previousStatus': 1 }
+    )
+      .lean()
+      .cursor();
+
+    for await (const application of cursor) {
+      const rank = Math.max(
+        -1,
+        ...[
+          application.status,
+          application.hold?.previousStatus,
+          ...(application.statusHistory || []).map((entry) => entry.to),
+        ].map((status) => STAGE_RANKS[status] ?? -1)
+      );
+      for (let stage = 0; stage <= rank; stage++) {
+        reached[stage] += 1;
+      }
+    }
+  }
+
+  const rate = (count, of) => (of ? Math.round((count / of) * 10000) / 100 : 0);
+
+  return {
+    from,
+    to,
+    destination: destination || null,
+    stages: FUNNEL_STAGES.map((stage, index) => ({
+      stage,
+      count: reached[index],
+      // Percentages of the previous stage and of started applications
+      conversionFromPrevious: rate(
+        reached[index],
+        index ? reached[index - 1] : reached[0]
+      ),
+      conversionFromStarted: rate(reached[index], reached[0]),
+    })),
+  };
+};
@@ -0,0 +1,223 @@
+import { BASE_CURRENCY, roundMoney } from '../config/currencies.js';
+import Invoice from '../models/Invoice.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+import { findApplication } from './destinations.js';
+import { toBaseAmount } from './exchangeRates.js';
+import { isSameAmount } from './pricing.js';
+
+// Number prefix of each document type
+const SERIES = {
+  INVOICE: 'INV',
+  CREDIT_NOTE: 'CN',
+};
+
+// Attempts at taking the next number when documents are issued concurrently
+const NUMBERING_ATTEMPTS = 5;
+
+const isDuplicateKey = (error, field) =>
+  error?.code === 11000 && Object.hasOwn(error.keyPattern || {}, field);
+
+// Store a document under the next number of its series for the year. The
+// number follows the last stored document and a unique index rejects
+// duplicates, so an insert that fails never leaves a gap; a document already
+// issued for the same source is returned instead of a second one.
+const createNumbered = async (type, data) => {
+  const issuedAt = new Date();
+  const year = issuedAt.getUTCFullYear();
+
+  for (let attempt = 1; ; attempt++) {
+    const last = await Invoice.findOne({ type, year })
+      .sort({ sequence: -1 })
+      .select('sequence')
+      .lean();
+    const sequence = (last?.sequence || 0) + 1;
+
+    try {
+      return await Invoice.create({
+        ...data,
+        type,
+        year,
+        sequence,
+        number: `${SERIES[type]}-${year}-${String(sequence).padStart(6, '0')}`,
+        issuedAt,
+      });
+    } catch (error) {
+      if (isDuplicateKey(error, 'sourceKey')) {
+        return Invoice.findOne({ sourceKey: data.sourceKey });
+      }
+      const numberTaken =
+        isDuplicateKey(error, 'sequence') || isDuplicateKey(error, 'number');
+      if (!numberTaken || attempt >= NUMBERING_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Name on the document: the payer reported by the provider, else the main
+// applicant
+const getPayerName = (payment, application) => {
+  const payer = payment.providerResponse?.payer?.name;
+  const names = payment.payerName?.firstName
+    ? [payment.payerName.firstName, payment.payerName.lastName]
+    : payer
+      ? [payer.given_name, payer.surname]
+      : [
+          application?.mainApplicant?.givenNames,
+          application?.mainApplicant?.surname,
+        ];
+  return names.filter(Boolean).join(' ') || undefined;
+};
+
+// Applicant label of a pricing line item
+const describeApplicant = (item) =>
+  item.name ||
+  (item.applicant === 'main'
+    ? 'Main applicant'
+    : `Applicant ${Number(item.applicant) + 2}`);
+
+// Invoice lines from the pricing snapshot: visa and service fee per
+// applicant, less the promo code discount. Payments that do not match the
+// snapshot (or predate it) get one line for the amount paid.
+const buildInvoiceLines = (payment, application) => {
+  const amount = parseFloat(payment.amount);
+  const pricing = application?.pricing;
+
+  if (
+    !pricing?.lineItems?.length ||
+    !isSameAmount(
+      { amount: pricing.total, currency: pricing.currency },
+      { amount, currency: payment.currency }
+    )
+  ) {
+    return {
+      lineItems: [
+        {
+          description: `Visa application ${payment.applicationId}`,
+          amount,
+        },
+      ],
+      subtotal: amount,
+      discount: 0,
+      total: amount,
+    };
+  }
+
+  const lineItems = pricing.lineItems.flatMap((item) => [
+    {
+      description: `Visa fee - ${describeApplicant(item)}`,
+      applicant: item.applicant,
+      amount: item.visaFee,
+    },
+    {
+      description: `Service fee - ${describeApplicant(item)}`,
+      applicant: item.applicant,
+      amount: item.serviceFee,
+    },
+  ]);
+  const discount = pricing.discount || 0;
+
+  return {
+    lineItems,
+    subtotal: roundMoney(pricing.total + discount, pricing.currency),
+    discount,
+    promoCode: discount > 0 ? pricing.promoCode?.code : undefined,
+    total: pricing.total,
+  };
+};
+
+// Issue the invoice of a completed payment (once; later calls return it)
+export const issueInvoice = async (payment, application) => {
+  const existing = await Invoice.findOne({
+    sourceKey: payment.paymentId,
+  });
+  if (existing) {
+    return existing;
+  }
+
+  const lines = buildInvoiceLines(payment, application);
+
+  return createNumbered('INVOICE', {
+    sourceKey: payment.paymentId,
+    paymentId: payment.paymentId,
+    applicationId: payment.applicationId,
+    provider: payment.provider,
+    transactionId: payment.transactionId,
+    billTo: {
+      name: getPayerName(payment, application),
+      email: payment.payerEmail || application?.email,
+    },
+    currency: payment.currency,
+    ...lines,
+    baseCurrency: BASE_CURRENCY,
+    baseTotal: toBaseAmount(
+      lines.total,
+      payment.currency,
+      payment.exchangeRate
+    ),
+  });
+};
+
+// Issue a credit note for one refund in a payment's ledger (once per
+// refund). The payment's invoice is issued first if it is missing.
+export const issueCreditNote = async (payment, refund) => {
+  const index = payment.refunds.indexOf(refund);
+  const sourceKey = `${payment.paymentId}:${refund.refundId || `#${index}`}`;
+
+  const existing = await Invoice.findOne({ sourceKey });
+  if (existing) {
+    return existing;
+  }
+
+  const application = await findApplication(payment.applicationId);
+  const invoice = await issueInvoice(payment, application);
+
+  const amount = parseFloat(refund.amount);
+  const lineItem = refund.applicant
+    ? application?.pricing?.lineItems?.find(
+        (item) => item.applicant === refund.applicant
+      )
+    : null;
+
+  return createNumbered('CREDIT_NOTE', {
+    sourceKey,
+    paymentId: payment.paymentId,
+    applicationId: payment.applicationId,
+    provider: payment.provider,
+    transactionId: payment.transactionId,
+    refundId: refund.refundId,
+    invoiceNumber: invoice.number,
+    billTo: invoice.billTo,
+    currency: refund.currency,
+    lineItems: [
+      {
+        description: lineItem
+          ? `Refund - ${describeApplicant(lineItem)}`
+          : `Refund of invoice ${invoice.number}`,
+        applicant: refund.applicant,
+        amount,
+      },
+    ],
+    subtotal: amount,
+    total: amount,
+    baseCurrency: BASE_CURRENCY,
+    baseTotal: toBaseAmount(amount, refund.currency, payment.exchangeRate),
+    note: refund.reason,
+  });
+};
+
+// Issue the credit notes missing for a payment's refunds
+export const issueCreditNotes = async (payment) => {
+  const creditNotes = [];
+  for (const refund of payment.refunds) {
+    creditNotes.push(await issueCreditNote(payment, refund));
+  }
+  return creditNotes;
+};
+
+// Email attachment of a document's PDF
+export const toPdfAttachment = async (invoice) => ({
+  filename: `${invoice.number}.pdf`,
+  content: await renderInvoicePdf(invoice),
+  contentType: 'application/pdf',
+});
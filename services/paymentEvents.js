@@ -0,0 +1,358 @@
+import { PaymentError } from '../middleware/error-handler.js';
+import {
+  sendPaymentAlertEmail,
+  sendPaymentStatusEmail,
+  sendPaymentSuccessEmail,
+} from '../utils/application.js';
+import { holdApplication, transitionApplication } from './applicationState.js';
+import { issueCreditNote, issueInvoice, toPdfAttachment } from './invoices.js';
+import { ingestDisputeEvent } from './disputes.js';
+import { findApplication } from './destinations.js';
+import { getPayableAmount, isSameAmount } from './pricing.js';
+import { redeemPromoCode } from './promoCodes.js';
+
+// Move a submitted application to paid once its payment has completed.
+// The captured amount must equal the application's pricing snapshot (or the
+// payment amount for applications priced before snapshots existed);
+// otherwise the payment moves to AMOUNT_MISMATCH (so it does not count as
+// revenue) and the application stays unpaid.
+export const markApplicationPaid = async (payment, captured, context = {}) => {
+  const application = await findApplication(payment.applicationId);
+  if (!application) {
+    return null;
+  }
+
+  const expected = application.pricing
+    ? getPayableAmount(application)
+    : { amount: parseFloat(payment.amount), currency: payment.currency };
+
+  if (!isSameAmount(expected, captured)) {
+    payment.status = 'AMOUNT_MISMATCH';
+    payment.errorMessage = `Captured ${captured.currency} ${captured.amount} but expected ${expected.currency} ${expected.amount}`;
+    payment.metadata = {
+      ...payment.metadata,
+      amountMismatch: { expected, captured, detectedAt: new Date() },
+    };
+    await payment.save();
+
+    throw new PaymentError(
+      'Captured amount does not match the application total',
+      409,
+      'AMOUNT_MISMATCH',
+      { expected, captured }
+    );
+  }
+
+  // Only submitted applications become paid; a held application is
+  // released by staff or by the dispute outcome, not by a late event
+  if (application.status === 'submitted') {
+    await transitionApplication(application, 'paid', context);
+    await redeemPromoCode(application, payment);
+  }
+  return application;
+};
+
+// Issue the invoice of a completed payment and email it to the applicant.
+// Neither an invoicing nor an email failure fails the payment; a missing
+// invoice is issued when it is first downloaded.
+export const notifyPaymentSuccess = async (application, payment) => {
+  let invoice;
+  let attachments = [];
+  try {
+    invoice = await issueInvoice(payment, application);
+    attachments = [await toPdfAttachment(invoice)];
+  } catch (invoiceError) {
+    console.error(
+      `Failed to issue invoice for payment ${payment.paymentId}:`,
+      invoiceError
+    );
+  }
+
+  try {
+    if (application) {
+      await sendPaymentSuccessEmail(
+        application.email,
+        application.applicationId,
+        {
+          transactionId: payment.transactionId,
+          amount: payment.amount,
+          paymentMethod: payment.paymentMethod,
+          invoiceNumber: invoice?.number,
+        },
+        {
+          totalApplicants: (application.additionalApplicants?.length || 0) + 1,
+        },
+        attachments
+      );
+    }
+  } catch (emailError) {
+    console.error('Failed to send payment success email:', emailError);
+    // Don't fail the payment if email fails
+  }
+};
+
+// Payment statuses a provider event may still complete (or hold)
+const OPEN_STATUSES = [
+  'PENDING',
+  'CREATED',
+  'APPROVED',
+  'CAPTURE_PENDING',
+  'FAILED',
+];
+
+// Normalized events handled by the dispute workflow
+const DISPUTE_EVENTS = [
+  'DISPUTE_CREATED',
+  'DISPUTE_UPDATED',
+  'DISPUTE_RESOLVED',
+];
+
+// Email the applicant about a payment status (see PAYMENT_STATUS_EMAILS)
+export const notifyPaymentStatus = async (
+  application,
+  status,
+  details,
+  attachments
+) => {
+  try {
+    if (application) {
+      await sendPaymentStatusEmail(
+        application.email,
+        application.applicationId,
+        status,
+        details,
+        attachments
+      );
+    }
+  } catch (emailError) {
+    console.error(`Failed to send payment ${status} email:`, emailError);
+  }
+};
+
+// Issue the credit note of a refund in the payment's ledger and email it
+// with the refund notice
+export const notifyRefund = async (application, payment, refund) => {
+  let attachments = [];
+  try {
+    attachments = [
+      await toPdfAttachment(await issueCreditNote(payment, refund)),
+    ];
+  } catch (invoiceError) {
+    console.error(
+      `Failed to issue credit note for payment ${payment.paymentId}:`,
+      invoiceError
+    );
+  }
+
+  await notifyPaymentStatus(
+    application,
+    'refunded',
+    { amount: parseFloat(refund.amount), currency: refund.currency },
+    attachments
+  );
+};
+
+// Alert the back office about a payment that needs attention
+const alertStaff = async (subject, message, details) => {
+  try {
+    await sendPaymentAlertEmail(subject, message, details);
+  } catch (emailError) {
+    console.error('Failed to send payment alert email:', emailError);
+  }
+};
+
+// Apply a normalized provider webhook event to its payment, then update the
+// application and notify the applicant and staff. Events that change
+// nothing (redeliveries, late events) have no side effects.
+export const applyPaymentEvent = async (payment, eventData, context) => {
+  // Disputes have their own records and workflow
+  if (DISPUTE_EVENTS.includes(eventData.type)) {
+    await ingestDisputeEvent(payment, eventData, context);
+    return;
+  }
+
+  const previousStatus = payment.status;
+  let changed = false;
+
+  // Update payment status based on event
+  switch (eventData.type) {
+    case 'ORDER_APPROVED':
+      if (['PENDING', 'CREATED'].includes(payment.status)) {
+        payment.status = 'APPROVED';
+        payment.payerEmail = eventData.payerEmail;
+        payment.payerId = eventData.payerId;
+      }
+      break;
+
+    case 'PAYMENT_PENDING':
+      if (OPEN_STATUSES.includes(payment.status)) {
+        payment.status = 'CAPTURE_PENDING';
+        payment.transactionId = eventData.transactionId;
+        payment.metadata = {
+          ...payment.metadata,
+          capturePending: { reason: eventData.reason, since: new Date() },
+        };
+      }
+      break;
+
+    case 'PAYMENT_COMPLETED':
+      if (OPEN_STATUSES.includes(payment.status)) {
+        payment.status = 'COMPLETED';
+        payment.transactionId = eventData.transactionId;
+        payment.payerEmail = eventData.payerEmail;
+      }
+      break;
+
+    case 'PAYMENT_DENIED':
+      if (OPEN_STATUSES.includes(payment.status)) {
+        payment.status = 'FAILED';
+        payment.errorMessage = eventData.reason;
+      }
+      break;
+
+    case 'PAYMENT_REFUNDED': {
+      // Stripe reports the running total; the new part is what the ledger
+      // does not have yet. Refunds already in the ledger are skipped.
+      const amount =
+        eventData.refundedTotal !== undefined
+          ? Math.round(
+              (eventData.refundedTotal -
+                parseFloat(payment.refundedAmount || 0)) *
+                100
+            ) / 100
+          : eventData.refundAmount;
+
+      const refundCount = payment.refunds.length;
+      if (amount > 0) {
+        payment.recordRefund({
+          refundId: eventData.refundId,
+          amount,
+          currency: eventData.currency,
+          status: eventData.status,
+          reason: context.reason,
+          actor: context.actor,
+          source: 'webhook',
+        });
+      }
+      changed = payment.refunds.length > refundCount;
+      break;
+    }
+
+    case 'PAYMENT_REVERSED':
+      if (payment.status !== 'REVERSED') {
+        payment.status = 'REVERSED';
+        payment.metadata = {
+          ...payment.metadata,
+          reversal: {
+            amount: eventData.amount,
+            currency: eventData.currency,
+            reason: eventData.reason,
+            reversedAt: new Date(),
+          },
+        };
+      }
+      break;
+  }
+
+  changed ||= payment.status !== previousStatus;
+  await payment.save();
+
+  // Update application status if payment completed
+  if (eventData.type === 'PAYMENT_COMPLETED') {
+    // Flagged when it was captured; waits for a refund
+    if (payment.status === 'AMOUNT_MISMATCH') {
+      return;
+    }
+
+    if (payment.status === 'COMPLETED') {
+      const application = await markApplicationPaid(
+        payment,
+        { amount: eventData.amount, currency: eventData.currency },
+        context
+      );
+      if (changed) {
+        await notifyPaymentSuccess(application, payment);
+      }
+      return;
+    }
+
+    // A late completion of a cancelled, refunded or reversed payment must
+    // not mark the application paid; staff decide (e.g. refund an expired
+    // order the payer still paid)
+    await alertStaff(
+      `Payment completed for ${payment.applicationId} while ${payment.status}`,
+      'The payment provider reported a completed payment for a payment that is no longer open. The application was not changed.',
+      {
+        Payment: payment.paymentId,
+        Application: payment.applicationId,
+        Provider: payment.provider,
+        Status: payment.status,
+        Transaction: eventData.transactionId,
+        Amount: `${eventData.currency} ${eventData.amount}`,
+      }
+    );
+    return;
+  }
+
+  if (!changed) {
+    return;
+  }
+
+  const application = await findApplication(payment.applicationId);
+  const details = {
+    Payment: payment.paymentId,
+    Application: payment.applicationId,
+    Provider: payment.provider,
+    Transaction: payment.transactionId,
+  };
+
+  switch (eventData.type) {
+    case 'PAYMENT_PENDING':
+      await notifyPaymentStatus(application, 'capture_pending', {
+        amount: eventData.amount,
+        currency: eventData.currency,
+      });
+      break;
+
+    case 'PAYMENT_REFUNDED':
+      await notifyRefund(
+        application,
+        payment,
+        payment.refunds[payment.refunds.length - 1]
+      );
+      break;
+
+    case 'PAYMENT_REVERSED': {
+      const held = await holdApplication(application, {
+        ...context,
+        reason: `Payment reversed: ${eventData.reason || 'no reason given'}`,
+      });
+      // Reversals of applications that could not be held (e.g. not yet paid
+      // or already rejected) are flagged for staff to follow up by hand
+      payment.metadata = {
+        ...payment.metadata,
+        reversal: { ...payment.metadata?.reversal, applicationHeld: held },
+      };
+      await payment.save();
+
+      await notifyPaymentStatus(application, 'reversed', {
+        amount: eventData.amount,
+        currency: eventData.currency,
+      });
+      await alertStaff(
+        held
+          ? `Payment reversed for ${payment.applicationId}`
+          : `Payment reversed for ${payment.applicationId} - application not held`,
+        held
+          ? 'The payment provider reversed this payment. The application has been put on hold.'
+          : `The payment provider reversed this payment. The application could not be put on hold (status: ${application?.status || 'not found'}); please review it.`,
+        {
+          ...details,
+          Amount: `${eventData.currency} ${eventData.amount}`,
+          Reason: eventData.reason,
+        }
+      );
+      break;
+    }
+  }
+};
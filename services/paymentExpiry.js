@@ -0,0 +1,113 @@
+import { setInterval } from 'timers';
+import { secret } from '../config/env.js';
+import Payment from '../models/Payment.js';
+import { getPaymentProvider } from './paymentProviders.js';
+
+// Payment statuses of an order the payer has not approved yet
+const UNPAID_STATUSES = ['PENDING', 'CREATED'];
+
+const ttlMs = () => secret.paymentOrderTtlMinutes * 60 * 1000;
+
+// When a new unpaid order is considered abandoned
+export const getOrderExpiry = (createdAt = new Date()) =>
+  new Date(createdAt.getTime() + ttlMs());
+
+// Whether an unpaid payment has outlived its order TTL (payments created
+// before expiresAt existed use createdAt + TTL)
+export const isPaymentExpired = (payment, now = new Date()) =>
+  UNPAID_STATUSES.includes(payment.status) &&
+  (payment.expiresAt || getOrderExpiry(payment.createdAt)) <= now;
+
+// Cancel an expired payment once its provider confirms the order was never
+// paid (an unconfirmed Stripe PaymentIntent is cancelled at Stripe). Orders
+// the provider reports as approved or paid are left for capture and
+// reconciliation. Returns { expired, orderStatus }.
+export const expirePayment = async (payment) => {
+  const provider = getPaymentProvider(payment.provider);
+  const { cancelled, status: orderStatus } = await provider.cancelOrder(
+    payment.orderId
+  );
+
+  if (!cancelled) {
+    return { expired: false, orderStatus };
+  }
+
+  payment.status = 'CANCELLED';
+  payment.errorMessage = `${provider.name} order expired unpaid (${orderStatus})`;
+  payment.metadata = {
+    ...payment.metadata,
+    pendingCapture: false,
+    expiredAt: new Date(),
+    expiredOrderStatus: orderStatus,
+  };
+  await payment.save();
+
+  return { expired: true, orderStatus };
+};
+
+// Cancel unpaid payments whose order TTL has passed, oldest first
+export const sweepExpiredPayments = async ({ limit = 100 } = {}) => {
+  const now = new Date();
+  const summary = { checked: 0, expired: 0, active: 0, failed: 0 };
+
+  const payments = await Payment.find({
+    status: { $in: UNPAID_STATUSES },
+    $or: [
+      { expiresAt: { $lte: now } },
+      {
+        expiresAt: { $exists: false },
+        createdAt: { $lte: new Date(now.getTime() - ttlMs()) },
+      },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  for (const payment of payments) {
+    summary.checked++;
+    try {
+      const { expired } = await expirePayment(payment);
+      if (expired) summary.expired++;
+      else summary.active++;
+    } catch (error) {
+      // Retried on the next sweep
+      console.error(
+        `Failed to expire payment ${payment.paymentId}:`,
+        error.message
+      );
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+// Periodically sweep expired orders in this process. Set
+// PAYMENT_ORDER_SWEEP_INTERVAL_MINUTES=0 to disable (e.g. on serverless
+// hosts, where scripts/expirePayments.js can run from a scheduler instead).
+export const startOrderExpiryWorker = () => {
+  const intervalMinutes = secret.paymentOrderSweepIntervalMinutes;
+  if (!intervalMinutes) {
+    return null;
+  }
+
+  let running = false;
+  const timer = setInterval(
+    async () => {
+      if (running) return;
+      running = true;
+      try {
+        await sweepExpiredPayments();
+      } catch (error) {
+        console.error('Order expiry worker error:', error.message);
+      } finally {
+        running = false;
+      }
+    },
+    intervalMinutes * 60 * 1000
+  );
+
+  // Don't keep the process alive just for the worker
+  timer.unref();
+  return timer;
+};
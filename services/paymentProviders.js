@@ -0,0 +1,277 @@
+import crypto from 'crypto';
+import { secret } from '../config/env.js';
+import { AppError } from '../middleware/error-handler.js';
+import paypalService from '../utils/paypal.js';
+import stripeService, { StripeService } from '../utils/stripe.js';
+
+// Payment providers. Each provider implements:
+// - createOrder({ amount, currency, description, applicationId, destination,
+//   idempotencyKey }) -> { orderId, approvalUrl?, clientSecret?, raw }
+// - getOrder(orderId) -> { orderId, status, capture, raw } (capture is set
+//   once the order has been captured; only a capture with status COMPLETED
+//   has settled)
+// - captureOrder(orderId) -> capture: { transactionId, status, amount,
+//   currency, fee?, payerEmail, payerId, payerName?, paymentMethod, raw }
+//   (status PENDING: the provider holds the funds, pendingReason says why)
+// - cancelOrder(orderId) -> { cancelled, status }: cancel an order the payer
+//   never paid (cancelled is false, with the provider's status, when it was
+//   approved or paid and must be captured or reconciled instead)
+// - refund(transactionId, { amount, currency, reason })
+//   -> { refundId, status, raw }
+// - verifyWebhook(req) -> boolean
+// - parseWebhookEvent(body) -> normalized event
+//   ({ type: PAYMENT_COMPLETED | PAYMENT_DENIED | PAYMENT_REFUNDED | ...,
+//   orderId, transactionId, amount, currency, ... }). Refund events carry
+//   refundId and either refundAmount (this refund) or refundedTotal (all
+//   refunds of the capture so far).
+
+// Map a Stripe card funding type to a Payment.paymentMethod value
+const STRIPE_PAYMENT_METHODS = {
+  credit: 'CREDIT_CARD',
+  debit: 'DEBIT_CARD',
+};
+
+// Normalize a captured PayPal order to a capture. PayPal reports an order
+// COMPLETED as soon as it is captured, so `status` is the capture's own
+// (COMPLETED, or PENDING while PayPal holds the funds).
+const toPayPalCapture = (order) => {
+  const capture = order.purchase_units?.[0]?.payments?.captures?.[0];
+  return {
+    transactionId: capture?.id,
+    status: capture?.status,
+    pendingReason: capture?.status_details?.reason,
+    amount: parseFloat(capture?.amount?.value),
+    currency: capture?.amount?.currency_code,
+    fee: capture?.seller_receivable_breakdown?.paypal_fee?.value,
+    payerEmail: order.payer?.email_address,
+    payerId: order.payer?.payer_id,
+    payerName: order.payer?.name && {
+      firstName: order.payer.name.given_name,
+      lastName: order.payer.name.surname,
+    },
+    paymentMethod: 'PAYPAL',
+    raw: order,
+  };
+};
+
+// PayPal order statuses of an order that was never paid (NOT_FOUND: PayPal
+// already purged it)
+const PAYPAL_ABANDONED_STATUSES = [
+  'CREATED',
+  'SAVED',
+  'PAYER_ACTION_REQUIRED',
+  'VOIDED',
+  'NOT_FOUND',
+];
+
+// Stripe PaymentIntent statuses before the payer confirmed a payment method
+const STRIPE_ABANDONED_STATUSES = [
+  'requires_payment_method',
+  'requires_confirmation',
+  'requires_action',
+];
+
+// Status of a provider order, NOT_FOUND when the provider has no such order
+const getOrderStatus = async (provider, orderId) => {
+  try {
+    return (await provider.getOrder(orderId)).status;
+  } catch (error) {
+    if (!error.message?.includes(' 404 ')) {
+      throw error;
+    }
+    return 'NOT_FOUND';
+  }
+};
+
+const paypalProvider = {
+  name: 'PAYPAL',
+
+  async createOrder({
+    amount,
+    currency,
+    description,
+    applicationId,
+    destination,
+  }) {
+    const order = await paypalService.createOrder(
+      amount,
+      currency,
+      description,
+      applicationId,
+      destination
+    );
+    return {
+      orderId: order.id,
+      approvalUrl: order.links?.find((link) => link.rel === 'approve')?.href,
+      raw: order,
+    };
+  },
+
+  async getOrder(orderId) {
+    const order = await paypalService.getOrder(orderId);
+    return {
+      orderId: order.id,
+      status: order.status,
+      capture: order.status === 'COMPLETED' ? toPayPalCapture(order) : null,
+      raw: order,
+    };
+  },
+
+  async captureOrder(orderId) {
+    return toPayPalCapture(await paypalService.captureOrder(orderId));
+  },
+
+  // Unpaid orders cannot be voided through the API; PayPal drops them itself
+  async cancelOrder(orderId) {
+    const status = await getOrderStatus(this, orderId);
+    return { cancelled: PAYPAL_ABANDONED_STATUSES.includes(status), status };
+  },
+
+  async refund(transactionId, { amount, currency, reason }) {
+    const refund = await paypalService.refundPayment(
+      transactionId,
+      amount,
+      currency,
+      reason
+    );
+    return { refundId: refund.id, status: refund.status, raw: refund };
+  },
+
+  verifyWebhook(req) {
+    return paypalService.verifyWebhookSignature(req.body, {
+      auth_algo: req.headers['paypal-auth-algo'],
+      cert_url: req.headers['paypal-cert-url'],
+      transmission_id: req.headers['paypal-transmission-id'],
+      transmission_sig: req.headers['paypal-transmission-signature'],
+      transmission_time: req.headers['paypal-transmission-time'],
+    });
+  },
+
+  parseWebhookEvent: (body) => paypalService.parseWebhookEvent(body),
+};
+
+// Normalize a Stripe PaymentIntent (with expanded latest_charge) to a capture
+const toStripeCapture = (intent) => {
+  const charge =
+    typeof intent.latest_charge === 'object' ? intent.latest_charge : null;
+  return {
+    transactionId: charge?.id || intent.latest_charge,
+    status: 'COMPLETED',
+    amount: StripeService.fromMinorUnits(
+      intent.amount_received,
+      intent.currency
+    ),
+    currency: intent.currency?.toUpperCase(),
+    payerEmail: charge?.billing_details?.email || intent.receipt_email,
+    payerId: charge?.customer || intent.customer || undefined,
+    paymentMethod:
+      STRIPE_PAYMENT_METHODS[charge?.payment_method_details?.card?.funding],
+    raw: intent,
+  };
+};
+
+const stripeProvider = {
+  name: 'STRIPE',
+
+  async createOrder({
+    amount,
+    currency,
+    description,
+    applicationId,
+    idempotencyKey,
+  }) {
+    const intent = await stripeService.createPaymentIntent(
+      amount,
+      currency,
+      description,
+      applicationId,
+      idempotencyKey
+    );
+    return {
+      orderId: intent.id,
+      clientSecret: intent.client_secret,
+      raw: intent,
+    };
+  },
+
+  async getOrder(orderId) {
+    const intent = await stripeService.getPaymentIntent(orderId);
+    return {
+      orderId: intent.id,
+      status: intent.status,
+      capture: intent.status === 'succeeded' ? toStripeCapture(intent) : null,
+      raw: intent,
+    };
+  },
+
+  async captureOrder(orderId) {
+    return toStripeCapture(await stripeService.capturePaymentIntent(orderId));
+  },
+
+  async cancelOrder(orderId) {
+    const status = await getOrderStatus(this, orderId);
+    if (STRIPE_ABANDONED_STATUSES.includes(status)) {
+      await stripeService.cancelPaymentIntent(orderId);
+      return { cancelled: true, status };
+    }
+    return {
+      cancelled: ['canceled', 'NOT_FOUND'].includes(status),
+      status,
+    };
+  },
+
+  async refund(transactionId, { amount, currency, reason }) {
+    const refund = await stripeService.refundPayment(
+      transactionId,
+      amount,
+      currency,
+      reason
+    );
+    return { refundId: refund.id, status: refund.status, raw: refund };
+  },
+
+  verifyWebhook: (req) =>
+    stripeService.verifyWebhookSignature(
+      req.rawBody?.toString('utf8'),
+      req.headers['stripe-signature']
+    ),
+
+  parseWebhookEvent: (body) => stripeService.parseWebhookEvent(body),
+};
+
+const PAYMENT_PROVIDERS = {
+  PAYPAL: paypalProvider,
+  STRIPE: stripeProvider,
+};
+
+export const PAYMENT_PROVIDER_NAMES = Object.keys(PAYMENT_PROVIDERS);
+
+// Idempotency key sent with provider requests and stored on the payment
+export const generateIdempotencyKey = () =>
+  crypto.randomBytes(16).toString('hex');
+
+// Resolve a provider by name
+export const getPaymentProvider = (name) => {
+  const key = String(name || '').toUpperCase();
+  if (!Object.hasOwn(PAYMENT_PROVIDERS, key)) {
+    throw new AppError(`Unsupported payment provider: ${name}`, 400);
+  }
+  return PAYMENT_PROVIDERS[key];
+};
+
+// Parse PAYMENT_PROVIDER_BY_CURRENCY ("EUR:STRIPE,GBP:STRIPE")
+const providerByCurrency = Object.fromEntries(
+  secret.paymentProviderByCurrency
+    .split(',')
+    .map((pair) => pair.split(':').map((part) => part.trim().toUpperCase()))
+    .filter(([currency, provider]) => currency && provider)
+);
+
+// Pick the provider for a payment: the one requested for the application,
+// else the one configured for the currency, else the default
+export const selectPaymentProvider = ({ requested, currency } = {}) =>
+  getPaymentProvider(
+    requested ||
+      providerByCurrency[String(currency || '').toUpperCase()] ||
+      secret.paymentDefaultProvider
+  );
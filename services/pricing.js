@@ -0,0 +1,168 @@
+import {
+  BASE_CURRENCY,
+  getLocalCurrency,
+  roundConvertedMoney,
+  roundMoney,
+} from '../config/currencies.js';
+import { AppError } from '../middleware/error-handler.js';
+import { getCurrentRates, getRate } from './exchangeRates.js';
+import { applyDiscount, findUsablePromoCode } from './promoCodes.js';
+
+// Display name of an applicant subdocument (undefined until details are saved)
+const applicantName = (applicant) =>
+  [applicant?.givenNames, applicant?.surname].filter(Boolean).join(' ') ||
+  undefined;
+
+// Build the per-applicant breakdown of an application for a fee record.
+// Every applicant pays the visa fee plus the service fee. With an exchange
+// rate snapshot the fees are converted and rounded up per currency.
+export const buildPriceBreakdown = (application, fee, exchangeRate) => {
+  const currency = exchangeRate?.to || fee.currency || BASE_CURRENCY;
+  const convert = (amount) =>
+    exchangeRate
+      ? roundConvertedMoney(amount * exchangeRate.rate, currency)
+      : amount;
+  const visaFee = convert(fee.visaFee);
+  const serviceFee = convert(fee.serviceFee);
+
+  const applicants = [
+    ['main', application.mainApplicant],
+    ...(application.additionalApplicants || []).map((applicant, index) => [
+      String(index),
+      applicant,
+    ]),
+  ];
+
+  const lineItems = applicants.map(([applicant, details]) => ({
+    applicant,
+    name: applicantName(details),
+    visaFee,
+    serviceFee,
+    total: roundMoney(visaFee + serviceFee, currency),
+  }));
+
+  const total = roundMoney(
+    lineItems.reduce((sum, item) => sum + item.total, 0),
+    currency
+  );
+
+  return {
+    currency,
+    visaFee,
+    serviceFee,
+    duration: fee.duration,
+    numberOfEntries: fee.numberOfEntries,
+    lineItems,
+    total,
+    ...(exchangeRate && { exchangeRate }),
+    baseCurrency: BASE_CURRENCY,
+    baseTotal: exchangeRate
+      ? roundMoney(total * exchangeRate.baseRate, BASE_CURRENCY)
+      : total,
+  };
+};
+
+// Snapshot of the rates converting fees into the quote currency (rate) and
+// the quote currency back to the base currency (baseRate)
+const snapshotExchangeRate = async (feeCurrency, currency) => {
+  const rateSet = await getCurrentRates();
+  return {
+    from: feeCurrency,
+    to: currency,
+    rate: getRate(feeCurrency, currency, rateSet),
+    baseRate: getRate(currency, BASE_CURRENCY, rateSet),
+    rateSetId: rateSet.id,
+    source: rateSet.source,
+    effectiveAt: rateSet.effectiveAt,
+  };
+};
+
+// Apply the application's promo code (if any) to a breakdown. Throws when
+// the code can no longer be used, so it is rechecked at submission.
+const discountPricing = async (application, pricing, countryCode) => {
+  if (!application.promoCode?.code) {
+    return pricing;
+  }
+
+  const promo = await findUsablePromoCode(application.promoCode.code, {
+    email: application.email,
+    countryCode,
+  });
+  return applyDiscount(pricing, promo);
+};
+
+// Price an application against the destination's current fee table, in the
+// requested currency, else the passport country's local currency, else the
+// fee currency
+export const priceApplication = async (
+  application,
+  VisaFee,
+  { currency } = {}
+) => {
+  const fee = await VisaFee.getFeeByCountry(application.passportCountry);
+  if (!fee) {
+    throw new AppError(
+      `Visa fee information not available for ${application.passportCountry}`,
+      404
+    );
+  }
+
+  const feeCurrency = fee.currency || BASE_CURRENCY;
+  const quoteCurrency =
+    currency || getLocalCurrency(fee.countryCode) || feeCurrency;
+  const exchangeRate =
+    quoteCurrency !== feeCurrency || feeCurrency !== BASE_CURRENCY
+      ? await snapshotExchangeRate(feeCurrency, quoteCurrency)
+      : undefined;
+
+  const pricing = await discountPricing(
+    application,
+    buildPriceBreakdown(application, fee, exchangeRate),
+    fee.countryCode
+  );
+
+  return {
+    ...pricing,
+    pricedAt: new Date(),
+  };
+};
+
+// Re-apply the application's promo code to its frozen pricing snapshot
+// (after submission); fees and the exchange rate stay as snapshotted
+export const repriceDiscount = async (application, VisaFee) => {
+  const fee = await VisaFee.getFeeByCountry(application.passportCountry);
+  const pricing = application.pricing.toObject();
+
+  return application.promoCode?.code
+    ? discountPricing(application, pricing, fee?.countryCode)
+    : applyDiscount(pricing);
+};
+
+// Freeze a price breakdown onto the application (at submission)
+export const applyPricing = (application, pricing) => {
+  application.pricing = pricing;
+  application.visaFee = pricing.visaFee;
+  application.serviceFee = pricing.serviceFee;
+  application.totalFee = pricing.total;
+};
+
+// Whether a charged amount/currency equals the expected one (in cents)
+export const isSameAmount = (expected, actual) =>
+  actual.currency === expected.currency &&
+  Math.round(Number(actual.amount) * 100) ===
+    Math.round(Number(expected.amount) * 100);
+
+// Amount due for an application, taken only from its pricing snapshot
+export const getPayableAmount = (application) => {
+  if (!application.pricing?.total) {
+    throw new AppError(
+      'Application has not been priced yet; submit it before paying',
+      409
+    );
+  }
+
+  return {
+    amount: application.pricing.total,
+    currency: application.pricing.currency,
+  };
+};
@@ -0,0 +1,344 @@
+import crypto from 'crypto';
+import { auth } from '../config/auth.js';
+import { DESTINATIONS } from '../config/destinations.js';
+import { AppError } from '../middleware/error-handler.js';
+import Dispute from '../models/Dispute.js';
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import PrivacyRequest from '../models/PrivacyRequest.js';
+import PromoCode from '../models/PromoCode.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { cloudinary } from '../utils/cloudinary.js';
+import { getDestination } from './destinations.js';
+import { expirePayment, isPaymentExpired } from './paymentExpiry.js';
+
+// Address that replaces an erased one (the .invalid domain never delivers)
+export const ERASED_EMAIL = 'erased@erased.invalid';
+
+// Applications whose data is still needed to finish processing
+const BLOCKING_STATUSES = ['paid', 'processing', 'on_hold'];
+
+// Payments that may still be captured, or were captured for the wrong
+// amount and await a refund
+const OPEN_PAYMENT_STATUSES = [
+  'PENDING',
+  'CREATED',
+  'APPROVED',
+  'CAPTURE_PENDING',
+  'AMOUNT_MISMATCH',
+];
+
+const OPEN_DISPUTE_STATUSES = ['OPEN', 'EVIDENCE_REQUIRED', 'UNDER_REVIEW'];
+
+// Records kept after an erasure: invoices and credit notes for bookkeeping,
+// disputes for the legal claim, and payment amounts and references
+export const RETAINED_RECORDS = [
+  'invoices',
+  'credit notes',
+  'disputes',
+  'payment amounts and transaction references',
+];
+
+// Sections of a data export (one file each in a ZIP export)
+export const EXPORT_SECTIONS = [
+  'applications',
+  'statusHistory',
+  'documents',
+  'payments',
+  'invoices',
+  'disputes',
+  'webhookEvents',
+  'promoCodeRedemptions',
+];
+
+export const hashEmail = (email) =>
+  crypto.createHash('sha256').update(email.toLowerCase()).digest('hex');
+
+// JSON-safe copy of documents (Decimal128 amounts as strings)
+const toPlain = (value) =>
+  JSON.parse(
+    JSON.stringify(value, (key, item) =>
+      item?.$numberDecimal !== undefined ? item.$numberDecimal : item
+    )
+  );
+
+// Applications of an email address in every destination
+const findApplications = async (email, select) => {
+  const found = [];
+  for (const slug of Object.keys(DESTINATIONS)) {
+    const query = getDestination(slug).Application.find({ email });
+    if (select) query.select(select);
+    for (const application of await query) {
+      found.push({ destination: slug, application });
+    }
+  }
+  return found;
+};
+
+// Payments of the applications, or paid from the email address
+const findPayments = (email, applicationIds) =>
+  Payment.find({
+    $or: [{ applicationId: { $in: applicationIds } }, { payerEmail: email }],
+  });
+
+// Uploaded files of an application: passport scans, additional documents
+// and issued visas of every applicant
+const listDocuments = (application) =>
+  [
+    ['main', application.mainApplicant],
+    ...(application.additionalApplicants || []).map((applicant, index) => [
+      String(index),
+      applicant,
+    ]),
+  ]
+    .filter(([, details]) => details)
+    .flatMap(([applicant, details]) => {
+      const { documents, issuedVisa } = details;
+      return [
+        documents?.passportUrl && {
+          type: 'passport',
+          url: documents.passportUrl,
+          publicId: documents.passportPublicId,
+        },
+        ...(documents?.additionalDocuments || []).map((doc) => ({
+          type: 'additional',
+          name: doc.name,
+          url: doc.url,
+          publicId: doc.publicId,
+          format: doc.format,
+          size: doc.size,
+          uploadedAt: doc.uploadedAt,
+        })),
+        issuedVisa && {
+          type: 'issued-visa',
+          name: issuedVisa.name,
+          url: issuedVisa.url,
+          publicId: issuedVisa.publicId,
+          format: issuedVisa.format,
+          size: issuedVisa.size,
+          uploadedAt: issuedVisa.uploadedAt,
+        },
+      ]
+        .filter(Boolean)
+        .map((doc) => ({
+          applicationId: application.applicationId,
+          applicant,
+          ...doc,
+        }));
+    });
+
+// Everything held for an email address: applications (decrypted), uploaded
+// document metadata, payments, invoices, disputes, webhook events and
+// promo code redemptions
+export const collectPersonalData = async (email, user) => {
+  const found = await findApplications(email);
+  const applicationIds = found.map(
+    ({ application }) => application.applicationId
+  );
+  const payments = await findPayments(email, applicationIds).lean();
+  const paymentIds = payments.map((payment) => payment.paymentId);
+
+  const [invoices, disputes, webhookEvents, promoCodes] = await Promise.all([
+    Invoice.find({ paymentId: { $in: paymentIds } }).lean(),
+    Dispute.find({ paymentId: { $in: paymentIds } }).lean(),
+    WebhookEvent.find({ paymentId: { $in: paymentIds } }).lean(),
+    PromoCode.find({ 'redemptions.email': email })
+      .select('code redemptions')
+      .lean(),
+  ]);
+
+  return toPlain({
+    exportedAt: new Date(),
+    subject: {
+      email,
+      account: user && {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        createdAt: user.createdAt,
+      },
+    },
+    applications: found.map(({ destination, application }) => {
+      const { statusHistory: _history, ...details } = application.toObject();
+      return { destination, ...details };
+    }),
+    // Status changes of every application, with who made them
+    statusHistory: found.flatMap(({ destination, application }) =>
+      application.statusHistory.map((entry) => ({
+        destination,
+        applicationId: application.applicationId,
+        ...entry.toObject(),
+      }))
+    ),
+    documents: found.flatMap(({ application }) => listDocuments(application)),
+    payments,
+    invoices,
+    disputes,
+    webhookEvents,
+    promoCodeRedemptions: promoCodes.flatMap((promo) =>
+      promo.redemptions
+        .filter((redemption) => redemption.email === email)
+        .map((redemption) => ({ code: promo.code, ...redemption }))
+    ),
+  });
+};
+
+// Reasons an erasure has to wait: applications being processed, payments
+// that may still be captured (expired orders are cancelled first) and open
+// disputes
+const findErasureBlockers = async (found, payments) => {
+  const blockers = found
+    .filter(({ application }) => BLOCKING_STATUSES.includes(application.status))
+    .map(
+      ({ application }) =>
+        `application ${application.applicationId} is ${application.status}`
+    );
+
+  for (const payment of payments) {
+    if (!OPEN_PAYMENT_STATUSES.includes(payment.status)) continue;
+    if (isPaymentExpired(payment) && (await expirePayment(payment)).expired) {
+      continue;
+    }
+    blockers.push(`payment ${payment.paymentId} is ${payment.status}`);
+  }
+
+  const disputes = await Dispute.find({
+    paymentId: { $in: payments.map((payment) => payment.paymentId) },
+    status: { $in: OPEN_DISPUTE_STATUSES },
+  })
+    .select('disputeId')
+    .lean();
+  for (const dispute of disputes) {
+    blockers.push(`dispute ${dispute.disputeId} is open`);
+  }
+
+  return blockers;
+};
+
+// Delete an uploaded file from cloud storage (true when it is gone)
+const deleteAsset = async (publicId) => {
+  try {
+    const result = await cloudinary.uploader.destroy(publicId);
+    return ['ok', 'not found'].includes(result?.result);
+  } catch (error) {
+    console.error(`Failed to delete asset ${publicId}:`, error);
+    return false;
+  }
+};
+
+// Erase the personal data held for an email address. Uploaded files are
+// deleted from cloud storage; applications keep their status, country and
+// pricing but lose the applicants, contact and device details (also as the
+// actor of their status history); payments
+// keep amounts and references but lose payer details and raw provider
+// responses; webhook payloads and promo code redemption emails are
+// replaced. Invoices and disputes are kept (RETAINED_RECORDS). An
+// applicant's account is deleted as well. Throws 409 while an application
+// is being processed or a payment or dispute is open.
+export const erasePersonalData = async (email, user) => {
+  const found = await findApplications(
+    email,
+    '+resumeTokenHash +resumeTokenExpiresAt'
+  );
+  const applicationIds = found.map(
+    ({ application }) => application.applicationId
+  );
+  const payments = await findPayments(email, applicationIds);
+
+  const blockers = await findErasureBlockers(found, payments);
+  if (blockers.length) {
+    throw new AppError(
+      `Your data cannot be erased yet: ${blockers.join('; ')}`,
+      409
+    );
+  }
+
+  const erasedAt = new Date();
+  const summary = {
+    applications: 0,
+    payments: 0,
+    webhookEvents: 0,
+    promoCodes: 0,
+    assetsDeleted: 0,
+    accountDeleted: false,
+  };
+  const failedAssets = [];
+
+  for (const { application } of found) {
+    for (const { publicId } of listDocuments(application)) {
+      if (!publicId) continue;
+      if (await deleteAsset(publicId)) {
+        summary.assetsDeleted += 1;
+      } else {
+        failedAssets.push(publicId);
+      }
+    }
+
+    application.email = ERASED_EMAIL;
+    application.mainApplicant = undefined;
+    application.additionalApplicants = [];
+    application.ipAddress = undefined;
+    application.userAgent = undefined;
+    application.resumeTokenHash = undefined;
+    application.resumeTokenExpiresAt = undefined;
+    for (const item of application.pricing?.lineItems || []) {
+      item.name = undefined;
+    }
+    application.erasedAt = erasedAt;
+    await application.save();
+
+    // History entries are immutable through the model, but the applicant's
+    // own changes name them as the actor
+    await application.collection.updateOne(
+      { _id: application._id },
+      { $set: { 'statusHistory.$[entry].actor': ERASED_EMAIL } },
+      { arrayFilters: [{ 'entry.actor': email }] }
+    );
+    summary.applications += 1;
+  }
+
+  for (const payment of payments) {
+    payment.payerEmail = undefined;
+    payment.payerId = undefined;
+    payment.payerName = undefined;
+    payment.paypalResponse = undefined;
+    payment.providerResponse = undefined;
+    for (const event of payment.webhookEvents) {
+      event.resource = undefined;
+    }
+    await payment.save();
+    summary.payments += 1;
+  }
+
+  const paymentIds = payments.map((payment) => payment.paymentId);
+  const events = await WebhookEvent.updateMany(
+    { paymentId: { $in: paymentIds } },
+    { $set: { payload: { erased: true, erasedAt } } }
+  );
+  summary.webhookEvents = events.modifiedCount;
+
+  const redemptions = await PromoCode.updateMany(
+    { 'redemptions.email': email },
+    { $set: { 'redemptions.$[redemption].email': ERASED_EMAIL } },
+    { arrayFilters: [{ 'redemption.email': email }] }
+  );
+  summary.promoCodes = redemptions.modifiedCount;
+
+  // Staff accounts are kept: their email identifies them in audit trails
+  if (user?.role === 'applicant') {
+    const context = await auth.$context;
+    await context.internalAdapter.deleteUser(user.id);
+    summary.accountDeleted = true;
+  }
+
+  return { summary, retained: RETAINED_RECORDS, failedAssets };
+};
+
+// Record a data subject request in the log
+export const logPrivacyRequest = ({ email, ...entry }) =>
+  PrivacyRequest.create({
+    ...entry,
+    emailHash: hashEmail(email),
+    completedAt: entry.status === 'COMPLETED' ? new Date() : undefined,
+  });
@@ -0,0 +1,136 @@
+import { BASE_CURRENCY, roundMoney } from '../config/currencies.js';
+import { AppError } from '../middleware/error-handler.js';
+import PromoCode from '../models/PromoCode.js';
+
+// Find a promo code and check it can be used by an applicant
+// (email, passport country code) right now
+export const findUsablePromoCode = async (code, { email, countryCode }) => {
+  const promo = await PromoCode.findActiveByCode(code);
+  if (!promo) {
+    throw new AppError('Promo code not found', 404);
+  }
+
+  const now = new Date();
+  if (promo.validFrom && promo.validFrom > now) {
+    throw new AppError('Promo code is not valid yet', 400);
+  }
+  if (promo.validUntil && promo.validUntil < now) {
+    throw new AppError('Promo code has expired', 400);
+  }
+
+  if (promo.countries.length && !promo.countries.includes(countryCode)) {
+    throw new AppError(
+      'Promo code is not valid for this passport country',
+      400
+    );
+  }
+
+  if (promo.maxRedemptions && promo.redemptionCount >= promo.maxRedemptions) {
+    throw new AppError('Promo code has reached its usage limit', 409);
+  }
+  if (email && promo.getRedemptionsByEmail(email) >= promo.perEmailLimit) {
+    throw new AppError(
+      'Promo code has already been used with this email address',
+      409
+    );
+  }
+
+  return promo;
+};
+
+// Discount a price breakdown's service fees with a promo code, or remove
+// the discount when no promo code is given. Percentage codes take a share of
+// each service fee. Fixed codes (in the base currency) are converted at the
+// breakdown's rate and taken off once per application, spread over the
+// service fees in line item order. Visa fees are never discounted.
+export const applyDiscount = (pricing, promo) => {
+  const { currency, exchangeRate } = pricing;
+
+  // Fixed amount not yet taken off a service fee
+  let fixedLeft =
+    promo?.type === 'fixed'
+      ? roundMoney(promo.value / (exchangeRate?.baseRate || 1), currency)
+      : 0;
+
+  const discountFor = (serviceFee) => {
+    if (!promo) {
+      return 0;
+    }
+    if (promo.type === 'percentage') {
+      return Math.min(
+        roundMoney((serviceFee * Math.min(promo.value, 100)) / 100, currency),
+        serviceFee
+      );
+    }
+    const discount = Math.min(fixedLeft, serviceFee);
+    fixedLeft = roundMoney(fixedLeft - discount, currency);
+    return discount;
+  };
+
+  const lineItems = pricing.lineItems.map((item) => {
+    const discount = discountFor(item.serviceFee);
+    return {
+      ...item,
+      discount,
+      total: roundMoney(item.visaFee + item.serviceFee - discount, currency),
+    };
+  });
+
+  const total = roundMoney(
+    lineItems.reduce((sum, item) => sum + item.total, 0),
+    currency
+  );
+  const discount = roundMoney(
+    lineItems.reduce((sum, item) => sum + item.discount, 0),
+    currency
+  );
+
+  return {
+    ...pricing,
+    lineItems,
+    total,
+    baseTotal: exchangeRate
+      ? roundMoney(total * exchangeRate.baseRate, BASE_CURRENCY)
+      : total,
+    promoCode: promo
+      ? { code: promo.code, type: promo.type, value: promo.value }
+      : undefined,
+    discount,
+  };
+};
+
+// Record the use of the application's promo code once its payment has been
+// captured (at most once per application)
+export const redeemPromoCode = async (application, payment) => {
+  const code = application.pricing?.promoCode?.code;
+  if (!code) {
+    return;
+  }
+
+  try {
+    await PromoCode.updateOne(
+      {
+        code,
+        'redemptions.applicationId': { $ne: application.applicationId },
+      },
+      {
+        $inc: { redemptionCount: 1 },
+        $push: {
+          redemptions: {
+            applicationId: application.applicationId,
+            email: application.email,
+            paymentId: payment.paymentId,
+            discount: application.pricing.discount,
+            currency: application.pricing.currency,
+          },
+        },
+      }
+    );
+  } catch (error) {
+    // The payment stands; the redemption can be recorded by hand
+    console.error(
+      `Failed to record promo code ${code} for ${application.applicationId}:`,
+      error.message
+    );
+  }
+};
@@ -0,0 +1,323 @@
+import { setInterval } from 'timers';
+import { secret } from '../config/env.js';
+import { PaymentError } from '../middleware/error-handler.js';
+import Payment from '../models/Payment.js';
+import ReconciliationReport from '../models/ReconciliationReport.js';
+import { sendPaymentAlertEmail } from '../utils/application.js';
+import paypalService from '../utils/paypal.js';
+import { findApplication } from './destinations.js';
+import { issueCreditNotes } from './invoices.js';
+import { markApplicationPaid, notifyPaymentSuccess } from './paymentEvents.js';
+
+// Payment statuses PayPal may have moved on from without us noticing, plus
+// FAILED (e.g. a capture that timed out on our side but went through)
+const RECONCILED_STATUSES = [
+  'PENDING',
+  'CREATED',
+  'APPROVED',
+  'CAPTURE_PENDING',
+  'FAILED',
+];
+
+// PayPal capture status -> Payment status
+const CAPTURE_STATUSES = {
+  COMPLETED: 'COMPLETED',
+  PENDING: 'CAPTURE_PENDING',
+  DECLINED: 'FAILED',
+  FAILED: 'FAILED',
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+  REFUNDED: 'REFUNDED',
+};
+
+// PayPal order status -> Payment status, for orders without a capture
+const ORDER_STATUSES = {
+  APPROVED: 'APPROVED',
+  VOIDED: 'CANCELLED',
+};
+
+// Discrepancies reconciliation can correct on the payment itself
+const FIXABLE_TYPES = [
+  'STATUS_MISMATCH',
+  'TRANSACTION_ID_MISMATCH',
+  'FEE_MISMATCH',
+  'MISSING_REFUNDS',
+];
+
+const sameCents = (a, b) =>
+  Math.round(parseFloat(a || 0) * 100) === Math.round(parseFloat(b || 0) * 100);
+
+// Compare a payment with its PayPal order, correct it (unless dryRun) and
+// move its application to paid when the capture completed. Returns the
+// discrepancies found and whether an application was paid.
+const reconcilePayPalPayment = async (payment, { dryRun, context }) => {
+  const discrepancies = [];
+  const report = (type, expected, actual, message) =>
+    discrepancies.push({
+      paymentId: payment.paymentId,
+      applicationId: payment.applicationId,
+      orderId: payment.orderId,
+      type,
+      expected,
+      actual,
+      fixed: false,
+      message,
+    });
+
+  let order;
+  try {
+    order = await paypalService.getOrder(payment.orderId);
+  } catch (error) {
+    report(
+      error.message?.includes(' 404 ') ? 'ORDER_NOT_FOUND' : 'PROVIDER_ERROR',
+      undefined,
+      undefined,
+      error.message
+    );
+    return { discrepancies, applicationPaid: false };
+  }
+
+  const payments = order.purchase_units?.[0]?.payments;
+  const capture = payments?.captures?.[0];
+  const expectedStatus = capture
+    ? CAPTURE_STATUSES[capture.status]
+    : ORDER_STATUSES[order.status];
+  const fee = capture?.seller_receivable_breakdown?.paypal_fee?.value;
+  const missingRefunds = (payments?.refunds || []).filter(
+    (refund) =>
+      refund.status === 'COMPLETED' &&
+      !payment.refunds.some((entry) => entry.refundId === refund.id)
+  );
+
+  if (expectedStatus && expectedStatus !== payment.status) {
+    report(
+      'STATUS_MISMATCH',
+      expectedStatus,
+      payment.status,
+      capture
+        ? `PayPal capture ${capture.id} is ${capture.status}`
+        : `PayPal order is ${order.status}`
+    );
+  }
+  if (capture?.id && capture.id !== payment.transactionId) {
+    report('TRANSACTION_ID_MISMATCH', capture.id, payment.transactionId);
+  }
+  if (fee !== undefined && !sameCents(fee, payment.paypalFee?.toString())) {
+    report('FEE_MISMATCH', fee, payment.paypalFee?.toString());
+  }
+  if (missingRefunds.length > 0) {
+    report(
+      'MISSING_REFUNDS',
+      missingRefunds.map((refund) => refund.id),
+      payment.refunds.map((entry) => entry.refundId)
+    );
+  }
+
+  if (dryRun || discrepancies.length === 0) {
+    return { discrepancies, applicationPaid: false };
+  }
+
+  const previousStatus = payment.status;
+
+  if (capture) {
+    payment.transactionId = capture.id;
+    if (fee !== undefined) payment.paypalFee = fee;
+    payment.payerEmail = order.payer?.email_address || payment.payerEmail;
+    payment.payerId = order.payer?.payer_id || payment.payerId;
+    payment.paymentMethod = 'PAYPAL';
+    payment.paypalResponse = order;
+  }
+
+  // A refunded capture was completed first; the ledger sets the final status
+  if (['PARTIALLY_REFUNDED', 'REFUNDED'].includes(expectedStatus)) {
+    payment.status = 'COMPLETED';
+    for (const refund of missingRefunds) {
+      payment.recordRefund({
+        refundId: refund.id,
+        amount: parseFloat(refund.amount?.value),
+        currency: refund.amount?.currency_code,
+        status: refund.status,
+        reason: refund.note_to_payer,
+        actor: context.actor,
+        source: 'reconciliation',
+      });
+    }
+  } else if (expectedStatus) {
+    payment.status = expectedStatus;
+  }
+
+  payment.metadata = {
+    ...payment.metadata,
+    ...(capture && { pendingCapture: false }),
+    reconciledAt: new Date(),
+  };
+  await payment.save();
+
+  if (missingRefunds.length) {
+    try {
+      await issueCreditNotes(payment);
+    } catch (error) {
+      console.error(
+        `Failed to issue credit notes for payment ${payment.paymentId}:`,
+        error
+      );
+    }
+  }
+
+  for (const discrepancy of discrepancies) {
+    discrepancy.fixed =
+      FIXABLE_TYPES.includes(discrepancy.type) &&
+      (discrepancy.type !== 'STATUS_MISMATCH' ||
+        payment.status === expectedStatus);
+  }
+
+  // Only a newly completed capture pays the application
+  let applicationPaid = false;
+  if (payment.status === 'COMPLETED' && previousStatus !== 'COMPLETED') {
+    const before = await findApplication(payment.applicationId);
+    try {
+      const application = await markApplicationPaid(
+        payment,
+        {
+          amount: parseFloat(capture.amount?.value),
+          currency: capture.amount?.currency_code,
+        },
+        context
+      );
+      applicationPaid =
+        before?.status === 'submitted' && application?.status === 'paid';
+      if (applicationPaid) {
+        await notifyPaymentSuccess(application, payment);
+      }
+    } catch (error) {
+      if (!(error instanceof PaymentError)) throw error;
+      report(
+        'AMOUNT_MISMATCH',
+        error.details?.expected,
+        error.details?.captured,
+        error.message
+      );
+    }
+  }
+
+  return { discrepancies, applicationPaid };
+};
+
+// Email finance the discrepancies a run could not correct
+const alertUnfixedDiscrepancies = async (report) => {
+  const unfixed = report.discrepancies.filter((entry) => !entry.fixed);
+  if (report.dryRun || unfixed.length === 0) {
+    return;
+  }
+
+  try {
+    await sendPaymentAlertEmail(
+      `Payment reconciliation: ${unfixed.length} discrepancies need review`,
+      'Reconciliation with PayPal found differences it could not correct. See the reconciliation report for details.',
+      {
+        Report: report._id.toString(),
+        Checked: report.checked,
+        Fixed: report.fixed,
+        ...Object.fromEntries(
+          unfixed
+            .slice(0, 20)
+            .map((entry) => [
+              `${entry.paymentId} (${entry.type})`,
+              entry.message || `expected ${entry.expected}`,
+            ])
+        ),
+      }
+    );
+  } catch (error) {
+    console.error('Failed to send reconciliation alert:', error);
+  }
+};
+
+// Reconcile PayPal payments that are not final (or FAILED) with their
+// orders. Payments updated within RECONCILIATION_MIN_AGE_MINUTES are left
+// alone so checkouts in progress are not touched. The run is stored as a
+// ReconciliationReport.
+export const reconcilePayments = async ({
+  trigger,
+  actor,
+  dryRun = false,
+  since,
+  limit = 200,
+} = {}) => {
+  const now = Date.now();
+  const report = new ReconciliationReport({
+    provider: 'PAYPAL',
+    trigger,
+    actor,
+    dryRun,
+    startedAt: new Date(now),
+  });
+
+  const payments = await Payment.find({
+    provider: 'PAYPAL',
+    status: { $in: RECONCILED_STATUSES },
+    createdAt: {
+      $gte:
+        since ||
+        new Date(now - secret.reconciliationLookbackDays * 24 * 60 * 60 * 1000),
+    },
+    updatedAt: {
+      $lte: new Date(now - secret.reconciliationMinAgeMinutes * 60 * 1000),
+    },
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  const context = {
+    source: 'system',
+    actor: actor || 'reconciliation',
+    reason: 'Payment reconciled with PayPal',
+  };
+
+  for (const payment of payments) {
+    const { discrepancies, applicationPaid } = await reconcilePayPalPayment(
+      payment,
+      { dryRun, context }
+    );
+
+    report.checked++;
+    report.discrepancies.push(...discrepancies);
+    if (discrepancies.some((entry) => entry.fixed)) report.fixed++;
+    if (applicationPaid) report.applicationsPaid++;
+  }
+
+  report.finishedAt = new Date();
+  await report.save();
+  await alertUnfixedDiscrepancies(report);
+
+  return report;
+};
+
+// Periodically reconcile payments in this process. Set
+// RECONCILIATION_INTERVAL_MINUTES=0 to disable (e.g. on serverless hosts,
+// where scripts/reconcilePayments.js can run from a scheduler instead).
+export const startReconciliationWorker = () => {
+  const intervalMinutes = secret.reconciliationIntervalMinutes;
+  if (!intervalMinutes) {
+    return null;
+  }
+
+  let running = false;
+  const timer = setInterval(
+    async () => {
+      if (running) return;
+      running = true;
+      try {
+        await reconcilePayments({ trigger: 'schedule' });
+      } catch (error) {
+        console.error('Reconciliation worker error:', error.message);
+      } finally {
+        running = false;
+      }
+    },
+    intervalMinutes * 60 * 1000
+  );
+
+  // Don't keep the process alive just for the worker
+  timer.unref();
+  return timer;
+};
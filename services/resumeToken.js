@@ -0,0 +1,56 @@
+import crypto from 'crypto';
+import {
+  buildFrontendUrl,
+  getApplicationDestinationConfig,
+} from '../config/destinations.js';
+import { secret } from '../config/env.js';
+import { generateResumeToken } from '../utils/application.js';
+
+// Fields that must be explicitly selected to verify a resume token
+export const RESUME_TOKEN_FIELDS = '+resumeTokenHash +resumeTokenExpiresAt';
+
+// Hash a raw resume token for storage/comparison
+export const hashResumeToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a fresh resume token, replacing any previous one.
+// Only the hash is stored; the raw token is returned to the caller once.
+export const issueResumeToken = (application) => {
+  const token = generateResumeToken();
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + secret.resumeTokenTtlDays);
+
+  application.resumeTokenHash = hashResumeToken(token);
+  application.resumeTokenExpiresAt = expiresAt;
+
+  return { token, expiresAt };
+};
+
+// Check a raw token against the stored hash and expiry
+export const verifyResumeToken = (application, token) => {
+  if (!token || !application.resumeTokenHash) {
+    return false;
+  }
+
+  if (
+    !application.resumeTokenExpiresAt ||
+    application.resumeTokenExpiresAt < new Date()
+  ) {
+    return false;
+  }
+
+  const expected = Buffer.from(application.resumeTokenHash, 'hex');
+  const actual = Buffer.from(hashResumeToken(token), 'hex');
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+// Build the "Continue Application" link sent to applicants
+export const buildResumeUrl = (applicationId, token) =>
+  `${buildFrontendUrl(
+    getApplicationDestinationConfig(applicationId),
+    'resume'
+  )}/${applicationId}?token=${token}`;
@@ -0,0 +1,64 @@
+import { secret } from '../config/env.js';
+
+// Supported-country lists per fee model, cached for
+// COUNTRIES_CACHE_TTL_SECONDS: { promise, expiresAt }
+const cache = new Map();
+
+// Load the active countries of a fee table as { code, name }, sorted by name
+const loadSupportedCountries = async (VisaFee) => {
+  const fees = await VisaFee.find({ isActive: true })
+    .select('country countryCode')
+    .sort({ country: 1 })
+    .lean();
+
+  // A country may have several active fee records; list it once
+  const countries = new Map();
+  for (const fee of fees) {
+    if (!countries.has(fee.country)) {
+      countries.set(fee.country, { code: fee.countryCode, name: fee.country });
+    }
+  }
+
+  return [...countries.values()];
+};
+
+// Supported passport countries of a destination, derived from its active
+// visa fee records
+export const getSupportedCountries = (VisaFee) => {
+  const cached = cache.get(VisaFee.modelName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.promise;
+  }
+
+  // Cache the pending promise so concurrent requests share one query
+  const promise = loadSupportedCountries(VisaFee);
+  cache.set(VisaFee.modelName, {
+    promise,
+    expiresAt: Date.now() + secret.countriesCacheTtlSeconds * 1000,
+  });
+  promise.catch(() => cache.delete(VisaFee.modelName));
+
+  return promise;
+};
+
+// Find a supported country by display name or ISO code (null when the
+// country is not supported)
+export const findSupportedCountry = async (VisaFee, country) => {
+  const value = String(country || '').trim();
+  const countries = await getSupportedCountries(VisaFee);
+
+  return (
+    countries.find(
+      ({ code, name }) => name === value || code === value.toUpperCase()
+    ) || null
+  );
+};
+
+// Drop cached lists (one fee model, or all) after fee records change
+export const clearSupportedCountriesCache = (VisaFee) => {
+  if (VisaFee) {
+    cache.delete(VisaFee.modelName);
+  } else {
+    cache.clear();
+  }
+};
@@ -0,0 +1,232 @@
+import { setInterval } from 'timers';
+import { secret } from '../config/env.js';
+import { AppError, PaymentError } from '../middleware/error-handler.js';
+import Payment from '../models/Payment.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { applyPaymentEvent } from './paymentEvents.js';
+import { getPaymentProvider } from './paymentProviders.js';
+
+// Longest delay between two attempts at an event (6 hours)
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+// Events left in PROCESSING longer than this (e.g. the process died) are
+// picked up again
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Delay before the next attempt: doubles after every failed attempt
+const getRetryDelay = (attempts) =>
+  Math.min(
+    secret.webhookRetryBaseSeconds * 2 ** (attempts - 1),
+    MAX_RETRY_DELAY_SECONDS
+  ) * 1000;
+
+// Filter for events that are due for an attempt
+const dueFilter = (now = new Date()) => ({
+  $or: [
+    { status: { $in: ['RECEIVED', 'FAILED'] }, nextAttemptAt: { $lte: now } },
+    {
+      status: 'PROCESSING',
+      lockedAt: { $lte: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) },
+    },
+  ],
+});
+
+// Find the payment a normalized event refers to
+const findEventPayment = (providerName, eventData) => {
+  if (eventData.orderId) {
+    return Payment.findOne({
+      provider: providerName,
+      orderId: eventData.orderId,
+    });
+  }
+  if (eventData.transactionId) {
+    return Payment.findOne({
+      provider: providerName,
+      transactionId: eventData.transactionId,
+    });
+  }
+  return null;
+};
+
+// Store a webhook delivery before anything else is done with it. Returns
+// { event, duplicate }; a duplicate is a provider event ID already stored.
+export const recordWebhookEvent = async (providerName, payload, verified) => {
+  const eventId = payload?.id;
+  if (!eventId) {
+    throw new AppError('Webhook event ID is missing', 400);
+  }
+
+  const fields = {
+    eventType: payload.event_type || payload.type,
+    payload,
+    verified,
+    status: verified ? 'RECEIVED' : 'REJECTED',
+    nextAttemptAt: verified ? new Date() : undefined,
+  };
+
+  try {
+    const event = await WebhookEvent.create({
+      provider: providerName,
+      eventId,
+      ...fields,
+    });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // A verified redelivery replaces an earlier delivery that failed
+  // verification (e.g. while the provider's verification API was down)
+  if (verified) {
+    const event = await WebhookEvent.findOneAndUpdate(
+      { provider: providerName, eventId, status: 'REJECTED' },
+      { $set: fields },
+      { new: true }
+    );
+    if (event) {
+      return { event, duplicate: false };
+    }
+  }
+
+  const event = await WebhookEvent.findOne({ provider: providerName, eventId });
+  return { event, duplicate: true };
+};
+
+// Apply a claimed (PROCESSING) event to its payment and record the outcome.
+// Failures are retried with backoff until WEBHOOK_MAX_ATTEMPTS, then the
+// event is dead-lettered; payment errors (e.g. AMOUNT_MISMATCH) are final.
+const runWebhookEvent = async (event) => {
+  try {
+    const provider = getPaymentProvider(event.provider);
+    const eventData = provider.parseWebhookEvent(event.payload);
+
+    if (eventData.type === 'UNKNOWN_EVENT') {
+      event.status = 'IGNORED';
+    } else {
+      const payment = await findEventPayment(provider.name, eventData);
+      if (!payment) {
+        throw new Error(
+          `No payment found for ${eventData.orderId || eventData.transactionId}`
+        );
+      }
+
+      await payment.addWebhookEvent(eventData.type, event.eventId, eventData);
+      await applyPaymentEvent(payment, eventData, {
+        source: 'webhook',
+        actor: provider.name.toLowerCase(),
+        reason: `${event.eventType} (${event.eventId})`,
+      });
+
+      event.paymentId = payment.paymentId;
+      event.status = 'PROCESSED';
+    }
+
+    event.processedAt = new Date();
+    event.nextAttemptAt = undefined;
+    event.lastError = undefined;
+  } catch (error) {
+    console.error(`Webhook event ${event.eventId} failed:`, error.message);
+
+    event.lastError = error.message;
+    if (
+      error instanceof PaymentError ||
+      event.attempts >= secret.webhookMaxAttempts
+    ) {
+      event.status = 'DEAD_LETTER';
+      event.nextAttemptAt = undefined;
+    } else {
+      event.status = 'FAILED';
+      event.nextAttemptAt = new Date(
+        Date.now() + getRetryDelay(event.attempts)
+      );
+    }
+  }
+
+  event.lockedAt = undefined;
+  await event.save();
+  return event;
+};
+
+// Claim one due event (atomically, so concurrent workers never process the
+// same event) and process it. Returns null when nothing was claimed.
+const claimAndRun = async (filter) => {
+  const event = await WebhookEvent.findOneAndUpdate(
+    { ...filter, ...dueFilter() },
+    {
+      $set: { status: 'PROCESSING', lockedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+  return event ? runWebhookEvent(event) : null;
+};
+
+// Process a stored event now, if it is due
+export const processWebhookEvent = (id) => claimAndRun({ _id: id });
+
+// Process due events (new ones and retries), oldest first
+export const processDueWebhookEvents = async ({ limit = 100 } = {}) => {
+  const summary = { processed: 0, ignored: 0, failed: 0, deadLettered: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const event = await claimAndRun({});
+    if (!event) break;
+
+    if (event.status === 'PROCESSED') summary.processed++;
+    else if (event.status === 'IGNORED') summary.ignored++;
+    else if (event.status === 'FAILED') summary.failed++;
+    else if (event.status === 'DEAD_LETTER') summary.deadLettered++;
+  }
+
+  return summary;
+};
+
+// Re-run an event with a fresh attempt budget (admin replay)
+export const replayWebhookEvent = async (event, actor) => {
+  if (event.status === 'REJECTED') {
+    throw new AppError(
+      'Events that failed signature verification cannot be replayed',
+      409
+    );
+  }
+  if (event.status === 'PROCESSING') {
+    throw new AppError('Event is being processed', 409);
+  }
+
+  event.status = 'RECEIVED';
+  event.attempts = 0;
+  event.nextAttemptAt = new Date();
+  event.replays.push({ actor, replayedAt: new Date() });
+  await event.save();
+
+  return (await processWebhookEvent(event._id)) || event;
+};
+
+// Periodically process due events in this process. Set
+// WEBHOOK_WORKER_INTERVAL_SECONDS=0 to disable (e.g. on serverless hosts,
+// where scripts/processWebhookEvents.js can run from a scheduler instead).
+export const startWebhookWorker = () => {
+  const intervalSeconds = secret.webhookWorkerIntervalSeconds;
+  if (!intervalSeconds) {
+    return null;
+  }
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueWebhookEvents();
+    } catch (error) {
+      console.error('Webhook worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalSeconds * 1000);
+
+  // Don't keep the process alive just for the worker
+  timer.unref();
+  return timer;
+};
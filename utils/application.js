@@ -1,11 +1,17 @@
 import crypto from 'crypto';
+import {
+  buildFrontendUrl,
+  getApplicationDestinationConfig,
+  getDestinationName,
+} from '../config/destinations.js';
+import { secret } from '../config/env.js';
 import { sendEmail } from './email.js';
 
-// Generate unique application ID
-export const generateApplicationId = () => {
+// Generate unique application ID (prefix identifies the destination)
+export const generateApplicationId = (prefix = 'TUR') => {
   // Generate 8-character alphanumeric ID
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = 'TUR-';
+  let result = `${prefix}-`;
   for (let i = 0; i < 8; i++) {
     result += chars.charAt(Math.floor(Math.random() * chars.length));
   }
@@ -23,19 +29,23 @@ export const sendApplicationStartedEmail = async (
   applicationId,
   applicationData
 ) => {
-  const subject = `Turkey Visa Application Started - ${applicationId}`;
+  const destinationName = getDestinationName(applicationId);
+  const subject = `${destinationName} Visa Application Started - ${applicationId}`;
+  const resumeUrl =
+    applicationData.resumeUrl ||
+    `${process.env.FRONTEND_URL || 'https://yourapp.com'}/resume/${applicationId}`;
 
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
       <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; margin-bottom: 30px;">
-        <h1 style="color: white; margin: 0; text-align: center; font-size: 28px;">Turkey Visa Application</h1>
+        <h1 style="color: white; margin: 0; text-align: center; font-size: 28px;">${destinationName} Visa Application</h1>
         <p style="color: white; margin: 10px 0 0 0; text-align: center; opacity: 0.9;">Application ID: ${applicationId}</p>
       </div>
 
       <div style="background: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
         <h2 style="color: #333; margin-top: 0;">Application Started Successfully!</h2>
         <p>Dear Applicant,</p>
-        <p>Your Turkey visa application has been started. Here are your application details:</p>
+        <p>Your ${destinationName} visa application has been started. Here are your application details:</p>
 
         <div style="background: white; padding: 20px; border-radius: 6px; margin: 20px 0;">
           <div style="display: table; width: 100%;">
@@ -69,7 +79,7 @@ export const sendApplicationStartedEmail = async (
         </div>
 
         <div style="text-align: center; margin: 30px 0;">
-          <a href="${process.env.FRONTEND_URL || 'https://yourapp.com'}/resume/${applicationId}"
+          <a href="${resumeUrl}"
              style="background: #4CAF50; color: white; padding: 15px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
             Continue Application
           </a>
@@ -82,18 +92,18 @@ export const sendApplicationStartedEmail = async (
       </div>
 
       <div style="text-align: center; color: #666; font-size: 12px; margin-top: 30px;">
-        <p>This is an automated message from Turkey Visa Application System.</p>
+        <p>This is an automated message from ${destinationName} Visa Application System.</p>
         <p>If you didn't start this application, please ignore this email.</p>
       </div>
     </div>
   `;
 
   const text = `
-    Turkey Visa Application Started
+    ${destinationName} Visa Application Started
 
     Application ID: ${applicationId}
 
-    Your Turkey visa application has been started successfully.
+    Your ${destinationName} visa application has been started successfully.
 
     Application Details:
     - Application ID: ${applicationId}
@@ -107,7 +117,7 @@ export const sendApplicationStartedEmail = async (
     3. Add additional applicants (if any)
     4. Review and submit your application
 
-    Continue your application: ${process.env.FRONTEND_URL || 'https://yourapp.com'}/resume/${applicationId}
+    Continue your application: ${resumeUrl}
 
     Please save this application ID (${applicationId}) for future reference.
   `;
@@ -115,13 +125,71 @@ export const sendApplicationStartedEmail = async (
   return await sendEmail(email, subject, text, html);
 };
 
+// Email template for a new resume link (token rotation / lost link)
+export const sendResumeLinkEmail = async (
+  email,
+  applicationId,
+  resumeUrl,
+  expiresAt
+) => {
+  const destinationName = getDestinationName(applicationId);
+  const subject = `Continue Your ${destinationName} Visa Application - ${applicationId}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; margin-bottom: 30px;">
+        <h1 style="color: white; margin: 0; text-align: center; font-size: 28px;">${destinationName} Visa Application</h1>
+        <p style="color: white; margin: 10px 0 0 0; text-align: center; opacity: 0.9;">Application ID: ${applicationId}</p>
+      </div>
+
+      <div style="background: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
+        <h2 style="color: #333; margin-top: 0;">Your New Application Link</h2>
+        <p>Dear Applicant,</p>
+        <p>A new link to continue your application has been issued. Any previous links no longer work.</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${resumeUrl}"
+             style="background: #4CAF50; color: white; padding: 15px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+            Continue Application
+          </a>
+        </div>
+
+        <p style="color: #666; font-size: 14px; margin-top: 30px;">
+          This link is valid until ${new Date(expiresAt).toLocaleDateString()}. Do not share it with anyone.
+        </p>
+      </div>
+
+      <div style="text-align: center; color: #666; font-size: 12px; margin-top: 30px;">
+        <p>This is an automated message from ${destinationName} Visa Application System.</p>
+        <p>If you didn't request this link, please ignore this email.</p>
+      </div>
+    </div>
+  `;
+
+  const text = `
+    ${destinationName} Visa Application - ${applicationId}
+
+    A new link to continue your application has been issued.
+    Any previous links no longer work.
+
+    Continue your application: ${resumeUrl}
+
+    This link is valid until ${new Date(expiresAt).toLocaleDateString()}. Do not share it with anyone.
+  `;
+
+  return await sendEmail(email, subject, text, html);
+};
+
 // Email template for application form submission
 export const sendApplicationCompletedEmail = async (
   email,
   applicationId,
   applicationData
 ) => {
-  const subject = `Turkey Visa Application Submitted - ${applicationId}`;
+  const destination = getApplicationDestinationConfig(applicationId);
+  const destinationName = destination.name;
+  const paymentUrl = buildFrontendUrl(destination, 'payment');
+  const subject = `${destinationName} Visa Application Submitted - ${applicationId}`;
 
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
@@ -133,7 +201,7 @@ export const sendApplicationCompletedEmail = async (
       <div style="background: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
         <h2 style="color: #333; margin-top: 0;">Your Application Form Has Been Submitted</h2>
         <p>Dear Applicant,</p>
-        <p>Your Turkey visa application form has been successfully submitted. Please complete the payment to finish your application.</p>
+        <p>Your ${destinationName} visa application form has been successfully submitted. Please complete the payment to finish your application.</p>
 
         <div style="background: white; padding: 20px; border-radius: 6px; margin: 20px 0;">
           <div style="display: table; width: 100%;">
@@ -167,7 +235,7 @@ export const sendApplicationCompletedEmail = async (
         </div>
 
         <div style="text-align: center; margin: 30px 0;">
-          <a href="${process.env.FRONTEND_URL || 'https://yourapp.com'}/payment?id=${applicationId}"
+          <a href="${paymentUrl}?id=${applicationId}"
              style="background: #FF9800; color: white; padding: 15px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
             Complete Payment
           </a>
@@ -179,17 +247,17 @@ export const sendApplicationCompletedEmail = async (
       </div>
 
       <div style="text-align: center; color: #666; font-size: 12px; margin-top: 30px;">
-        <p>This is an automated message from Turkey Visa Application System.</p>
+        <p>This is an automated message from ${destinationName} Visa Application System.</p>
       </div>
     </div>
   `;
 
   const text = `
-    Turkey Visa Application Form Submitted
+    ${destinationName} Visa Application Form Submitted
 
     Application ID: ${applicationId}
 
-    Your Turkey visa application form has been successfully submitted.
+    Your ${destinationName} visa application form has been successfully submitted.
     Please complete the payment to finish your application.
 
     Application Details:
@@ -204,7 +272,148 @@ export const sendApplicationCompletedEmail = async (
     - Application Processing: Our team will review your application within 2-3 business days
     - Processing Updates: You will receive email updates on your application status
 
-    Complete your payment: ${process.env.FRONTEND_URL || 'https://yourapp.com'}/payment?id=${applicationId}
+    Complete your payment: ${paymentUrl}?id=${applicationId}
+
+    Need help? Contact support@turkeyvisa.com
+  `;
+
+  return await sendEmail(email, subject, text, html);
+};
+
+// Email template for application status decisions (processing/approved/rejected)
+const APPLICATION_STATUS_EMAILS = {
+  processing: {
+    subject: (destinationName) =>
+      `${destinationName} Visa Application In Processing`,
+    heading: 'Your Application Is Being Processed',
+    color: '#2196F3',
+    message: (destinationName) =>
+      `Our team has started reviewing your ${destinationName} visa application. We will email you as soon as a decision has been made.`,
+  },
+  approved: {
+    subject: (destinationName) =>
+      `${destinationName} Visa Application Approved`,
+    heading: 'Your Application Has Been Approved',
+    color: '#28a745',
+    message: (destinationName) =>
+      `Good news! Your ${destinationName} visa application has been approved. Your e-visa will be sent to you by email.`,
+  },
+  rejected: {
+    subject: (destinationName) =>
+      `${destinationName} Visa Application Rejected`,
+    heading: 'Your Application Has Been Rejected',
+    color: '#dc3545',
+    message: (destinationName) =>
+      `Unfortunately your ${destinationName} visa application has been rejected. Please see the note below for details.`,
+  },
+};
+
+export const sendApplicationStatusEmail = async (
+  email,
+  applicationId,
+  status,
+  note
+) => {
+  const destinationName = getDestinationName(applicationId);
+  const template = APPLICATION_STATUS_EMAILS[status];
+  if (!template) {
+    throw new Error(`No email template for application status: ${status}`);
+  }
+
+  const subject = `${template.subject(destinationName)} - ${applicationId}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: ${template.color}; padding: 30px; border-radius: 10px; margin-bottom: 30px;">
+        <h1 style="color: white; margin: 0; text-align: center; font-size: 28px;">${template.heading}</h1>
+        <p style="color: white; margin: 10px 0 0 0; text-align: center; opacity: 0.9;">Application ID: ${applicationId}</p>
+      </div>
+
+      <div style="background: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
+        <p>Dear Applicant,</p>
+        <p>${template.message(destinationName)}</p>
+        ${
+          note
+            ? `
+        <div style="background: white; padding: 20px; border-radius: 6px; margin: 20px 0;">
+          <p style="margin: 0; font-weight: bold;">Note from our team:</p>
+          <p style="margin: 10px 0 0 0;">${note}</p>
+        </div>
+        `
+            : ''
+        }
+        <p style="color: #666; font-size: 14px; margin-top: 30px;">
+          <strong>Need help?</strong> Contact our support team at support@turkeyvisa.com
+        </p>
+      </div>
+
+      <div style="text-align: center; color: #666; font-size: 12px; margin-top: 30px;">
+        <p>This is an automated message from ${destinationName} Visa Application System.</p>
+      </div>
+    </div>
+  `;
+
+  const text = `
+    ${template.heading} - ${applicationId}
+
+    Dear Applicant,
+
+    ${template.message(destinationName)}
+    ${note ? `\n    Note from our team: ${note}\n` : ''}
+    Need help? Contact support@turkeyvisa.com
+  `;
+
+  return await sendEmail(email, subject, text, html);
+};
+
+// Email template for issued e-visa delivery
+export const sendIssuedVisaEmail = async (
+  email,
+  applicationId,
+  applicantName,
+  visaUrl
+) => {
+  const destinationName = getDestinationName(applicationId);
+  const subject = `Your ${destinationName} e-Visa Is Ready - ${applicationId}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #28a745 0%, #20c997 100%); padding: 30px; border-radius: 10px; margin-bottom: 30px;">
+        <h1 style="color: white; margin: 0; text-align: center; font-size: 28px;">Your e-Visa Is Ready!</h1>
+        <p style="color: white; margin: 10px 0 0 0; text-align: center; opacity: 0.9;">Application ID: ${applicationId}</p>
+      </div>
+
+      <div style="background: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
+        <p>Dear Applicant,</p>
+        <p>The ${destinationName} e-visa for <strong>${applicantName}</strong> has been issued. Please download it and keep a printed copy with your passport when you travel.</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${visaUrl}"
+             style="background: #4CAF50; color: white; padding: 15px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+            Download e-Visa
+          </a>
+        </div>
+
+        <p style="color: #666; font-size: 14px; margin-top: 30px;">
+          <strong>Need help?</strong> Contact our support team at support@turkeyvisa.com
+        </p>
+      </div>
+
+      <div style="text-align: center; color: #666; font-size: 12px; margin-top: 30px;">
+        <p>This is an automated message from ${destinationName} Visa Application System.</p>
+      </div>
+    </div>
+  `;
+
+  const text = `
+    Your ${destinationName} e-Visa Is Ready - ${applicationId}
+
+    Dear Applicant,
+
+    The ${destinationName} e-visa for ${applicantName} has been issued.
+    Please download it and keep a printed copy with your passport when you travel.
+
+    Download your e-visa: ${visaUrl}
 
     Need help? Contact support@turkeyvisa.com
   `;
@@ -254,64 +463,16 @@ export const sanitizeFilename = (filename) => {
   return filename.replace(/[^a-zA-Z0-9.-]/g, '_');
 };
 
-// Helper function to get supported countries list
-export const getSupportedCountries = () => {
-  return [
-    'Afghanistan',
-    'Algeria',
-    'Antigua and Barbuda',
-    'Armenia',
-    'Australia',
-    'Bahamas',
-    'Bangladesh',
-    'Barbados',
-    'Bermuda',
-    'Bhutan',
-    'Cambodia',
-    'Cape Verde',
-    'China',
-    'Dominican Republic',
-    'East Timor',
-    'Egypt',
-    'Equatorial Guinea',
-    'Fiji',
-    'Greek Cypriot Administration of Southern Cyprus',
-    'Grenada',
-    'Hong Kong (BN(O))',
-    'India',
-    'Iraq',
-    'Jamaica',
-    'Libya',
-    'Maldives',
-    'Mauritius',
-    'Mexico',
-    'Namibia',
-    'Nepal',
-    'Pakistan',
-    'Palestine',
-    'Philippines',
-    'Saint Lucia',
-    'Saint Vincent and the Grenadines',
-    'Senegal',
-    'Solomon Islands',
-    'South Africa',
-    'Sri Lanka',
-    'Suriname',
-    'Taiwan',
-    'Vanuatu',
-    'Vietnam',
-    'Yemen',
-  ];
-};
-
 // Email template for payment success
 export const sendPaymentSuccessEmail = async (
   email,
   applicationId,
   paymentData,
-  applicationData
+  applicationData,
+  attachments = []
 ) => {
-  const subject = `Payment Successful - Turkey Visa Application ${applicationId}`;
+  const destinationName = getDestinationName(applicationId);
+  const subject = `Payment Successful - ${destinationName} Visa Application ${applicationId}`;
 
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
@@ -323,7 +484,7 @@ export const sendPaymentSuccessEmail = async (
       <div style="background: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
         <h2 style="color: #333; margin-top: 0;">Your Payment Has Been Processed Successfully</h2>
         <p>Dear Applicant,</p>
-        <p>Your payment for the Turkey visa application has been successfully processed. Your application is now fully paid and ready for processing.</p>
+        <p>Your payment for the ${destinationName} visa application has been successfully processed. Your application is now fully paid and ready for processing.</p>
 
         <div style="background: white; padding: 20px; border-radius: 6px; margin: 20px 0;">
           <div style="display: table; width: 100%;">
@@ -350,7 +511,15 @@ export const sendPaymentSuccessEmail = async (
             <div style="display: table-row;">
               <div style="display: table-cell; padding: 8px 0; font-weight: bold;">Total Applicants:</div>
               <div style="display: table-cell; padding: 8px 0;">${applicationData.totalApplicants || 1}</div>
-            </div>
+            </div>${
+              paymentData.invoiceNumber
+                ? `
+            <div style="display: table-row;">
+              <div style="display: table-cell; padding: 8px 0; font-weight: bold;">Invoice:</div>
+              <div style="display: table-cell; padding: 8px 0;">${paymentData.invoiceNumber} (attached)</div>
+            </div>`
+                : ''
+            }
           </div>
         </div>
 
@@ -387,11 +556,11 @@ export const sendPaymentSuccessEmail = async (
   `;
 
   const text = `
-    Payment Successful - Turkey Visa Application ${applicationId}
+    Payment Successful - ${destinationName} Visa Application ${applicationId}
 
     Dear Applicant,
 
-    Your payment for the Turkey visa application has been successfully processed.
+    Your payment for the ${destinationName} visa application has been successfully processed.
     Your application is now fully paid and ready for processing.
 
     Application Details:
@@ -400,7 +569,7 @@ export const sendPaymentSuccessEmail = async (
     - Payment Amount: $${paymentData.amount || 'N/A'}
     - Payment Method: ${paymentData.paymentMethod || 'PayPal'}
     - Payment Date: ${new Date().toLocaleDateString()}
-    - Total Applicants: ${applicationData.totalApplicants || 1}
+    - Total Applicants: ${applicationData.totalApplicants || 1}${paymentData.invoiceNumber ? `\n    - Invoice: ${paymentData.invoiceNumber} (attached)` : ''}
 
     What's Next?
     - Your application will be reviewed by our team
@@ -418,5 +587,143 @@ export const sendPaymentSuccessEmail = async (
     This is an automated message. Please do not reply to this email.
   `;
 
-  return await sendEmail(email, subject, text, html);
+  return await sendEmail(email, subject, text, html, {}, attachments);
+};
+
+// Email template for payment problems and refunds (capture pending,
+// reversed, refunded)
+const PAYMENT_STATUS_EMAILS = {
+  capture_pending: {
+    subject: (destinationName) =>
+      `${destinationName} Visa Application Payment Pending`,
+    heading: 'Your Payment Is Pending',
+    color: '#ff9800',
+    message: (destinationName) =>
+      `Your payment for the ${destinationName} visa application was received but is still being cleared by the payment provider. We will start processing your application as soon as the payment completes; no action is needed from you.`,
+  },
+  reversed: {
+    subject: (destinationName) =>
+      `${destinationName} Visa Application Payment Reversed`,
+    heading: 'Your Payment Was Reversed',
+    color: '#dc3545',
+    message: (destinationName) =>
+      `The payment for your ${destinationName} visa application has been reversed by the payment provider, so your application has been put on hold. Please contact our support team to resolve this.`,
+  },
+  refunded: {
+    subject: (destinationName) => `${destinationName} Visa Application Refund`,
+    heading: 'Your Refund Has Been Issued',
+    color: '#2196F3',
+    message: (destinationName) =>
+      `A refund for your ${destinationName} visa application has been issued. Depending on your payment method it may take a few business days to appear on your statement.`,
+  },
+};
+
+export const sendPaymentStatusEmail = async (
+  email,
+  applicationId,
+  status,
+  { amount, currency, note } = {},
+  attachments = []
+) => {
+  const destinationName = getDestinationName(applicationId);
+  const template = PAYMENT_STATUS_EMAILS[status];
+  if (!template) {
+    throw new Error(`No email template for payment status: ${status}`);
+  }
+
+  const subject = `${template.subject(destinationName)} - ${applicationId}`;
+  const formattedAmount =
+    amount !== undefined ? formatCurrency(amount, currency) : null;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: ${template.color}; padding: 30px; border-radius: 10px; margin-bottom: 30px;">
+        <h1 style="color: white; margin: 0; text-align: center; font-size: 28px;">${template.heading}</h1>
+        <p style="color: white; margin: 10px 0 0 0; text-align: center; opacity: 0.9;">Application ID: ${applicationId}</p>
+      </div>
+
+      <div style="background: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
+        <p>Dear Applicant,</p>
+        <p>${template.message(destinationName)}</p>
+        ${
+          formattedAmount
+            ? `
+        <div style="background: white; padding: 20px; border-radius: 6px; margin: 20px 0;">
+          <p style="margin: 0;"><strong>Amount:</strong> ${formattedAmount}</p>
+          ${note ? `<p style="margin: 10px 0 0 0;"><strong>Note:</strong> ${note}</p>` : ''}
+        </div>
+        `
+            : ''
+        }
+        <p style="color: #666; font-size: 14px; margin-top: 30px;">
+          <strong>Need help?</strong> Contact our support team at support@turkeyvisa.com
+        </p>
+      </div>
+
+      <div style="text-align: center; color: #666; font-size: 12px; margin-top: 30px;">
+        <p>This is an automated message from ${destinationName} Visa Application System.</p>
+      </div>
+    </div>
+  `;
+
+  const text = `
+    ${template.heading} - ${applicationId}
+
+    Dear Applicant,
+
+    ${template.message(destinationName)}
+    ${formattedAmount ? `\n    Amount: ${formattedAmount}` : ''}${note ? `\n    Note: ${note}` : ''}
+
+    Need help? Contact support@turkeyvisa.com
+  `;
+
+  return await sendEmail(email, subject, text, html, {}, attachments);
+};
+
+// Email the back office (PAYMENT_ALERT_EMAIL) about a payment that needs
+// attention, e.g. a dispute or a reversal
+export const sendPaymentAlertEmail = async (subject, message, details = {}) => {
+  if (!secret.paymentAlertEmail) {
+    console.warn(
+      `PAYMENT_ALERT_EMAIL not configured - not sending: ${subject}`
+    );
+    return null;
+  }
+
+  const rows = Object.entries(details).filter(
+    ([, value]) => value !== undefined && value !== null
+  );
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #dc3545;">${subject}</h2>
+      <p>${message}</p>
+      <table style="border-collapse: collapse;">
+        ${rows
+          .map(
+            ([label, value]) => `
+        <tr>
+          <td style="padding: 4px 12px 4px 0; font-weight: bold;">${label}</td>
+          <td style="padding: 4px 0;">${value}</td>
+        </tr>`
+          )
+          .join('')}
+      </table>
+    </div>
+  `;
+
+  const text = `
+    ${subject}
+
+    ${message}
+
+    ${rows.map(([label, value]) => `${label}: ${value}`).join('\n    ')}
+  `;
+
+  return await sendEmail(
+    secret.paymentAlertEmail,
+    `[Payments] ${subject}`,
+    text,
+    html
+  );
 };
@@ -0,0 +1,32 @@
+// Quote a CSV field when it contains a delimiter, quote or line break.
+// Fields starting with a formula character are prefixed with a quote so
+// spreadsheets do not evaluate them.
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (CRLF-terminated) for a list of values
+export const toCsvLine = (values) =>
+  `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+// Build a CSV document from rows. `columns` is a list of
+// { key, header } where key is a property name or a function of the row.
+export const toCsv = (columns, rows) =>
+  toCsvLine(columns.map((column) => column.header)) +
+  rows
+    .map((row) =>
+      toCsvLine(
+        columns.map((column) =>
+          typeof column.key === 'function' ? column.key(row) : row[column.key]
+        )
+      )
+    )
+    .join('');
@@ -111,8 +111,16 @@ const createTransporter = async (config) => {
   }
 };
 
-// Main sendEmail function with optional configuration
-export const sendEmail = async (to, subject, text, html, config = {}) => {
+// Main sendEmail function with optional configuration and attachments
+// (nodemailer attachment objects, e.g. { filename, content, contentType })
+export const sendEmail = async (
+  to,
+  subject,
+  text,
+  html,
+  config = {},
+  attachments = []
+) => {
   // Merge provided config with defaults
   const finalConfig = {
     ...getDefaultConfig(),
@@ -145,6 +153,7 @@ export const sendEmail = async (to, subject, text, html, config = {}) => {
     subject,
     text,
     ...(html && { html }),
+    ...(attachments.length && { attachments }),
   };
 
   const info = await transporter.sendMail(mailOptions);
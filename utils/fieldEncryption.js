@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import { secret } from '../config/env.js';
+
+// Field-level encryption of personal data (AES-256-GCM).
+//
+// Randomized values use envelope encryption: each value is encrypted with
+// its own data key, which is stored wrapped by a master key from
+// FIELD_ENCRYPTION_KEYS. Rotating the master key only rewraps data keys.
+//
+//   enc:v1:<keyId>:<wrapped data key>:<ciphertext>
+//
+// Deterministic values (for fields that are looked up) are encrypted with a
+// key derived from the master key and an IV derived from the value, so the
+// same value always gives the same ciphertext under one master key.
+//
+//   det:v1:<keyId>:<ciphertext>
+//
+// Binary parts are base64url of IV + auth tag + ciphertext. The field name
+// is bound to each value as additional authenticated data, so ciphertexts
+// cannot be moved between fields.
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const VERSION = 'v1';
+const PREFIXES = { random: 'enc', deterministic: 'det' };
+
+const ENCRYPTED_PATTERN = /^(enc|det):v1:([\w-]+):/;
+
+let keyring;
+
+// Master keys from FIELD_ENCRYPTION_KEYS ("keyId:base64key,..."); the first
+// key encrypts, all keys decrypt
+const getKeyring = () => {
+  if (keyring) {
+    return keyring;
+  }
+
+  const keys = secret.fieldEncryptionKeys
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [id, encoded] = entry.split(':');
+      const key = Buffer.from(encoded || '', 'base64');
+      if (!/^[\w-]+$/.test(id) || key.length !== KEY_LENGTH) {
+        throw new Error(
+          `Invalid FIELD_ENCRYPTION_KEYS entry '${id}': expected keyId:<32 bytes in base64>`
+        );
+      }
+      return { id, key };
+    });
+  if (!keys.length) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not configured');
+  }
+
+  keyring = {
+    active: keys[0],
+    byId: new Map(keys.map((entry) => [entry.id, entry])),
+  };
+  return keyring;
+};
+
+const getKey = (keyId) => {
+  const entry = getKeyring().byId.get(keyId);
+  if (!entry) {
+    throw new Error(`Unknown field encryption key: ${keyId}`);
+  }
+  return entry;
+};
+
+// Key and MAC key for deterministic encryption under a master key
+const deriveDeterministicKeys = (masterKey) => {
+  const derived = Buffer.from(
+    crypto.hkdfSync(
+      'sha256',
+      masterKey,
+      Buffer.alloc(0),
+      'deterministic field encryption',
+      KEY_LENGTH * 2
+    )
+  );
+  return {
+    key: derived.subarray(0, KEY_LENGTH),
+    macKey: derived.subarray(KEY_LENGTH),
+  };
+};
+
+const seal = (key, plaintext, aad, iv = crypto.randomBytes(IV_LENGTH)) => {
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString(
+    'base64url'
+  );
+};
+
+const open = (key, sealed, aad) => {
+  const data = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    data.subarray(0, IV_LENGTH)
+  );
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([
+    decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final(),
+  ]);
+};
+
+const parse = (value) => {
+  const [prefix, , keyId, ...parts] = value.split(':');
+  return { prefix, keyId, parts };
+};
+
+// Whether a stored value is ciphertext (anything else is legacy plaintext)
+export const isEncrypted = (value) =>
+  typeof value === 'string' && ENCRYPTED_PATTERN.test(value);
+
+// Whether a ciphertext was made with a key other than the active one
+export const needsRotation = (value) =>
+  isEncrypted(value) && parse(value).keyId !== getKeyring().active.id;
+
+// Encrypt a value of `field` with a fresh data key
+export const encryptValue = (plaintext, field) => {
+  const { active } = getKeyring();
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  return [
+    PREFIXES.random,
+    VERSION,
+    active.id,
+    seal(active.key, dataKey, active.id),
+    seal(dataKey, String(plaintext), field),
+  ].join(':');
+};
+
+// Encrypt a value of `field` so equal values give equal ciphertexts under
+// one master key
+export const encryptDeterministic = (plaintext, field, keyId) => {
+  const { id, key: masterKey } = keyId ? getKey(keyId) : getKeyring().active;
+  const { key, macKey } = deriveDeterministicKeys(masterKey);
+  const iv = crypto
+    .createHmac('sha256', macKey)
+    .update(`${field}\0${plaintext}`)
+    .digest()
+    .subarray(0, IV_LENGTH);
+  return [
+    PREFIXES.deterministic,
+    VERSION,
+    id,
+    seal(key, String(plaintext), field, iv),
+  ].join(':');
+};
+
+// Ciphertexts of a value under every configured key, for lookups that must
+// also match values not yet rotated to the active key
+export const deterministicCandidates = (plaintext, field) =>
+  [...getKeyring().byId.keys()].map((keyId) =>
+    encryptDeterministic(plaintext, field, keyId)
+  );
+
+// Decrypt a stored value of `field`; plaintext and empty values are
+// returned as they are
+export const decryptValue = (value, field) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const { prefix, keyId, parts } = parse(value);
+  const { key: masterKey } = getKey(keyId);
+
+  if (prefix === PREFIXES.deterministic) {
+    const { key } = deriveDeterministicKeys(masterKey);
+    return open(key, parts[0], field).toString('utf8');
+  }
+
+  const dataKey = open(masterKey, parts[0], keyId);
+  return open(dataKey, parts[1], field).toString('utf8');
+};
+
+// Move a ciphertext to the active key: randomized values keep their data
+// key and ciphertext and only have the data key rewrapped
+export const rotateValue = (value, field) => {
+  if (!needsRotation(value)) {
+    return value;
+  }
+
+  const { prefix, keyId, parts } = parse(value);
+  if (prefix === PREFIXES.deterministic) {
+    return encryptDeterministic(decryptValue(value, field), field);
+  }
+
+  const { active } = getKeyring();
+  const dataKey = open(getKey(keyId).key, parts[0], keyId);
+  return [
+    PREFIXES.random,
+    VERSION,
+    active.id,
+    seal(active.key, dataKey, active.id),
+    parts[1],
+  ].join(':');
+};
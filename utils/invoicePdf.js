@@ -0,0 +1,126 @@
+import PDFDocument from 'pdfkit';
+import { formatAmount } from '../config/currencies.js';
+import { secret } from '../config/env.js';
+
+const TITLES = {
+  INVOICE: 'Invoice',
+  CREDIT_NOTE: 'Credit Note',
+};
+
+const PAGE_MARGIN = 50;
+const AMOUNT_WIDTH = 120;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Render an invoice or credit note (see models/Invoice.js) as an A4 PDF.
+// Returns a Buffer.
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const title = TITLES[invoice.type];
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `${title} ${invoice.number}`,
+        Author: secret.invoiceIssuerName,
+      },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = PAGE_MARGIN;
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    const amountX = left + width - AMOUNT_WIDTH;
+    const money = (amount) =>
+      `${formatAmount(amount, invoice.currency)} ${invoice.currency}`;
+
+    // Issuer
+    doc.font('Helvetica-Bold').fontSize(16).text(secret.invoiceIssuerName);
+    doc.font('Helvetica').fontSize(9);
+    if (secret.invoiceIssuerAddress) doc.text(secret.invoiceIssuerAddress);
+    if (secret.invoiceIssuerTaxId) {
+      doc.text(`Tax ID: ${secret.invoiceIssuerTaxId}`);
+    }
+    if (secret.invoiceIssuerEmail) doc.text(secret.invoiceIssuerEmail);
+
+    // Document details
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').fontSize(20).text(title.toUpperCase());
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(10);
+    [
+      [`${title} number`, invoice.number],
+      ['Date', formatDate(invoice.issuedAt)],
+      invoice.invoiceNumber && ['Credits invoice', invoice.invoiceNumber],
+      ['Application ID', invoice.applicationId],
+      ['Payment ID', invoice.paymentId],
+      invoice.transactionId && ['Transaction ID', invoice.transactionId],
+      invoice.refundId && ['Refund ID', invoice.refundId],
+    ]
+      .filter(Boolean)
+      .forEach(([label, value]) => doc.text(`${label}: ${value}`));
+
+    // Customer
+    doc.moveDown();
+    doc.font('Helvetica-Bold').text('Bill to');
+    doc.font('Helvetica');
+    if (invoice.billTo?.name) doc.text(invoice.billTo.name);
+    if (invoice.billTo?.email) doc.text(invoice.billTo.email);
+
+    // Lines
+    doc.moveDown(2);
+    const row = (description, amount, font = 'Helvetica') => {
+      const y = doc.y;
+      doc.font(font).text(description, left, y, {
+        width: width - AMOUNT_WIDTH - 10,
+      });
+      const endY = doc.y;
+      doc.text(amount, amountX, y, { width: AMOUNT_WIDTH, align: 'right' });
+      doc.y = Math.max(endY, doc.y) + 4;
+      doc.x = left;
+    };
+    const rule = () => {
+      doc
+        .moveTo(left, doc.y)
+        .lineTo(left + width, doc.y)
+        .strokeColor('#cccccc')
+        .stroke();
+      doc.y += 6;
+    };
+
+    row('Description', `Amount (${invoice.currency})`, 'Helvetica-Bold');
+    rule();
+    invoice.lineItems.forEach((item) =>
+      row(item.description, formatAmount(item.amount, invoice.currency))
+    );
+    rule();
+    if (invoice.discount > 0) {
+      row('Subtotal', money(invoice.subtotal));
+      row(
+        invoice.promoCode
+          ? `Discount (promo code ${invoice.promoCode})`
+          : 'Discount',
+        money(-invoice.discount)
+      );
+    }
+    row(
+      invoice.type === 'CREDIT_NOTE' ? 'Total credited' : 'Total paid',
+      money(invoice.total),
+      'Helvetica-Bold'
+    );
+
+    // Notes
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555');
+    if (invoice.note) doc.text(`Reason: ${invoice.note}`);
+    doc.text(
+      invoice.type === 'CREDIT_NOTE'
+        ? `This credit note reduces invoice ${invoice.invoiceNumber}. The amount is refunded to the original payment method.`
+        : `Paid in full via ${invoice.provider || 'online payment'}. Thank you for your payment.`
+    );
+
+    doc.end();
+  });
@@ -1,5 +1,10 @@
 import crypto from 'crypto';
 import fetch from 'node-fetch';
+import { formatAmount, isSupportedCurrency } from '../config/currencies.js';
+import {
+  DEFAULT_DESTINATION,
+  buildFrontendUrl,
+} from '../config/destinations.js';
 import { secret } from '../config/env.js';
 
 class PayPalService {
@@ -101,7 +106,8 @@ class PayPalService {
     amount,
     currency = 'USD',
     description = 'Visa Application Payment',
-    applicationId = ''
+    applicationId = '',
+    destination = DEFAULT_DESTINATION
   ) {
     const orderData = {
       intent: 'CAPTURE',
@@ -109,14 +115,14 @@ class PayPalService {
         {
           amount: {
             currency_code: currency,
-            value: amount.toFixed(2),
+            value: formatAmount(amount, currency),
           },
           description: description,
         },
       ],
       application_context: {
-        return_url: `${secret.frontendUrl}/tr/apply/payment?id=${applicationId}`,
-        cancel_url: `${secret.frontendUrl}/tr/apply/payment-cancel?id=${applicationId}`,
+        return_url: `${buildFrontendUrl(destination, 'paypalReturn')}?id=${applicationId}`,
+        cancel_url: `${buildFrontendUrl(destination, 'paypalCancel')}?id=${applicationId}`,
         user_action: 'PAY_NOW',
         brand_name: 'Visa Collect',
       },
@@ -142,18 +148,22 @@ class PayPalService {
     });
   }
 
-  // Refund payment
+  // Refund a capture in the payment's currency (the whole remaining
+  // amount when amount is omitted)
   async refundPayment(
     captureId,
     amount,
+    currency = 'USD',
     reason = 'Refund requested by customer'
   ) {
     const refundData = {
-      amount: {
-        value: amount.toFixed(2),
-        currency_code: 'USD',
-      },
-      reason: reason,
+      ...(amount !== undefined && {
+        amount: {
+          value: formatAmount(amount, currency),
+          currency_code: currency,
+        },
+      }),
+      note_to_payer: reason,
     };
 
     return await this.makeRequest(`/v2/payments/captures/${captureId}/refund`, {
@@ -200,9 +210,37 @@ class PayPalService {
   // Parse webhook event
   parseWebhookEvent(event) {
     const eventType = event.event_type;
-    const resource = event.resource;
+    const resource = event.resource || {};
+
+    // Refund and reversal resources link back to their capture ("up")
+    const captureId =
+      resource.links
+        ?.find((link) => link.rel === 'up')
+        ?.href?.split('/')
+        .pop() || resource.id;
 
     switch (eventType) {
+      // The resource is the order
+      case 'CHECKOUT.ORDER.APPROVED':
+        return {
+          type: 'ORDER_APPROVED',
+          orderId: resource.id,
+          payerEmail: resource.payer?.email_address,
+          payerId: resource.payer?.payer_id,
+          status: 'APPROVED',
+        };
+
+      case 'PAYMENT.CAPTURE.PENDING':
+        return {
+          type: 'PAYMENT_PENDING',
+          orderId: resource.supplementary_data?.related_ids?.order_id,
+          transactionId: resource.id,
+          amount: parseFloat(resource.amount?.value || 0),
+          currency: resource.amount?.currency_code,
+          reason: resource.status_details?.reason,
+          status: 'PENDING',
+        };
+
       case 'PAYMENT.CAPTURE.COMPLETED':
         return {
           type: 'PAYMENT_COMPLETED',
@@ -223,15 +261,54 @@ class PayPalService {
           status: 'FAILED',
         };
 
+      // The resource is the refund (full or partial)
       case 'PAYMENT.CAPTURE.REFUNDED':
         return {
           type: 'PAYMENT_REFUNDED',
           orderId: resource.supplementary_data?.related_ids?.order_id,
-          transactionId: resource.id,
+          transactionId: captureId,
+          refundId: resource.id,
           refundAmount: parseFloat(resource.amount?.value || 0),
+          currency: resource.amount?.currency_code,
           status: 'REFUNDED',
         };
 
+      // PayPal took the captured funds back (e.g. a chargeback)
+      case 'PAYMENT.CAPTURE.REVERSED':
+        return {
+          type: 'PAYMENT_REVERSED',
+          orderId: resource.supplementary_data?.related_ids?.order_id,
+          transactionId: captureId,
+          amount: Math.abs(parseFloat(resource.amount?.value || 0)),
+          currency: resource.amount?.currency_code,
+          reason: resource.status_details?.reason || resource.reason_code,
+          status: 'REVERSED',
+        };
+
+      // The resource is the dispute; the capture is the seller transaction
+      case 'CUSTOMER.DISPUTE.CREATED':
+      case 'CUSTOMER.DISPUTE.UPDATED':
+      case 'CUSTOMER.DISPUTE.RESOLVED':
+        return {
+          type: {
+            'CUSTOMER.DISPUTE.CREATED': 'DISPUTE_CREATED',
+            'CUSTOMER.DISPUTE.UPDATED': 'DISPUTE_UPDATED',
+            'CUSTOMER.DISPUTE.RESOLVED': 'DISPUTE_RESOLVED',
+          }[eventType],
+          transactionId:
+            resource.disputed_transactions?.[0]?.seller_transaction_id,
+          disputeId: resource.dispute_id,
+          reason: resource.reason,
+          amount: parseFloat(resource.dispute_amount?.value || 0),
+          currency: resource.dispute_amount?.currency_code,
+          status: resource.status,
+          stage: resource.dispute_life_cycle_stage,
+          responseDueAt: resource.seller_response_due_date
+            ? new Date(resource.seller_response_due_date)
+            : undefined,
+          outcome: resource.dispute_outcome?.outcome_code,
+        };
+
       default:
         return {
           type: 'UNKNOWN_EVENT',
@@ -248,8 +325,7 @@ class PayPalService {
 
   // Validate currency
   static isValidCurrency(currency) {
-    const validCurrencies = ['USD', 'EUR', 'GBP', 'CAD', 'AUD'];
-    return validCurrencies.includes(currency.toUpperCase());
+    return isSupportedCurrency(currency);
   }
 
   // Validate amount
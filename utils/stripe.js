@@ -0,0 +1,297 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { URLSearchParams } from 'url';
+import { secret } from '../config/env.js';
+
+// Currencies Stripe expects in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = [
+  'BIF',
+  'CLP',
+  'DJF',
+  'GNF',
+  'JPY',
+  'KMF',
+  'KRW',
+  'MGA',
+  'PYG',
+  'RWF',
+  'UGX',
+  'VND',
+  'VUV',
+  'XAF',
+  'XOF',
+  'XPF',
+];
+
+// Maximum age of a webhook signature timestamp (seconds)
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+// Encode nested parameters the way the Stripe API expects
+// ({ metadata: { a: 1 }, expand: ['x'] } -> metadata[a]=1&expand[]=x)
+const encodeForm = (params, prefix, pairs = []) => {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (Array.isArray(value)) {
+      value.forEach((item) => pairs.push([`${name}[]`, String(item)]));
+    } else if (typeof value === 'object') {
+      encodeForm(value, name, pairs);
+    } else {
+      pairs.push([name, String(value)]);
+    }
+  }
+  return pairs;
+};
+
+class StripeService {
+  constructor() {
+    this.baseUrl = secret.stripeApiBase;
+    this.secretKey = secret.stripeSecretKey;
+    this.publishableKey = secret.stripePublishableKey;
+    this.webhookSecret = secret.stripeWebhookSecret;
+
+    this.isConfigured = !!this.secretKey;
+  }
+
+  // Make authenticated request to the Stripe API
+  async makeRequest(endpoint, { method = 'GET', params, idempotencyKey } = {}) {
+    if (!this.isConfigured) {
+      throw new Error(
+        'Stripe credentials not configured. Please set the STRIPE_SECRET_KEY environment variable.'
+      );
+    }
+
+    const body = params
+      ? new URLSearchParams(encodeForm(params)).toString()
+      : undefined;
+    const url =
+      method === 'GET' && body
+        ? `${this.baseUrl}${endpoint}?${body}`
+        : `${this.baseUrl}${endpoint}`;
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${this.secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Accept: 'application/json',
+          ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
+        },
+        ...(method !== 'GET' && body && { body }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.text();
+        throw new Error(
+          `Stripe API error: ${response.status} ${response.statusText} - ${errorData}`
+        );
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Stripe API request error:', error);
+      throw error;
+    }
+  }
+
+  // Create a PaymentIntent; funds are only held until it is captured
+  async createPaymentIntent(
+    amount,
+    currency = 'USD',
+    description = 'Visa Application Payment',
+    applicationId = '',
+    idempotencyKey
+  ) {
+    return await this.makeRequest('/v1/payment_intents', {
+      method: 'POST',
+      params: {
+        amount: StripeService.toMinorUnits(amount, currency),
+        currency: currency.toLowerCase(),
+        capture_method: 'manual',
+        description,
+        metadata: { applicationId },
+        automatic_payment_methods: { enabled: true },
+      },
+      idempotencyKey,
+    });
+  }
+
+  // Get PaymentIntent details (with its latest charge)
+  async getPaymentIntent(paymentIntentId) {
+    return await this.makeRequest(`/v1/payment_intents/${paymentIntentId}`, {
+      params: { expand: ['latest_charge'] },
+    });
+  }
+
+  // Capture a confirmed PaymentIntent
+  async capturePaymentIntent(paymentIntentId) {
+    return await this.makeRequest(
+      `/v1/payment_intents/${paymentIntentId}/capture`,
+      {
+        method: 'POST',
+        params: { expand: ['latest_charge'] },
+      }
+    );
+  }
+
+  // Cancel a PaymentIntent that has not been captured (releases any hold)
+  async cancelPaymentIntent(paymentIntentId, cancellationReason = 'abandoned') {
+    return await this.makeRequest(
+      `/v1/payment_intents/${paymentIntentId}/cancel`,
+      {
+        method: 'POST',
+        params: { cancellation_reason: cancellationReason },
+      }
+    );
+  }
+
+  // Refund a charge (the whole charge when amount is omitted)
+  async refundPayment(
+    chargeId,
+    amount,
+    currency = 'USD',
+    reason = 'Refund requested by customer'
+  ) {
+    return await this.makeRequest('/v1/refunds', {
+      method: 'POST',
+      params: {
+        charge: chargeId,
+        amount:
+          amount === undefined
+            ? undefined
+            : StripeService.toMinorUnits(amount, currency),
+        reason: 'requested_by_customer',
+        metadata: { reason },
+      },
+    });
+  }
+
+  // Verify the Stripe-Signature header against the raw request body
+  verifyWebhookSignature(rawBody, signatureHeader) {
+    if (!this.webhookSecret) {
+      if (secret.nodeEnv === 'production') {
+        console.error('Stripe webhook secret not configured');
+        return false;
+      }
+      console.warn(
+        'Stripe webhook secret not configured - skipping signature verification'
+      );
+      return true; // Allow webhook in development
+    }
+
+    if (!rawBody || !signatureHeader) {
+      return false;
+    }
+
+    const parts = signatureHeader.split(',').map((part) => part.split('='));
+    const timestamp = parts.find(([key]) => key === 't')?.[1];
+    const signatures = parts
+      .filter(([key]) => key === 'v1')
+      .map(([, value]) => value);
+
+    if (
+      !timestamp ||
+      Math.abs(Date.now() / 1000 - Number(timestamp)) >
+        WEBHOOK_TOLERANCE_SECONDS
+    ) {
+      return false;
+    }
+
+    const expected = Buffer.from(
+      StripeService.signPayload(this.webhookSecret, timestamp, rawBody)
+    );
+    return signatures.some((signature) => {
+      const actual = Buffer.from(signature);
+      return (
+        actual.length === expected.length &&
+        crypto.timingSafeEqual(actual, expected)
+      );
+    });
+  }
+
+  // Parse webhook event
+  parseWebhookEvent(event) {
+    const eventType = event.type;
+    const resource = event.data?.object || {};
+
+    switch (eventType) {
+      case 'payment_intent.succeeded':
+        return {
+          type: 'PAYMENT_COMPLETED',
+          orderId: resource.id,
+          transactionId:
+            resource.latest_charge?.id || resource.latest_charge || undefined,
+          amount: StripeService.fromMinorUnits(
+            resource.amount_received,
+            resource.currency
+          ),
+          currency: resource.currency?.toUpperCase(),
+          payerEmail: resource.receipt_email,
+          status: 'COMPLETED',
+        };
+
+      case 'payment_intent.payment_failed':
+        return {
+          type: 'PAYMENT_DENIED',
+          orderId: resource.id,
+          reason: resource.last_payment_error?.message,
+          status: 'FAILED',
+        };
+
+      // The resource is the charge; amount_refunded is the running total
+      // and refunds.data (when included) lists the latest refund first
+      case 'charge.refunded':
+        return {
+          type: 'PAYMENT_REFUNDED',
+          orderId: resource.payment_intent,
+          transactionId: resource.id,
+          refundId: resource.refunds?.data?.[0]?.id,
+          refundedTotal: StripeService.fromMinorUnits(
+            resource.amount_refunded,
+            resource.currency
+          ),
+          currency: resource.currency?.toUpperCase(),
+          status: 'REFUNDED',
+        };
+
+      default:
+        return {
+          type: 'UNKNOWN_EVENT',
+          eventType,
+          resource,
+        };
+    }
+  }
+
+  // Convert an amount to the integer minor units Stripe uses
+  static toMinorUnits(amount, currency) {
+    const factor = ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase())
+      ? 1
+      : 100;
+    return Math.round(Number(amount) * factor);
+  }
+
+  // Convert Stripe minor units back to an amount
+  static fromMinorUnits(amount, currency = 'USD') {
+    const factor = ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase())
+      ? 1
+      : 100;
+    return Number(amount || 0) / factor;
+  }
+
+  // Compute the v1 signature of a webhook payload
+  static signPayload(webhookSecret, timestamp, payload) {
+    return crypto
+      .createHmac('sha256', webhookSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+  }
+}
+
+// Export singleton instance
+const stripeService = new StripeService();
+
+export default stripeService;
+export { StripeService };
@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES } from '../config/currencies.js';
 
 // Email validation regex
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -33,40 +34,58 @@ const isNotTooFarInFuture = (date, maxYears = 2) => {
   return new Date(date) <= maxDate;
 };
 
-// Step 1: Start Application Validation
-export const startApplicationSchema = z.object({
-  passportCountry: z
-    .string()
-    .min(1, 'Passport country is required')
-    .max(100, 'Passport country name is too long'),
+// Application ID format: destination prefix + 8 alphanumeric characters
+const applicationIdSchema = z
+  .string()
+  .min(1, 'Application ID is required')
+  .regex(/^[A-Z]{3}-[A-Z0-9]{8}$/, 'Invalid application ID format');
+
+// Step 1: Start Application Validation (built per destination from the
+// registry's accepted travel documents and visa types)
+export const createStartApplicationSchema = ({
+  name,
+  travelDocuments,
+  visaTypes,
+}) =>
+  z.object({
+    passportCountry: z
+      .string()
+      .min(1, 'Passport country is required')
+      .max(100, 'Passport country name is too long'),
 
-  travelDocument: z
-    .string()
-    .min(1, 'Travel document is required')
-    .refine((val) => val === 'Ordinary Passport', {
-      message: 'Only Ordinary Passport is currently supported',
-    }),
+    travelDocument: z
+      .string()
+      .min(1, 'Travel document is required')
+      .refine((val) => travelDocuments.includes(val), {
+        message: `Only ${travelDocuments.join(', ')} is currently supported`,
+      }),
 
-  visaType: z
-    .string()
-    .default('Electronic Visa')
-    .refine((val) => val === 'Electronic Visa', {
-      message: 'Only Electronic Visa is currently supported',
-    }),
+    visaType: z
+      .string()
+      .default(visaTypes[0])
+      .refine((val) => visaTypes.includes(val), {
+        message: `Only ${visaTypes.join(', ')} is currently supported`,
+      }),
 
-  destination: z
-    .string()
-    .default('Turkey')
-    .refine((val) => val === 'Turkey', {
-      message: 'Destination must be Turkey',
-    }),
+    destination: z
+      .string()
+      .default(name)
+      .refine((val) => val === name, {
+        message: `Destination must be ${name}`,
+      }),
 
-  email: z
-    .string()
-    .min(1, 'Email is required')
-    .regex(emailRegex, 'Invalid email format')
-    .toLowerCase(),
-});
+    email: z
+      .string()
+      .min(1, 'Email is required')
+      .regex(emailRegex, 'Invalid email format')
+      .toLowerCase(),
+  });
+
+// Update of a started application: same fields as /start except the email
+// address, which identifies the owner (resume links, signed-in access) and
+// cannot be changed with the resume token
+export const createUpdateApplicationSchema = (config) =>
+  createStartApplicationSchema(config).omit({ email: true });
 
 // Step 2: Applicant Details Validation
 export const applicantDetailsSchema = z.object({
@@ -262,39 +281,35 @@ export const addApplicantSchema = z.object({
 
 // Resume Application Validation
 export const resumeApplicationSchema = z.object({
-  applicationId: z
+  applicationId: applicationIdSchema,
+
+  email: z
     .string()
-    .min(1, 'Application ID is required')
-    .regex(/^TUR-[A-Z0-9]{8}$/, 'Invalid application ID format'),
+    .min(1, 'Email is required')
+    .regex(emailRegex, 'Invalid email format')
+    .toLowerCase(),
 });
 
 // Get Application Status Validation
 export const getApplicationSchema = z.object({
-  applicationId: z
-    .string()
-    .min(1, 'Application ID is required')
-    .regex(/^TUR-[A-Z0-9]{8}$/, 'Invalid application ID format'),
+  applicationId: applicationIdSchema,
 
   email: z.string().regex(emailRegex, 'Invalid email format').toLowerCase(),
 });
 
 // Payment validation schemas
+// The amount and currency are taken from the application's pricing snapshot;
+// when a client sends them they must match it
 export const createPaymentSchema = z.object({
-  applicationId: z
-    .string()
-    .min(1, 'Application ID is required')
-    .regex(/^TUR-[A-Z0-9]{8}$/, 'Invalid application ID format'),
+  applicationId: applicationIdSchema,
 
-  amount: z
-    .number()
-    .positive('Amount must be greater than 0')
-    .max(10000, 'Amount cannot exceed $10,000'),
+  amount: z.number().positive('Amount must be greater than 0').optional(),
 
   currency: z
     .string()
     .length(3, 'Currency must be 3 characters')
     .regex(/^[A-Z]{3}$/, 'Currency must be uppercase letters')
-    .default('USD'),
+    .optional(),
 
   description: z
     .string()
@@ -308,10 +323,7 @@ export const capturePaymentSchema = z.object({
     .min(1, 'Order ID is required')
     .regex(/^[\w-]+$/, 'Invalid order ID format'),
 
-  applicationId: z
-    .string()
-    .min(1, 'Application ID is required')
-    .regex(/^TUR-[A-Z0-9]{8}$/, 'Invalid application ID format'),
+  applicationId: applicationIdSchema,
 });
 
 export const refundPaymentSchema = z.object({
@@ -320,11 +332,319 @@ export const refundPaymentSchema = z.object({
   amount: z
     .number()
     .positive('Refund amount must be greater than 0')
-    .optional(), // If not provided, full refund
+    .optional(), // If not provided, the applicant's line item or the rest
+
+  // Refund one applicant's line item ('main' or the additional applicant index)
+  applicant: z
+    .string()
+    .regex(/^(main|\d+)$/, 'Applicant must be "main" or an applicant index')
+    .optional(),
 
   reason: z.string().max(255, 'Reason cannot exceed 255 characters').optional(),
 });
 
+// Application statuses admins can filter on
+const applicationStatusSchema = z.enum([
+  'draft',
+  'started',
+  'applicant_details_completed',
+  'documents_completed',
+  'submitted',
+  'paid',
+  'processing',
+  'on_hold',
+  'approved',
+  'rejected',
+]);
+
+// Admin application list filters (query string values arrive as strings)
+export const adminApplicationQuerySchema = z
+  .object({
+    status: applicationStatusSchema.optional(),
+    passportCountry: z.string().max(100).optional(),
+    email: z
+      .string()
+      .regex(emailRegex, 'Invalid email format')
+      .toLowerCase()
+      .optional(),
+    passportNumber: z.string().trim().min(1).max(50).optional(),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+  })
+  .refine((data) => !data.from || !data.to || data.from <= data.to, {
+    message: "'from' date must be before 'to' date",
+    path: ['from'],
+  });
+
+// Admin application export filters. `fields` is a comma-separated list of
+// column keys and overrides the `columns` set.
+export const applicationExportQuerySchema = z
+  .object({
+    status: applicationStatusSchema.default('paid'),
+    passportCountry: z.string().max(100).optional(),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    format: z.enum(['csv', 'xlsx']).default('csv'),
+    columns: z.enum(['summary', 'processing', 'full']).default('processing'),
+    fields: z
+      .string()
+      .max(1000)
+      .transform((value) =>
+        value
+          .split(',')
+          .map((field) => field.trim())
+          .filter(Boolean)
+      )
+      .optional(),
+  })
+  .refine((data) => !data.from || !data.to || data.from <= data.to, {
+    message: "'from' date must be before 'to' date",
+    path: ['from'],
+  });
+
+// Admin webhook event list filters
+export const webhookEventQuerySchema = z
+  .object({
+    provider: z.enum(['PAYPAL', 'STRIPE']).optional(),
+    status: z
+      .enum([
+        'RECEIVED',
+        'PROCESSING',
+        'PROCESSED',
+        'IGNORED',
+        'FAILED',
+        'DEAD_LETTER',
+        'REJECTED',
+      ])
+      .optional(),
+    eventType: z.string().max(100).optional(),
+    paymentId: z.string().max(50).optional(),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+  })
+  .refine((data) => !data.from || !data.to || data.from <= data.to, {
+    message: "'from' date must be before 'to' date",
+    path: ['from'],
+  });
+
+// Exchange rate table (rate file or admin update): units of each supported
+// currency per one unit of the base currency
+export const exchangeRateTableSchema = z.object({
+  base: z.literal(BASE_CURRENCY).default(BASE_CURRENCY),
+  effectiveAt: z.coerce.date().optional(),
+  note: z.string().max(500, 'Note cannot exceed 500 characters').optional(),
+  rates: z
+    .record(z.enum(SUPPORTED_CURRENCIES), z.number().positive())
+    .refine((rates) => rates[BASE_CURRENCY] === 1, {
+      message: `The ${BASE_CURRENCY} rate must be 1`,
+    }),
+});
+
+// Currency an applicant wants to pay in (pricing quote, submission)
+export const pricingCurrencySchema = z.object({
+  currency: z
+    .string()
+    .toUpperCase()
+    .refine((currency) => SUPPORTED_CURRENCIES.includes(currency), {
+      message: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`,
+    })
+    .optional(),
+});
+
+// Reconciliation report list filters
+export const reconciliationReportQuerySchema = z
+  .object({
+    trigger: z.enum(['schedule', 'cli', 'admin']).optional(),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+  })
+  .refine((data) => !data.from || !data.to || data.from <= data.to, {
+    message: "'from' date must be before 'to' date",
+    path: ['from'],
+  });
+
+// On-demand reconciliation run
+export const reconciliationRunSchema = z.object({
+  dryRun: z.boolean().default(false),
+  since: z.coerce.date().optional(),
+  limit: z.number().int().min(1).max(1000).default(200),
+});
+
+// Finance report date range (the last 30 days by default) and format
+const reportRangeFields = {
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  format: z.enum(['json', 'csv']).default('json'),
+};
+
+const withReportRange = (schema) =>
+  schema
+    .refine((data) => !data.from || !data.to || data.from <= data.to, {
+      message: "'from' date must be before 'to' date",
+      path: ['from'],
+    })
+    .transform((data) => {
+      const to = data.to || new Date();
+      const from =
+        data.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+      return { ...data, from, to };
+    });
+
+// Revenue report filters
+export const revenueReportQuerySchema = withReportRange(
+  z.object({
+    ...reportRangeFields,
+    groupBy: z
+      .enum(['day', 'week', 'month', 'country', 'currency'])
+      .default('month'),
+  })
+);
+
+// Conversion funnel filters
+export const funnelReportQuerySchema = withReportRange(
+  z.object({
+    ...reportRangeFields,
+    destination: z.string().toLowerCase().optional(),
+  })
+);
+
+// Personal data export format
+export const privacyExportQuerySchema = z.object({
+  format: z.enum(['json', 'zip']).default('json'),
+});
+
+// Erasure request: the account's email address typed again as confirmation
+export const privacyErasureSchema = z.object({
+  confirmEmail: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .regex(emailRegex, 'Invalid email format'),
+});
+
+// Admin dispute list filters
+export const disputeQuerySchema = z
+  .object({
+    provider: z.enum(['PAYPAL', 'STRIPE']).optional(),
+    status: z
+      .enum(['OPEN', 'EVIDENCE_REQUIRED', 'UNDER_REVIEW', 'WON', 'LOST'])
+      .optional(),
+    paymentId: z.string().max(50).optional(),
+    applicationId: z.string().max(50).optional(),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+  })
+  .refine((data) => !data.from || !data.to || data.from <= data.to, {
+    message: "'from' date must be before 'to' date",
+    path: ['from'],
+  });
+
+// Open disputes report filters
+export const openDisputesReportQuerySchema = z.object({
+  dueWithinDays: z.coerce.number().int().min(0).max(365).optional(),
+});
+
+// Admin dispute status change (e.g. evidence submitted to the provider)
+export const disputeStatusUpdateSchema = z.object({
+  status: z.enum(['EVIDENCE_REQUIRED', 'UNDER_REVIEW', 'WON', 'LOST']),
+  note: z.string().max(1000, 'Note cannot exceed 1000 characters').optional(),
+});
+
+// Note attached to uploaded dispute evidence
+export const disputeEvidenceSchema = z.object({
+  note: z.string().max(1000, 'Note cannot exceed 1000 characters').optional(),
+});
+
+// Admin application status change (review workflow)
+export const applicationStatusUpdateSchema = z.object({
+  status: z.enum(['processing', 'on_hold', 'approved', 'rejected']),
+  note: z.string().max(1000, 'Note cannot exceed 1000 characters').optional(),
+});
+
+const promoCodeSchema = z
+  .string()
+  .trim()
+  .toUpperCase()
+  .regex(
+    /^[A-Z0-9_-]{3,32}$/,
+    'Promo code must be 3-32 letters, digits, dashes or underscores'
+  );
+
+// Promo code entered by an applicant (currency applies to quotes before
+// submission)
+export const promoCodeApplySchema = pricingCurrencySchema.extend({
+  code: promoCodeSchema,
+});
+
+// Promo code management (back office); fixed values are in the base currency
+const promoCodeFields = {
+  description: z
+    .string()
+    .max(500, 'Description cannot exceed 500 characters')
+    .optional(),
+  countries: z
+    .array(
+      z
+        .string()
+        .toUpperCase()
+        .regex(/^[A-Z]{2}$/, 'Countries must be ISO 3166-1 alpha-2 codes')
+    )
+    .optional(),
+  validFrom: z.coerce.date().optional(),
+  validUntil: z.coerce.date().optional(),
+  maxRedemptions: z.number().int().min(1).optional(),
+  perEmailLimit: z.number().int().min(1).optional(),
+  isActive: z.boolean().optional(),
+};
+
+const validPromoWindow = [
+  (data) =>
+    !data.validFrom || !data.validUntil || data.validFrom <= data.validUntil,
+  {
+    message: "'validFrom' date must be before 'validUntil' date",
+    path: ['validFrom'],
+  },
+];
+
+const validPromoValue = [
+  (data) => data.type !== 'percentage' || data.value <= 100,
+  { message: 'A percentage discount cannot exceed 100', path: ['value'] },
+];
+
+export const promoCodeCreateSchema = z
+  .object({
+    code: promoCodeSchema,
+    type: z.enum(['percentage', 'fixed']),
+    value: z.number().positive(),
+    ...promoCodeFields,
+  })
+  .refine(...validPromoWindow)
+  .refine(...validPromoValue);
+
+// Code and type are fixed once created (redemptions refer to them)
+export const promoCodeUpdateSchema = z
+  .object({
+    value: z.number().positive().optional(),
+    ...promoCodeFields,
+  })
+  .refine(...validPromoWindow);
+
+// Promo code list filters
+export const promoCodeQuerySchema = z.object({
+  code: z.string().max(32).optional(),
+  isActive: z.enum(['true', 'false']).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
 // Validation helper function
 export const validateData = (schema, data) => {
   try {